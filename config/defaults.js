@@ -0,0 +1,121 @@
+// Default configuration. Don't edit this file for a single setup - override values in
+// linkedin.config.{js,json,yaml}, .env, environment variables or command line options.
+module.exports = {
+  // LinkedIn credentials
+  linkedinCookies: {
+    li_at: '', // Set LI_AT in .env or the environment, never in a tracked file
+    file: null, // Cookie export of a logged-in browser (JSON or Netscape cookies.txt), used along with li_at
+  },
+  // Several LinkedIn accounts sharing the campaigns. Empty: a single account using linkedinCookies.
+  // An account without li_at reads it from LI_AT_<ID> (e.g. LI_AT_SALES_1) in .env or the environment.
+  // quotas are merged over the quotas below, userDataDir defaults to <files.browserProfilesDir>/<id>.
+  // cookiesFile is a cookie export of the account, like linkedinCookies.file.
+  accounts: [
+    // { id: 'adam', senderName: 'Adam Rencher', quotas: { daily: 30 }, userDataDir: './state/browser/adam' },
+    // { id: 'sales-1', senderName: 'Jordan Lee', cookiesFile: './secrets/jordan-cookies.json' },
+  ],
+  // How the profiles of a campaign are split across accounts
+  sharding: {
+    strategy: 'round-robin', // round-robin: by CSV row, owner: by the account ID or sender name in ownerColumn
+    ownerColumn: 'owner',
+  },
+  // LinkedIn site
+  linkedin: {
+    baseUrl: 'https://www.linkedin.com', // Point at the fixture server (npm run fixtures) to test offline
+  },
+  // Messaging configuration
+  messaging: {
+    maxMessages: 20, // Maximum number of messages to send before stopping
+    delayMin: 2000, // Minimum delay between actions (in ms)
+    delayMax: 7000, // Maximum delay between actions (in ms)
+    useSalesNav: false, // Find regular /in/ profiles through Sales Navigator search (--sales-nav)
+    strictTemplates: false, // Refuse to send when a {{placeholder}} has no value and no fallback
+    verifyTimeoutMs: 15000, // How long to wait for a sent message to show up in the conversation
+    senderName: '', // {{senderName}} in templates, overridden by each account's senderName
+    messageTemplate: "Hi {{firstName}},\n\nMy name's Adam, and I'm currently studying at BYU. A friend and I are working on a project where we explore how startups and smaller businesses like yours can use AI and automation to cut costs and drive growth.\n\nWould you be open to a 15-20 minute chat? If so, let me know when works best.\n\nThanks for your time, and I look forward to hearing from you!\n\nBest,\n\nAdam Rencher",
+    // Optional A/B test variants. Each profile is assigned one variant based on its URL,
+    // weighted by `weight`. When empty, messageTemplate is used for everyone.
+    variants: [
+      // { id: 'short', weight: 1, template: "Hi {{firstName|there}}, ..." },
+      // { id: 'long', weight: 2, template: "Hi {{firstName|there}},\n\n..." },
+    ],
+  },
+  // Connection invitations (connect command)
+  connect: {
+    noteTemplate: "Hi {{firstName|there}}, I'm Adam, a student at BYU looking into how smaller businesses use AI and automation. I'd love to connect and hear how things work at your company.", // Empty: send without a note
+    maxNoteLength: 300, // LinkedIn's limit for invitation notes, notes over it are never sent
+  },
+  // What to do when the composer shows an earlier conversation with the profile, e.g. one started
+  // by hand or by a teammate: skip the profile, send the initial message anyway, or send `template`
+  existingConversation: {
+    policy: 'skip', // skip, send or followup
+    template: "Hi {{firstName|there}}, following up on our earlier conversation - would you be open to a quick 15-minute chat about how you're using AI and automation?", // Used by the followup policy
+  },
+  // Matching /in/ profiles to Sales Navigator search results (--sales-nav). Results are scored from 0 to 1
+  // on the name, and on company, title and location when the CSV has those columns.
+  salesNavMatching: {
+    minConfidence: 0.8, // Profiles whose best result scores lower go to the review queue instead
+    ambiguityMargin: 0.1, // Also review when the runner-up scores within this of the best result
+  },
+  // Follow-up steps after the initial message. A step is sent delayDays after the initial message,
+  // only into the existing conversation and only while the lead hasn't replied. Empty: no follow-ups.
+  sequence: {
+    steps: [
+      // { id: 'follow-up-a', delayDays: 3, template: "Hi {{firstName|there}}, just bumping this up..." },
+      // { id: 'follow-up-b', delayDays: 10, template: "Hi {{firstName|there}}, one last note..." },
+    ],
+  },
+  // Send quotas that persist across runs. Windows are rolling: daily is the last 24 hours,
+  // weekly the last 7 days. Set a value to null for no limit.
+  quotas: {
+    daily: 40, // All action types together
+    weekly: 150,
+    message: { daily: 40, weekly: 150 },
+    inmail: { daily: 20, weekly: 80 },
+    connection: { daily: 20, weekly: 80 },
+  },
+  // Sent-messages log
+  sentLog: {
+    messageText: 'full', // full: store the rendered message, hash: only store its hash
+  },
+  // Reply checking (check-replies command)
+  replies: {
+    inboxes: ['linkedin', 'sales-nav'], // Inboxes to scan: linkedin (messaging) and sales-nav
+    maxConversations: 50, // Most recent conversations read per inbox
+  },
+  // File paths
+  files: {
+    profilesCsv: './data/profiles.csv',
+    logsCsv: './logs/sent_messages.csv',
+    logsJsonl: null, // Also write every log row to this JSON-lines file, e.g. './logs/sent_messages.jsonl'
+    invitationsCsv: './logs/invitations.csv', // Connection invitations, kept apart from messages
+    reviewCsv: './logs/review_queue.csv', // Profiles whose Sales Navigator match needs a manual check
+    repliesCsv: './logs/replies.csv', // Written by check-replies, used by the report
+    checkpointJson: './logs/checkpoint.json', // Progress of the current run, used to resume after a crash
+    quotaStateJson: './state/quotas.json', // Send history used to enforce quotas
+    sequenceStateJson: './state/sequence.json', // Follow-up step and status of each messaged lead
+    previewDir: './logs/previews', // Dry-run preview reports are written here
+    runLogDir: './logs/runs', // One JSON-lines log per run, <run id>.jsonl
+    selectorOverrides: './selectors.override.json', // Merged on top of config/selectors.json if it exists
+    selectorStatsJson: './state/selector-stats.json', // Which selectors matched in each run
+    locksDir: './state/locks', // One lock file per account while a run uses it
+    browserProfilesDir: './state/browser', // Browser profile of each account, <dir>/<account id> (<dir>/default without accounts)
+  },
+  // Screenshots and page dumps, written to <dir>/<run id>/<profile slug>/
+  artifacts: {
+    dir: './runs',
+    screenshots: 'on-failure', // off, on-failure or always
+    retentionDays: 14, // Delete run artifacts and run logs older than this, null to keep them
+  },
+  // Browser configuration
+  browser: {
+    headless: false, // true or 'new' for Chrome's new headless mode, 'shell' for the old headless shell
+    executablePath: null, // Chrome or Chromium to launch, null to look in the usual places on Linux, macOS and Windows
+    windowSize: { width: 1280, height: 800 },
+    viewport: { width: 1280, height: 800 }, // Page size, null to follow the window size
+    args: [], // Extra Chrome switches, e.g. ['--proxy-server=http://proxy:8080']. They replace default switches of the same name.
+    persistentSession: true, // Keep the browser profile, and so the session, between runs. false: a fresh temporary profile every run
+    userDataDir: null, // Browser profile directory, null for <files.browserProfilesDir>/default
+    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36',
+  }
+};
\ No newline at end of file
@@ -0,0 +1,681 @@
+#!/usr/bin/env node
+// Local HTTP server with mock LinkedIn pages, so the browser automation can run without network access.
+// Point the script at it with --base-url http://127.0.0.1:3000 (or LINKEDIN_BASE_URL) and any li_at value.
+const http = require('http');
+
+// Session states the server can simulate
+const FIXTURE_MODES = ['normal', 'captcha', 'checkpoint', 'logged-out'];
+
+const DEFAULT_LEADS = [
+  {
+    id: 'ACwAAA111111',
+    name: 'Jane Smith',
+    headline: 'Helping small businesses grow | Head of Marketing at Acme Corp',
+    title: 'Head of Marketing',
+    company: 'Acme Corp',
+    industry: 'Marketing',
+    location: 'Austin, Texas',
+    tenure: '3 years 2 months in role',
+    school: 'University of Texas at Austin',
+    mutualConnections: '4 shared connections',
+    recentPost: 'Why local SEO still matters for small businesses. Here is what we learned this quarter...'
+  },
+  { id: 'ACwAAA222222', name: 'John Doe', title: 'CTO', company: 'Initech', industry: 'Software Development', location: 'Denver, Colorado' },
+  { id: 'ACwAAA333333', name: 'Jane Doe', title: 'Founder', company: 'Doe Design', industry: 'Design Services', location: 'Provo, Utah' }
+];
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Text to escape
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Turn a profile slug into a display name, e.g. jane-smith-123 -> Jane Smith
+ * @param {string} slug - Public profile slug
+ * @returns {string} - Display name
+ */
+const nameFromSlug = (slug) => slug
+  .split('-')
+  .filter(part => part && !/\d/.test(part))
+  .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+  .join(' ') || slug;
+
+/**
+ * Build the inbox preview of a conversation's last message, e.g. "You: Hi Jane"
+ * @param {Object} conversation - Fixture conversation
+ * @returns {string} - Preview text
+ */
+const conversationSnippet = (conversation) => {
+  const last = conversation.messages[conversation.messages.length - 1];
+  return last ? `${last.incoming ? '' : 'You: '}${last.text}` : '';
+};
+
+/**
+ * Build the reply box of an open conversation. Sending adds the message to the same conversation.
+ * @param {Object} conversation - Fixture conversation
+ * @returns {string} - HTML of the reply box
+ */
+const threadComposer = (conversation) => `<form class="msg-form" onsubmit="return false">
+  <div class="msg-form__contenteditable" role="textbox" contenteditable="true" aria-label="Write a message"></div>
+  <button type="button" class="msg-form__send-button" aria-label="Send" onclick="sendInThread(this.form, ${escapeHtml(JSON.stringify(conversation.page))})">Send</button>
+</form>
+<script>
+  function sendInThread(form, page) {
+    var input = form.querySelector('[role="textbox"]');
+    fetch('/__fixture/messages', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ page: page, text: input.innerText })
+    }).then(function () { location.reload(); });
+  }
+</script>`;
+
+/**
+ * Build the Connect button of a profile: Pending once invited, none for connections or when it is under More
+ * @param {Object} profile - Fixture profile
+ * @returns {string} - HTML of the button
+ */
+const connectButton = (profile) => {
+  if (profile.pending) {
+    return '<button type="button" class="pvs-profile-actions__action" aria-label="Pending, click to withdraw invitation">Pending</button>';
+  }
+  if (profile.connected || profile.connectInMoreMenu) {
+    return '';
+  }
+  return '<button type="button" class="pvs-profile-actions__action" onclick="openInvite()">Connect</button>';
+};
+
+// Invitation dialog, added to the page when Connect is clicked. Sending posts the note back to the server.
+const INVITE_SCRIPT = `
+<script>
+  function sendInvite(note) {
+    fetch('/__fixture/invitations', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ page: location.pathname, note: note })
+    }).then(function () { location.reload(); });
+  }
+  function openInvite() {
+    document.getElementById('more-menu').hidden = true;
+    var dialog = document.createElement('div');
+    dialog.setAttribute('role', 'dialog');
+    dialog.className = 'send-invite';
+    dialog.innerHTML =
+      '<p>You can add a note to personalize your invitation.</p>' +
+      '<button type="button" class="add-note">Add a note</button>' +
+      '<button type="button" aria-label="Send without a note">Send without a note</button>';
+    document.body.appendChild(dialog);
+    dialog.querySelector('[aria-label="Send without a note"]').addEventListener('click', function () { sendInvite(''); });
+    dialog.querySelector('.add-note').addEventListener('click', function () {
+      dialog.innerHTML =
+        '<textarea name="message" maxlength="300"></textarea>' +
+        '<button type="button" aria-label="Send invitation">Send</button>';
+      dialog.querySelector('[aria-label="Send invitation"]').addEventListener('click', function () {
+        sendInvite(dialog.querySelector('textarea').value);
+      });
+    });
+  }
+</script>`;
+
+// Message composer, added to the page when the message button is clicked. It shows the earlier
+// messages of the page's conversation (CONVERSATION_HISTORY). Sending posts the text back to the
+// server and adds it to the conversation like LinkedIn does. With sendFails, clicking send does
+// nothing and the text stays in the input.
+const COMPOSER_SCRIPT = `
+<script>
+  function addBubble(list, text, incoming, at) {
+    var item = document.createElement('li');
+    item.className = 'msg-s-message-list__event';
+    item.innerHTML = '<div class="msg-s-event-listitem' + (incoming ? ' msg-s-event-listitem--other' : '') + '"><time></time><p class="msg-s-event-listitem__body"></p></div>';
+    item.querySelector('time').setAttribute('datetime', at);
+    item.querySelector('.msg-s-event-listitem__body').innerText = text;
+    list.appendChild(item);
+  }
+  function openComposer(sendFails) {
+    if (document.querySelector('div[role="dialog"].msg-overlay')) return;
+    var dialog = document.createElement('div');
+    dialog.setAttribute('role', 'dialog');
+    dialog.className = 'msg-overlay';
+    dialog.innerHTML =
+      '<ul class="msg-s-message-list"></ul>' +
+      '<div class="msg-form__contenteditable" role="textbox" contenteditable="true" aria-label="Write a message"></div>' +
+      '<button type="button" class="msg-form__send-button" aria-label="Send">Send</button>';
+    document.body.appendChild(dialog);
+    (window.CONVERSATION_HISTORY || []).forEach(function (message) {
+      addBubble(dialog.querySelector('.msg-s-message-list'), message.text, message.incoming, message.at);
+    });
+    dialog.querySelector('.msg-form__send-button').addEventListener('click', function () {
+      var input = dialog.querySelector('[role="textbox"]');
+      var text = input.innerText;
+      if (sendFails) return;
+      fetch('/__fixture/messages', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ page: location.pathname, text: text })
+      }).then(function () {
+        addBubble(dialog.querySelector('.msg-s-message-list'), text, false, new Date().toISOString());
+        input.innerText = '';
+      });
+    });
+  }
+</script>`;
+
+/**
+ * Build the script that hands a conversation's earlier messages to the composer
+ * @param {Array<Object>} messages - Messages of the conversation, { incoming, text, at }
+ * @returns {string} - HTML of the script
+ */
+const composerHistory = (messages = []) => `<script>var CONVERSATION_HISTORY = ${JSON.stringify(messages).replace(/</g, '\\u003c')};</script>`;
+
+/**
+ * Build the pagination of a results page. Next is disabled on the last page, like on LinkedIn.
+ * @param {URL} url - URL of the current page, its page parameter is replaced
+ * @param {number} page - Current page, from 1
+ * @param {number} pages - Number of pages
+ * @returns {string} - HTML of the pagination buttons
+ */
+const pagination = (url, page, pages) => {
+  const next = new URL(url);
+  next.searchParams.set('page', String(page + 1));
+  return `<div class="artdeco-pagination">
+  <span class="artdeco-pagination__state">Page ${page} of ${pages}</span>
+  <button type="button" class="artdeco-pagination__button--next" aria-label="Next"${page >= pages ? ' disabled' : ` onclick="location.href = ${escapeHtml(JSON.stringify(next.pathname + next.search))}"`}>Next</button>
+</div>`;
+};
+
+/**
+ * Wrap page content in the shared layout
+ * @param {Object} options
+ * @param {string} options.title - Page title
+ * @param {boolean} [options.nav] - Show the logged-in navigation bar
+ * @param {string} options.body - Page content
+ * @returns {string} - HTML page
+ */
+const layout = ({ title, nav = false, body }) => `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>${escapeHtml(title)} | LinkedIn</title></head>
+<body>
+${nav ? `<header class="global-nav">
+  <a href="/feed/">Home</a>
+  <a href="/sales/home">Sales Navigator</a>
+  <img class="global-nav__avatar" alt="Your profile photo" src="data:,">
+</header>` : ''}
+<main>
+${body}
+</main>
+${COMPOSER_SCRIPT}
+</body>
+</html>`;
+
+const PAGES = {
+  landing: () => layout({
+    title: 'Welcome to your professional community',
+    body: '<h1>Welcome to your professional community</h1><a href="/login">Sign in</a>'
+  }),
+
+  login: () => layout({
+    title: 'Sign in',
+    body: `<h1>Sign in</h1>
+<form action="/login" method="post">
+  <input type="text" name="session_key" aria-label="Email or phone">
+  <input type="password" name="session_password" aria-label="Password">
+  <button type="submit">Sign in</button>
+</form>`
+  }),
+
+  captcha: () => layout({
+    title: 'Security Verification',
+    body: `<h1>Let's do a quick security check</h1>
+<div id="captcha" class="challenge"><iframe src="/checkpoint/captcha-frame" title="captcha"></iframe></div>`
+  }),
+
+  feed: () => layout({
+    title: 'Feed',
+    nav: true,
+    body: '<div class="feed-identity-module"><a href="/in/me">Your profile</a></div><section class="feed">No new posts</section>'
+  }),
+
+  profile: (profile) => layout({
+    title: profile.name,
+    nav: true,
+    body: `<section class="pv-top-card">
+  <div class="pv-text-details__left-panel">
+    <h1 class="text-heading-xlarge">${escapeHtml(profile.name)}</h1>
+    <div class="text-body-medium break-words">${escapeHtml(profile.headline)}</div>
+    ${profile.location ? `<span class="text-body-small inline t-black--light break-words">${escapeHtml(profile.location)}</span>` : ''}
+  </div>
+  <ul class="pv-text-details__right-panel">
+    ${profile.company ? `<li><button type="button" aria-label="Current company: ${escapeHtml(profile.company)}. Click to skip to experience card">${escapeHtml(profile.company)}</button></li>` : ''}
+    ${profile.school ? `<li><button type="button" aria-label="Education: ${escapeHtml(profile.school)}. Click to skip to education card">${escapeHtml(profile.school)}</button></li>` : ''}
+  </ul>
+  ${profile.mutualConnections ? `<a href="/search/results/people/?facetNetwork=F"><span class="t-normal">${escapeHtml(profile.mutualConnections)}</span></a>` : ''}
+  ${profile.canMessage ? `<button type="button" class="pvs-profile-actions__action" onclick="openComposer(${profile.sendFails ? 'true' : 'false'})">Message</button>` : ''}
+  ${connectButton(profile)}
+  <button type="button" class="pvs-profile-actions__overflow" onclick="document.getElementById('more-menu').hidden = false">More</button>
+  <div id="more-menu" class="artdeco-dropdown__content" hidden>
+    ${profile.connectInMoreMenu && !profile.pending && !profile.connected ? '<div role="button" class="artdeco-dropdown__item" onclick="openInvite()">Connect</div>' : ''}
+    <div role="button" class="artdeco-dropdown__item">Save to PDF</div>
+  </div>
+</section>
+${profile.title ? `<section class="artdeco-card">
+  <div id="experience" class="pv-profile-card__anchor"></div>
+  <h2>Experience</h2>
+  <div class="pvs-list__outer-container"><ul><li class="artdeco-list__item">
+    <div class="t-bold"><span aria-hidden="true">${escapeHtml(profile.title)}</span></div>
+    <span class="t-14 t-normal"><span aria-hidden="true">${escapeHtml(profile.company)}</span></span>
+    <span class="pvs-entity__caption-wrapper">${escapeHtml(profile.tenure)}</span>
+  </li></ul></div>
+</section>` : ''}
+${profile.recentPost ? `<section class="artdeco-card">
+  <div id="content_collections" class="pv-profile-card__anchor"></div>
+  <h2>Activity</h2>
+  <div><div class="update-components-text">${escapeHtml(profile.recentPost)}</div></div>
+</section>` : ''}
+${composerHistory(profile.history)}
+${INVITE_SCRIPT}`
+  }),
+
+  inbox: (conversations) => layout({
+    title: 'Messaging',
+    nav: true,
+    body: `<h1>Messaging</h1>
+<ul class="msg-conversations-container__conversations-list">
+${conversations.map(conversation => `  <li class="msg-conversation-listitem">
+    <a class="msg-conversation-listitem__link" href="/messaging/thread/${conversation.id}/">
+      <h3 class="msg-conversation-listitem__participant-names">${escapeHtml(conversation.name)}</h3>
+      <p class="msg-conversation-card__message-snippet">${escapeHtml(conversationSnippet(conversation))}</p>
+    </a>
+  </li>`).join('\n')}
+</ul>`
+  }),
+
+  thread: (conversation) => layout({
+    title: conversation.name,
+    nav: true,
+    body: `<a class="msg-thread__link-to-profile" href="${escapeHtml(conversation.page)}">${escapeHtml(conversation.name)}</a>
+<ul class="msg-s-message-list-content">
+${conversation.messages.map(message => `  <li class="msg-s-message-list__event">
+    <div class="msg-s-event-listitem${message.incoming ? ' msg-s-event-listitem--other' : ''}">
+      <time datetime="${escapeHtml(message.at)}">${escapeHtml(message.at)}</time>
+      <p class="msg-s-event-listitem__body">${escapeHtml(message.text)}</p>
+    </div>
+  </li>`).join('\n')}
+</ul>
+${threadComposer(conversation)}`
+  }),
+
+  salesHome: () => layout({
+    title: 'Sales Navigator',
+    nav: true,
+    body: '<h1>Sales Navigator</h1><a href="/sales/search/people">Lead search</a>'
+  }),
+
+  salesSearch: () => layout({
+    title: 'Lead search',
+    nav: true,
+    body: `<input type="text" placeholder="Search keywords" aria-label="Search keywords" id="keywords">
+<script>
+  document.getElementById('keywords').addEventListener('keydown', function (event) {
+    if (event.key === 'Enter') {
+      location.href = '/sales/search/people/list?keywords=' + encodeURIComponent(this.value);
+    }
+  });
+</script>`
+  }),
+
+  salesResults: (heading, leads, pagination = '') => layout({
+    title: 'Lead search results',
+    nav: true,
+    body: `<h1>${escapeHtml(heading)}</h1>
+<ol class="search-results__result-list">
+${leads.map(lead => `  <li class="artdeco-list__item">
+    <a href="/sales/lead/${escapeHtml(lead.id)},NAME_SEARCH"><span data-anonymize="person-name">${escapeHtml(lead.name)}</span></a>
+    <span data-anonymize="title">${escapeHtml(lead.title)}</span>
+    <a href="/sales/company/${escapeHtml(lead.id)}" data-anonymize="company-name">${escapeHtml(lead.company)}</a>
+    <span data-anonymize="location">${escapeHtml(lead.location)}</span>
+  </li>`).join('\n')}
+</ol>
+${pagination}`
+  }),
+
+  salesLead: (lead) => layout({
+    title: lead.name,
+    nav: true,
+    body: `<section class="profile-topcard">
+  <h1 class="profile-topcard-person-entity__name">${escapeHtml(lead.name)}</h1>
+  ${lead.headline ? `<div data-anonymize="headline">${escapeHtml(lead.headline)}</div>` : ''}
+  <div class="profile-topcard__current-role"><span data-anonymize="job-title">${escapeHtml(lead.title)}</span> at <a href="/sales/company/${escapeHtml(lead.id)}" data-anonymize="company-name">${escapeHtml(lead.company)}</a></div>
+  ${lead.tenure ? `<span class="profile-topcard__time-period-bullet">${escapeHtml(lead.tenure)}</span>` : ''}
+  <div data-anonymize="location">${escapeHtml(lead.location)}</div>
+  ${lead.school ? `<a href="#education" data-anonymize="education-name">${escapeHtml(lead.school)}</a>` : ''}
+  ${lead.mutualConnections ? `<a href="#shared-connections" class="profile-topcard__connections-data">${escapeHtml(lead.mutualConnections)}</a>` : ''}
+  <dl><dt>Industry</dt><dd>${escapeHtml(lead.industry)}</dd></dl>
+  <button type="button" class="artdeco-button" onclick="openComposer()">Message</button>
+</section>
+${lead.recentPost ? `<section class="recent-activity">
+  <h2>Recent activity</h2>
+  <p class="recent-activity-entity__description">${escapeHtml(lead.recentPost)}</p>
+</section>` : ''}
+${composerHistory(lead.history)}`
+  }),
+
+  salesInbox: (conversations) => layout({
+    title: 'Sales Navigator inbox',
+    nav: true,
+    body: `<h1>Inbox</h1>
+<ul class="conversation-list">
+${conversations.map(conversation => `  <li class="conversation-list-item">
+    <a class="conversation-list-item__link" href="/sales/inbox/${conversation.id}">
+      <h3 class="conversation-list-item__participant-names">${escapeHtml(conversation.name)}</h3>
+      <p class="conversation-list-item__message-snippet">${escapeHtml(conversationSnippet(conversation))}</p>
+    </a>
+  </li>`).join('\n')}
+</ul>`
+  }),
+
+  salesThread: (conversation) => layout({
+    title: conversation.name,
+    nav: true,
+    body: `<a class="conversation-insights__profile-link" href="${escapeHtml(conversation.page)}">${escapeHtml(conversation.name)}</a>
+${conversation.messages.map(message => `<article class="message-item${message.incoming ? ' message-item--inbound' : ''}">
+  <time datetime="${escapeHtml(message.at)}">${escapeHtml(message.at)}</time>
+  <p class="message-item__body">${escapeHtml(message.text)}</p>
+</article>`).join('\n')}
+${threadComposer(conversation)}`
+  }),
+
+  notFound: () => layout({
+    title: 'Page not found',
+    body: '<h1>This page doesn\'t exist</h1>'
+  })
+};
+
+/**
+ * Read a cookie from a request
+ * @param {http.IncomingMessage} req - Request
+ * @param {string} name - Cookie name
+ * @returns {string} - Cookie value, or an empty string
+ */
+const readCookie = (req, name) => {
+  const match = (req.headers.cookie || '').split(/;\s*/).find(part => part.startsWith(`${name}=`));
+  return match ? decodeURIComponent(match.slice(name.length + 1)) : '';
+};
+
+/**
+ * Read a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} - Parsed body, empty if it isn't JSON
+ */
+const readJsonBody = (req) => new Promise(resolve => {
+  let data = '';
+  req.on('data', chunk => { data += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(JSON.parse(data || '{}'));
+    } catch (error) {
+      resolve({});
+    }
+  });
+});
+
+/**
+ * Start the fixture server
+ * @param {Object} [options]
+ * @param {number} [options.port] - Port to listen on, 0 picks a free port
+ * @param {string} [options.host] - Host to listen on
+ * @param {string} [options.mode] - One of FIXTURE_MODES
+ * @param {string} [options.sessionToken] - li_at value to accept, any non-empty value if not set
+ * @param {Array<Object>} [options.leads] - Sales Navigator leads: { id, name, title, company, industry, location },
+ *   and optionally headline, tenure, school, mutualConnections and recentPost shown on the lead page
+ * @param {Object} [options.profiles] - Public profiles by slug: { name, headline, canMessage, connectInMoreMenu,
+ *   connected, pending, sendFails }, and optionally location, company, school, title, tenure, mutualConnections
+ *   and recentPost
+ * @param {Object} [options.replies] - Text the lead answers with, by page path (e.g. '/in/jane-doe'),
+ *   added to the conversation right after a message is sent from that page
+ * @param {number} [options.pageSize] - Leads per page of search results and saved lead lists
+ * @param {Object} [options.history] - Earlier messages by page path, e.g. { '/in/jane-doe': [{ incoming: true,
+ *   text: 'Hi' }] }, shown in the composer and the inboxes as if the conversation predates the run
+ * @returns {Promise<Object>} - { url, messages, invitations, conversations, addReply, setMode, close }
+ */
+const startFixtureServer = async ({
+  port = 0,
+  host = '127.0.0.1',
+  mode = 'normal',
+  sessionToken = '',
+  leads = DEFAULT_LEADS,
+  profiles = {},
+  replies = {},
+  pageSize = 25,
+  history = {}
+} = {}) => {
+  if (!FIXTURE_MODES.includes(mode)) {
+    throw new Error(`Unknown fixture mode: ${mode} (expected ${FIXTURE_MODES.join(', ')})`);
+  }
+
+  const state = { mode, messages: [], invitations: [], conversations: [] };
+
+  // Conversations live in the messaging inbox, or in the Sales Navigator inbox for /sales/ pages
+  const findConversation = (page) => {
+    let conversation = state.conversations.find(entry => entry.page === page);
+    if (!conversation) {
+      const profileMatch = page.match(/^\/in\/([^/]+)/);
+      const leadMatch = page.match(/^\/sales\/(?:lead|people|profile)\/([^/,]+)/);
+      const slug = profileMatch ? decodeURIComponent(profileMatch[1]).toLowerCase() : '';
+      const lead = leadMatch ? leads.find(entry => entry.id === decodeURIComponent(leadMatch[1])) : null;
+      conversation = {
+        id: String(state.conversations.length + 1),
+        page,
+        name: lead ? lead.name : (profiles[slug] || {}).name || nameFromSlug(slug || page),
+        salesNav: Boolean(leadMatch),
+        messages: [],
+        updatedAt: ''
+      };
+      state.conversations.push(conversation);
+    }
+    return conversation;
+  };
+
+  const addMessage = (page, text, incoming) => {
+    const conversation = findConversation(page);
+    const at = new Date().toISOString();
+    conversation.messages.push({ incoming, text, at });
+    conversation.updatedAt = at;
+  };
+
+  Object.entries(history).forEach(([page, messages]) => {
+    messages.forEach(message => addMessage(page, message.text, Boolean(message.incoming)));
+  });
+
+  // Most recent conversation first, like LinkedIn
+  const listConversations = (salesNav) => state.conversations
+    .filter(conversation => conversation.salesNav === salesNav)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+  const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', ...headers });
+    res.end(body);
+  };
+
+  const sendJson = (res, body) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const handle = async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || host}`);
+    const pathname = url.pathname.replace(/\/+$/, '') || '/';
+    const token = readCookie(req, 'li_at');
+    const loggedIn = state.mode !== 'logged-out' && Boolean(token) && (!sessionToken || token === sessionToken);
+
+    // Control endpoints for tests
+    if (pathname === '/__fixture/state') {
+      return sendJson(res, state);
+    }
+    if (pathname === '/__fixture/mode') {
+      const next = url.searchParams.get('set');
+      if (!FIXTURE_MODES.includes(next)) {
+        return send(res, 400, `Unknown fixture mode: ${escapeHtml(next)}`);
+      }
+      state.mode = next;
+      return sendJson(res, state);
+    }
+    if (pathname === '/__fixture/messages' && req.method === 'POST') {
+      const body = await readJsonBody(req);
+      state.messages.push({ page: body.page || '', text: body.text || '', at: new Date().toISOString() });
+      addMessage(body.page || '', body.text || '', false);
+      if (replies[body.page]) {
+        addMessage(body.page, replies[body.page], true);
+      }
+      return sendJson(res, { ok: true });
+    }
+    if (pathname === '/__fixture/invitations' && req.method === 'POST') {
+      const body = await readJsonBody(req);
+      state.invitations.push({ page: body.page || '', note: body.note || '', at: new Date().toISOString() });
+      return sendJson(res, { ok: true });
+    }
+    if (pathname === '/__fixture/reply' && req.method === 'POST') {
+      const body = await readJsonBody(req);
+      addMessage(body.page || '', body.text || '', true);
+      return sendJson(res, { ok: true });
+    }
+
+    if (pathname === '/login') {
+      return send(res, 200, PAGES.login());
+    }
+    if (pathname.startsWith('/checkpoint')) {
+      return send(res, 200, PAGES.captcha());
+    }
+    if (loggedIn && state.mode === 'checkpoint') {
+      return send(res, 302, '', { Location: `/checkpoint/challenge?session_redirect=${encodeURIComponent(url.pathname)}` });
+    }
+    if (pathname === '/') {
+      return send(res, 200, loggedIn ? PAGES.feed() : PAGES.landing());
+    }
+
+    // Everything below needs a session, like on LinkedIn
+    if (!loggedIn) {
+      return send(res, 302, '', { Location: `/login?session_redirect=${encodeURIComponent(url.pathname)}` });
+    }
+    if (state.mode === 'captcha') {
+      return send(res, 200, PAGES.captcha());
+    }
+
+    if (pathname === '/feed') {
+      return send(res, 200, PAGES.feed());
+    }
+
+    if (pathname === '/messaging') {
+      return send(res, 200, PAGES.inbox(listConversations(false)));
+    }
+    const threadMatch = pathname.match(/^\/messaging\/thread\/([^/]+)/);
+    if (threadMatch) {
+      const conversation = state.conversations.find(entry => entry.id === threadMatch[1] && !entry.salesNav);
+      return conversation ? send(res, 200, PAGES.thread(conversation)) : send(res, 404, PAGES.notFound());
+    }
+
+    const profileMatch = pathname.match(/^\/in\/([^/]+)/);
+    if (profileMatch) {
+      const slug = decodeURIComponent(profileMatch[1]).toLowerCase();
+      const profile = { name: nameFromSlug(slug), headline: 'Building things', canMessage: true, ...profiles[slug] };
+      profile.pending = profile.pending || state.invitations.some(invitation => invitation.page === url.pathname);
+      profile.history = (state.conversations.find(entry => entry.page === url.pathname) || {}).messages;
+      return send(res, 200, PAGES.profile(profile));
+    }
+
+    if (pathname === '/sales/home') {
+      return send(res, 200, PAGES.salesHome());
+    }
+    if (pathname === '/sales/inbox') {
+      return send(res, 200, PAGES.salesInbox(listConversations(true)));
+    }
+    const salesThreadMatch = pathname.match(/^\/sales\/inbox\/([^/]+)/);
+    if (salesThreadMatch) {
+      const conversation = state.conversations.find(entry => entry.id === salesThreadMatch[1] && entry.salesNav);
+      return conversation ? send(res, 200, PAGES.salesThread(conversation)) : send(res, 404, PAGES.notFound());
+    }
+    // Results are split into pages of pageSize leads, selected with the page parameter
+    const resultsPage = (heading, results) => {
+      const pages = Math.max(1, Math.ceil(results.length / pageSize));
+      const page = Math.min(Math.max(parseInt(url.searchParams.get('page'), 10) || 1, 1), pages);
+      return PAGES.salesResults(heading, results.slice((page - 1) * pageSize, page * pageSize), pagination(url, page, pages));
+    };
+
+    if (pathname === '/sales/search/people' && !url.searchParams.has('keywords')) {
+      return send(res, 200, PAGES.salesSearch());
+    }
+    if (pathname === '/sales/search/people' || pathname === '/sales/search/people/list') {
+      const keywords = url.searchParams.get('keywords') || '';
+      const terms = keywords.toLowerCase().split(/\s+/).filter(Boolean);
+      const results = leads.filter(lead => terms.every(term => lead.name.toLowerCase().includes(term)));
+      return send(res, 200, resultsPage(`${results.length} results for "${keywords}"`, results));
+    }
+    // Every saved lead list holds all the leads
+    if (/^\/sales\/lists\/people\/[^/]+$/.test(pathname)) {
+      return send(res, 200, resultsPage(`Saved list: ${leads.length} leads`, leads));
+    }
+
+    const leadMatch = pathname.match(/^\/sales\/(?:lead|people|profile)\/([^/,]+)/);
+    if (leadMatch) {
+      const id = decodeURIComponent(leadMatch[1]);
+      const lead = leads.find(entry => entry.id === id) ||
+        { id, name: 'Alex Example', title: 'Director', company: 'Example Inc', industry: 'Consulting', location: 'Remote' };
+      const conversation = state.conversations.find(entry => entry.page === url.pathname);
+      return send(res, 200, PAGES.salesLead({ ...lead, history: conversation ? conversation.messages : [] }));
+    }
+
+    return send(res, 404, PAGES.notFound());
+  };
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch(error => send(res, 500, escapeHtml(error.message)));
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  return {
+    url: `http://${host}:${server.address().port}`,
+    messages: state.messages,
+    invitations: state.invitations,
+    conversations: state.conversations,
+    addReply: (page, text) => addMessage(page, text, true),
+    setMode: (next) => {
+      if (!FIXTURE_MODES.includes(next)) {
+        throw new Error(`Unknown fixture mode: ${next}`);
+      }
+      state.mode = next;
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+module.exports = {
+  FIXTURE_MODES,
+  DEFAULT_LEADS,
+  startFixtureServer
+};
+
+if (require.main === module) {
+  const argValue = (name, fallback) => {
+    const index = process.argv.indexOf(`--${name}`);
+    return index > -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+  };
+
+  startFixtureServer({ port: Number(argValue('port', 3000)), mode: argValue('mode', 'normal') })
+    .then(fixture => {
+      console.log(`Fixture server listening on ${fixture.url} (mode: ${argValue('mode', 'normal')})`);
+      console.log(`Run the script against it with --base-url ${fixture.url} and any LI_AT value`);
+    })
+    .catch(error => {
+      console.error(error.message);
+      process.exit(1);
+    });
+}
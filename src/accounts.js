@@ -0,0 +1,301 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const config = require('../config/config');
+const { mergeConfig } = require('./config-loader');
+const { logger, setAccount } = require('./logger');
+
+// ID of the only account when config.accounts is empty
+const DEFAULT_ACCOUNT_ID = 'default';
+
+// State files kept apart for each account, since each account has its own quota, progress and sequences
+const ACCOUNT_STATE_FILES = ['checkpointJson', 'quotaStateJson', 'sequenceStateJson'];
+
+// Account whose settings are applied to the config, set by runForAccounts
+let activeAccount = null;
+
+// Lock files held by this process, removed when it exits
+const heldLocks = new Set();
+
+/**
+ * Get the browser profile of an account. Without persistentSession, each run starts from
+ * a fresh temporary profile unless a directory is set explicitly.
+ * @param {string} accountId - Account ID
+ * @param {string} [userDataDir] - Directory set in the config
+ * @returns {string} - Browser profile directory, '' for a temporary profile
+ */
+const browserProfileDir = (accountId, userDataDir) => {
+  if (userDataDir) {
+    return userDataDir;
+  }
+  return config.browser.persistentSession === false ? '' : path.join(config.files.browserProfilesDir, accountId);
+};
+
+/**
+ * Get the configured accounts. Without config.accounts, the single account from
+ * linkedinCookies, messaging.senderName and browser.userDataDir is used.
+ * @returns {Array<{id: string, li_at: string, cookiesFile: string, senderName: string, quotas: Object, userDataDir: string}>} - Accounts in config order
+ */
+const getAccounts = () => {
+  if (!Array.isArray(config.accounts) || config.accounts.length === 0) {
+    return [{
+      id: DEFAULT_ACCOUNT_ID,
+      li_at: config.linkedinCookies.li_at,
+      cookiesFile: config.linkedinCookies.file || '',
+      senderName: config.messaging.senderName || '',
+      quotas: {},
+      userDataDir: browserProfileDir(DEFAULT_ACCOUNT_ID, config.browser.userDataDir)
+    }];
+  }
+
+  return config.accounts.map(account => ({
+    id: account.id,
+    li_at: account.li_at || '',
+    cookiesFile: account.cookiesFile || '',
+    senderName: account.senderName || '',
+    quotas: account.quotas || {},
+    // Each account needs its own browser profile, or the sessions would overwrite each other
+    userDataDir: browserProfileDir(account.id, account.userDataDir)
+  }));
+};
+
+/**
+ * Get the account the current run works for
+ * @returns {Object|null} - Account from getAccounts, or null outside runForAccounts
+ */
+const getActiveAccount = () => activeAccount;
+
+/**
+ * Build the path of an account's own copy of a state file
+ * @param {string} filePath - Shared path, e.g. ./state/quotas.json
+ * @param {string} accountId - Account ID
+ * @returns {string} - e.g. ./state/quotas.sales-1.json
+ */
+const accountFilePath = (filePath, accountId) => {
+  const extension = path.extname(filePath);
+  return path.join(path.dirname(filePath), `${path.basename(filePath, extension)}.${accountId}${extension}`);
+};
+
+/**
+ * Find the account a profile belongs to
+ * @param {Object} profile - Profile data from the CSV
+ * @param {number} index - Row index of the profile in the CSV
+ * @returns {Object|null} - Account, or null when the owner column names no configured account
+ */
+const assignAccount = (profile, index) => {
+  const accounts = getAccounts();
+  if (accounts.length === 1 && config.accounts.length === 0) {
+    return accounts[0];
+  }
+
+  if (config.sharding.strategy === 'owner') {
+    // The owner column may hold the account ID or the sender name
+    const owner = String(profile[config.sharding.ownerColumn] || '').trim().toLowerCase();
+    return accounts.find(account =>
+      owner && (account.id.toLowerCase() === owner || account.senderName.toLowerCase() === owner)
+    ) || null;
+  }
+
+  return accounts[index % accounts.length];
+};
+
+/**
+ * Check whether a sent-messages log row was written by the active account. Rows written
+ * before accounts were configured, or by an account that was removed, belong to the first account.
+ * @param {Object} row - Log row
+ * @returns {boolean} - True when the row belongs to the active account, or outside runForAccounts
+ */
+const isActiveAccountRow = (row) => {
+  if (!activeAccount) {
+    return true;
+  }
+  const accounts = getAccounts();
+  const owner = accounts.find(account => account.id === row.account) || accounts[0];
+  return owner.id === activeAccount.id;
+};
+
+/**
+ * Apply an account's cookies, sender name, quotas, browser profile and state files to the config
+ * @param {Object} account - Account from getAccounts
+ * @returns {Function} - Restores the config as it was
+ */
+const applyAccount = (account) => {
+  const saved = {
+    li_at: config.linkedinCookies.li_at,
+    cookiesFile: config.linkedinCookies.file,
+    senderName: config.messaging.senderName,
+    quotas: config.quotas,
+    userDataDir: config.browser.userDataDir,
+    files: { ...config.files }
+  };
+
+  config.linkedinCookies.li_at = account.li_at;
+  config.linkedinCookies.file = account.cookiesFile || null;
+  config.messaging.senderName = account.senderName;
+  config.quotas = mergeConfig(config.quotas, account.quotas);
+  config.browser.userDataDir = account.userDataDir || null;
+
+  // A single account keeps the state files it had before accounts were configured
+  if (config.accounts.length > 0) {
+    ACCOUNT_STATE_FILES.forEach(key => {
+      config.files[key] = accountFilePath(config.files[key], account.id);
+    });
+  }
+
+  activeAccount = account;
+  setAccount(account.id);
+
+  return () => {
+    config.linkedinCookies.li_at = saved.li_at;
+    config.linkedinCookies.file = saved.cookiesFile;
+    config.messaging.senderName = saved.senderName;
+    config.quotas = saved.quotas;
+    config.browser.userDataDir = saved.userDataDir;
+    Object.assign(config.files, saved.files);
+    activeAccount = null;
+    setAccount(null);
+  };
+};
+
+/**
+ * Check whether the process that wrote a lock is gone. Locks from other hosts can't be checked
+ * and are never treated as stale.
+ * @param {Object} lock - Contents of the lock file
+ * @returns {boolean} - True when the lock can be taken over
+ */
+const isStaleLock = (lock) => {
+  if (!lock || !Number.isInteger(lock.pid)) {
+    return true;
+  }
+  if (lock.host !== os.hostname()) {
+    return false;
+  }
+  try {
+    process.kill(lock.pid, 0);
+    return false;
+  } catch (error) {
+    return error.code === 'ESRCH';
+  }
+};
+
+/**
+ * Take the lock of an account, so two runs never use the same account at the same time.
+ * A lock left by a process that is no longer running is taken over.
+ * @param {Object} account - Account from getAccounts
+ * @returns {Promise<{acquired: boolean, reason: string}>} - Whether the lock was taken, and why not
+ */
+const acquireAccountLock = async (account) => {
+  const filePath = path.join(config.files.locksDir, `${account.id}.lock`);
+  await fs.ensureDir(config.files.locksDir);
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      const lock = { pid: process.pid, host: os.hostname(), startedAt: new Date().toISOString() };
+      await fs.writeFile(filePath, JSON.stringify(lock), { flag: 'wx' });
+      heldLocks.add(filePath);
+      return { acquired: true, reason: '' };
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    const existing = await fs.readJson(filePath).catch(() => null);
+    if (!isStaleLock(existing)) {
+      return {
+        acquired: false,
+        reason: `Account ${account.id} is in use by process ${existing.pid} on ${existing.host} since ${existing.startedAt} ` +
+          `- if that run is gone, delete ${filePath}`
+      };
+    }
+
+    logger.warn(`Taking over the lock of account ${account.id} left by a process that is no longer running`);
+    await fs.remove(filePath);
+  }
+
+  return { acquired: false, reason: `Could not lock account ${account.id} (${filePath})` };
+};
+
+/**
+ * Release the lock of an account taken by this process
+ * @param {Object} account - Account from getAccounts
+ */
+const releaseAccountLock = async (account) => {
+  const filePath = path.join(config.files.locksDir, `${account.id}.lock`);
+  if (heldLocks.has(filePath)) {
+    heldLocks.delete(filePath);
+    await fs.remove(filePath);
+  }
+};
+
+// Don't leave locks behind when the process exits in the middle of a run
+process.on('exit', () => {
+  heldLocks.forEach(filePath => {
+    try {
+      fs.removeSync(filePath);
+    } catch (error) {
+      // Nothing left to do, a later run takes over the stale lock
+    }
+  });
+});
+
+/**
+ * Run a command once for each account, one after the other, with the account's settings
+ * applied and its lock held
+ * @param {Function} run - Async function taking the account and returning an exit code
+ * @param {Object} [options]
+ * @param {string} [options.accountId] - Only run for this account (--account)
+ * @param {boolean} [options.single] - Only run for one account, the first one unless accountId is set
+ * @returns {Promise<number>} - Highest exit code of the runs
+ */
+const runForAccounts = async (run, { accountId, single = false } = {}) => {
+  let accounts = getAccounts();
+
+  if (accountId) {
+    accounts = accounts.filter(account => account.id === accountId);
+    if (accounts.length === 0) {
+      logger.error(`Unknown account: ${accountId} (expected ${getAccounts().map(account => account.id).join(', ')})`);
+      return 1;
+    }
+  }
+  if (single) {
+    accounts = accounts.slice(0, 1);
+  }
+
+  let code = 0;
+  for (const account of accounts) {
+    if (config.accounts.length > 0) {
+      logger.info(`--- Account ${account.id}${account.senderName ? ` (${account.senderName})` : ''} ---`);
+    }
+
+    const lock = await acquireAccountLock(account);
+    if (!lock.acquired) {
+      logger.error(lock.reason);
+      code = 1;
+      continue;
+    }
+
+    const restore = applyAccount(account);
+    try {
+      code = Math.max(code, await run(account));
+    } finally {
+      restore();
+      await releaseAccountLock(account);
+    }
+  }
+
+  return code;
+};
+
+module.exports = {
+  DEFAULT_ACCOUNT_ID,
+  getAccounts,
+  getActiveAccount,
+  accountFilePath,
+  assignAccount,
+  isActiveAccountRow,
+  applyAccount,
+  acquireAccountLock,
+  releaseAccountLock,
+  runForAccounts
+};
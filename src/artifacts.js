@@ -0,0 +1,168 @@
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config/config');
+const { logger, getRunId, getProfile, createRunId, RUN_ID_PATTERN } = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// When screenshots are taken, see artifacts.screenshots
+const SCREENSHOT_POLICIES = ['off', 'on-failure', 'always'];
+
+// Folder for artifacts taken outside a profile, e.g. during login
+const SESSION_FOLDER = '_session';
+
+// Artifacts are numbered so a folder lists in the order they were taken
+let sequence = 0;
+let fallbackRunId = null;
+
+/**
+ * Turn a profile URL into a folder name
+ * @param {string} url - Profile URL
+ * @returns {string} - Folder name, e.g. jane-doe or lead-ACwAAA123
+ */
+const profileSlug = (url) => {
+  if (!url) {
+    return SESSION_FOLDER;
+  }
+
+  let pathname = url;
+  try {
+    pathname = new URL(url).pathname;
+  } catch (error) {
+    // Not a full URL, use it as it is
+  }
+
+  const publicMatch = pathname.match(/\/in\/([^/]+)/i);
+  const salesMatch = pathname.match(/\/sales\/(lead|people|profile)\/([^/,]+)/i);
+  const slug = publicMatch ? publicMatch[1] : salesMatch ? `${salesMatch[1]}-${salesMatch[2]}` : pathname;
+
+  return slug.replace(/[^a-zA-Z0-9_-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 80) || SESSION_FOLDER;
+};
+
+/**
+ * Get the artifact folder of the current run and profile, creating it if needed
+ * @returns {string} - Folder path, runs/<run id>/<profile slug>
+ */
+const getArtifactDir = () => {
+  // Outside a logged run (e.g. a script using the client directly) artifacts still get their own folder
+  const runId = getRunId() || (fallbackRunId = fallbackRunId || createRunId());
+  const dir = path.join(config.artifacts.dir, runId, profileSlug(getProfile()));
+  fs.ensureDirSync(dir);
+  return dir;
+};
+
+/**
+ * Build the path of the next artifact in the current folder
+ * @param {string} name - Short name, e.g. 'message-composer'
+ * @param {string} extension - File extension without the dot
+ * @returns {string} - File path
+ */
+const nextArtifactPath = (name, extension) => {
+  sequence++;
+  return path.join(getArtifactDir(), `${String(sequence).padStart(3, '0')}-${name}.${extension}`);
+};
+
+/**
+ * Check whether the screenshot policy allows a screenshot
+ * @param {boolean} failure - The screenshot documents a failure
+ * @returns {boolean} - True if it should be taken
+ */
+const shouldCapture = (failure) => {
+  const policy = config.artifacts.screenshots;
+  return policy === 'always' || (policy === 'on-failure' && failure);
+};
+
+/**
+ * Take a screenshot of the page into the current artifact folder, if the policy allows it
+ * @param {Object} page - Puppeteer page
+ * @param {string} name - Short name, e.g. 'send-button-not-found'
+ * @param {Object} [options]
+ * @param {boolean} [options.failure] - The screenshot documents a failure
+ * @param {boolean} [options.fullPage] - Capture the full scrollable page
+ * @returns {Promise<string|null>} - Path of the screenshot, or null if none was taken
+ */
+const captureScreenshot = async (page, name, { failure = false, fullPage = false } = {}) => {
+  if (!shouldCapture(failure)) {
+    return null;
+  }
+
+  const filePath = nextArtifactPath(name, 'png');
+  try {
+    await page.screenshot({ path: filePath, fullPage });
+    logger.debug(`Screenshot saved to ${filePath}`, { artifact: filePath });
+    return filePath;
+  } catch (error) {
+    logger.debug(`Could not save screenshot ${name}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Save the HTML of the page into the current artifact folder, unless screenshots are off
+ * @param {Object} page - Puppeteer page
+ * @param {string} name - Short name, e.g. 'message-button-not-found'
+ * @returns {Promise<string|null>} - Path of the file, or null if none was written
+ */
+const capturePageContent = async (page, name) => {
+  if (config.artifacts.screenshots === 'off') {
+    return null;
+  }
+
+  const filePath = nextArtifactPath(name, 'html');
+  try {
+    await fs.writeFile(filePath, await page.content());
+    logger.debug(`Page content saved to ${filePath}`, { artifact: filePath });
+    return filePath;
+  } catch (error) {
+    logger.debug(`Could not save page content ${name}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Delete run artifact folders and run logs older than artifacts.retentionDays. Only entries named
+ * after a run ID are deleted, so other folders and files in the same directories are left alone.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} - Number of folders and files deleted
+ */
+const cleanupArtifacts = async (now = new Date()) => {
+  const days = config.artifacts.retentionDays;
+  if (days === null || days === undefined) {
+    return 0;
+  }
+
+  const cutoff = now.getTime() - days * DAY_MS;
+  let deleted = 0;
+
+  const prune = async (dir, filter) => {
+    if (!await fs.pathExists(dir)) {
+      return;
+    }
+    for (const name of await fs.readdir(dir)) {
+      const entryPath = path.join(dir, name);
+      const stats = await fs.stat(entryPath);
+      if (filter(name, stats) && stats.mtime.getTime() < cutoff) {
+        await fs.remove(entryPath);
+        deleted++;
+      }
+    }
+  };
+
+  await prune(config.artifacts.dir, (name, stats) => stats.isDirectory() && RUN_ID_PATTERN.test(name));
+  await prune(config.files.runLogDir, (name, stats) => stats.isFile() && name.endsWith('.jsonl') &&
+    RUN_ID_PATTERN.test(path.basename(name, '.jsonl')));
+
+  if (deleted > 0) {
+    logger.info(`Deleted ${deleted} run artifacts and logs older than ${days} days`);
+  }
+  return deleted;
+};
+
+module.exports = {
+  SCREENSHOT_POLICIES,
+  profileSlug,
+  getArtifactDir,
+  captureScreenshot,
+  capturePageContent,
+  cleanupArtifacts
+};
@@ -0,0 +1,185 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const puppeteer = require('puppeteer');
+const config = require('../config/config');
+
+// Where Chrome and Chromium are installed by default, by platform, in order of preference
+const BROWSER_PATHS = {
+  darwin: [
+    '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+    path.join(os.homedir(), 'Applications/Google Chrome.app/Contents/MacOS/Google Chrome'),
+    '/Applications/Chromium.app/Contents/MacOS/Chromium',
+    '/Applications/Google Chrome Canary.app/Contents/MacOS/Google Chrome Canary'
+  ],
+  linux: [
+    '/usr/bin/google-chrome',
+    '/usr/bin/google-chrome-stable',
+    '/opt/google/chrome/chrome',
+    '/usr/bin/chromium',
+    '/usr/bin/chromium-browser',
+    '/snap/bin/chromium'
+  ],
+  win32: [
+    path.join(process.env.PROGRAMFILES || 'C:\\Program Files', 'Google\\Chrome\\Application\\chrome.exe'),
+    path.join(process.env['PROGRAMFILES(X86)'] || 'C:\\Program Files (x86)', 'Google\\Chrome\\Application\\chrome.exe'),
+    path.join(process.env.LOCALAPPDATA || path.join(os.homedir(), 'AppData\\Local'), 'Google\\Chrome\\Application\\chrome.exe')
+  ]
+};
+
+// Executable names looked up on the PATH when Chrome isn't in a default location
+const BROWSER_COMMANDS = ['google-chrome', 'google-chrome-stable', 'chromium', 'chromium-browser', 'chrome'];
+
+// Switches every launch gets. The sandbox switches let Chrome start as root in containers.
+const DEFAULT_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-web-security',
+  '--disable-features=IsolateOrigins,site-per-process',
+  '--disable-dev-shm-usage'
+];
+
+/**
+ * Check whether a file exists and can be run
+ * @param {string} filePath - Path to check
+ * @returns {boolean} - True for an executable file
+ */
+const isExecutable = (filePath) => {
+  try {
+    fs.accessSync(filePath, process.platform === 'win32' ? fs.constants.F_OK : fs.constants.X_OK);
+    return fs.statSync(filePath).isFile();
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Look for a command on the PATH
+ * @param {string} command - Executable name, e.g. google-chrome
+ * @returns {string|null} - Full path, or null when it isn't on the PATH
+ */
+const findOnPath = (command) => {
+  const extensions = process.platform === 'win32' ? ['.exe', ''] : [''];
+  for (const dir of (process.env.PATH || '').split(path.delimiter).filter(Boolean)) {
+    for (const extension of extensions) {
+      const candidate = path.join(dir, command + extension);
+      if (isExecutable(candidate)) {
+        return candidate;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Get the browser Puppeteer downloaded on install, if it did
+ * @returns {string|null} - Path of the downloaded Chrome, or null
+ */
+const downloadedBrowser = () => {
+  try {
+    const executablePath = puppeteer.executablePath();
+    return isExecutable(executablePath) ? executablePath : null;
+  } catch (error) {
+    // Puppeteer throws when its download is missing or was skipped
+    return null;
+  }
+};
+
+/**
+ * Find the Chrome or Chromium to launch: browser.executablePath when it is set, otherwise
+ * Chrome or Chromium in its default location or on the PATH, otherwise the browser Puppeteer downloaded
+ * @returns {{executablePath: string, source: string}} - Path of the browser and where it was found
+ * @throws {Error} - When browser.executablePath doesn't exist or no browser is found, saying how to fix it
+ */
+const findBrowserExecutable = () => {
+  const configured = config.browser.executablePath;
+  if (configured) {
+    if (!isExecutable(configured)) {
+      throw new Error(`Browser not found at ${configured} (browser.executablePath) - ` +
+        'check the path, or unset it to look for Chrome in the usual places');
+    }
+    return { executablePath: configured, source: 'browser.executablePath' };
+  }
+
+  const candidates = BROWSER_PATHS[process.platform] || [];
+  const installed = candidates.find(isExecutable);
+  if (installed) {
+    return { executablePath: installed, source: 'default location' };
+  }
+
+  for (const command of BROWSER_COMMANDS) {
+    const onPath = findOnPath(command);
+    if (onPath) {
+      return { executablePath: onPath, source: 'PATH' };
+    }
+  }
+
+  const downloaded = downloadedBrowser();
+  if (downloaded) {
+    return { executablePath: downloaded, source: 'Puppeteer download' };
+  }
+
+  throw new Error([
+    `No Chrome or Chromium found on ${process.platform}. Looked in:`,
+    ...candidates.map(candidate => `  ${candidate}`),
+    `  ${BROWSER_COMMANDS.join(', ')} on the PATH`,
+    '  the browser downloaded by Puppeteer',
+    'Install Google Chrome or Chromium, run `npx puppeteer browsers install chrome`, or set browser.executablePath ' +
+      '(LINKEDIN_BROWSER_PATH, --browser-path) to the browser executable'
+  ].join('\n'));
+};
+
+/**
+ * Convert browser.headless to Puppeteer's headless option
+ * @param {boolean|string} value - true or 'new' for Chrome's new headless mode, 'shell' for the old headless shell
+ * @returns {boolean|string} - true for the new headless mode, 'shell' for the old one, false for a window
+ */
+const headlessOption = (value) => {
+  if (value === 'shell') {
+    return 'shell';
+  }
+  return value === true || value === 'new';
+};
+
+/**
+ * Get the name of a command line switch
+ * @param {string} arg - e.g. --window-size=1280,800
+ * @returns {string} - e.g. --window-size
+ */
+const switchName = (arg) => String(arg).split('=')[0];
+
+/**
+ * Build the options for puppeteer.launch from the browser settings
+ * @returns {{options: Object, source: string}} - Launch options, and where the browser was found
+ * @throws {Error} - When no browser is found, see findBrowserExecutable
+ */
+const buildLaunchOptions = () => {
+  const { windowSize, viewport, args = [] } = config.browser;
+  const { executablePath, source } = findBrowserExecutable();
+
+  // Switches from browser.args replace the default ones of the same name
+  const extraArgs = Array.isArray(args) ? args.map(String) : [];
+  const overridden = new Set(extraArgs.map(switchName));
+  const launchArgs = [
+    ...DEFAULT_ARGS,
+    ...(windowSize ? [`--window-size=${windowSize.width},${windowSize.height}`] : [])
+  ].filter(arg => !overridden.has(switchName(arg))).concat(extraArgs);
+
+  return {
+    options: {
+      headless: headlessOption(config.browser.headless),
+      args: launchArgs,
+      // No viewport lets the page follow the window size
+      defaultViewport: viewport ? { width: viewport.width, height: viewport.height } : null,
+      executablePath,
+      // Each account keeps its own browser profile, see accounts.js
+      userDataDir: config.browser.userDataDir || undefined
+    },
+    source
+  };
+};
+
+module.exports = {
+  findBrowserExecutable,
+  buildLaunchOptions
+};
@@ -0,0 +1,511 @@
+const LinkedInClient = require('./linkedin-client');
+const { loadProfiles, renderMessage, logMessage, logInvitation, randomSleep } = require('./utils');
+const { writePreviewReport } = require('./preview-report');
+const { readSentLog, readInvitationLog, getLatestStatuses } = require('./sent-log');
+const { loadCheckpoint, saveCheckpoint, clearCheckpoint, getResumeIndex } = require('./checkpoint');
+const { normalizeProfileUrl, classifyProfileUrl, URL_TYPES } = require('./profile-url');
+const { assignVariant } = require('./variants');
+const { validateProfiles, printValidationReport } = require('./profile-validator');
+const { loadQuotaState, checkQuota, recordSend, getMessageAction } = require('./quota');
+const { saveSelectorStats } = require('./selectors');
+const { logger, setProfile } = require('./logger');
+const { cleanupArtifacts } = require('./artifacts');
+const { addToReviewQueue } = require('./review-queue');
+const { PROFILE_INFO_FIELDS, mergeProfileInfo } = require('./profile-info');
+const { getActiveAccount, assignAccount } = require('./accounts');
+const { logSessionRefreshSteps } = require('./session');
+const config = require('../config/config');
+const fs = require('fs-extra');
+
+// Campaign actions: send a message, or send a connection invitation with a note
+const CAMPAIGN_ACTIONS = ['message', 'connect'];
+
+// Log statuses that mean a profile is done and should not be contacted again. An unverified
+// message was probably sent, so it is not retried automatically to avoid messaging anyone twice.
+// Skipped profiles already had a conversation with us, and profiles in review wait for a person
+// to pick the right Sales Navigator lead.
+const DONE_STATUSES = ['success', 'pending', 'unverified', 'skipped', 'review'];
+
+/**
+ * Run a messaging or connection campaign over the profiles CSV
+ * @param {Object} [options]
+ * @param {string} [options.action] - One of CAMPAIGN_ACTIONS
+ * @param {boolean} [options.dryRun] - Visit every profile and open the composer, but never send
+ * @param {boolean} [options.retryFailed] - Only process profiles whose latest log row is a failure
+ * @param {boolean} [options.restart] - Ignore the checkpoint left by an interrupted run
+ * @param {boolean} [options.force] - Start even if profile validation finds errors, skipping those rows
+ * @param {{remaining: number}} [options.budget] - Messages the invocation may still send, shared with the
+ *   follow-ups that run after it. Reduced by the messages this run sends. Defaults to messaging.maxMessages.
+ * @returns {Promise<number>} - Process exit code
+ */
+async function runCampaign({ action: campaignAction = 'message', dryRun = false, retryFailed = false, restart = false, force = false, budget } = {}) {
+  const connect = campaignAction === 'connect';
+  logger.info(connect ? 'Starting LinkedIn connection script...' : 'Starting LinkedIn messaging script...');
+  
+  const previewEntries = [];
+  const mode = `${connect ? 'connect-' : ''}${retryFailed ? 'retry-failed' : 'send'}`;
+  const log = connect ? logInvitation : logMessage;
+  
+  if (dryRun) {
+    logger.info('DRY RUN - messages will not be sent, a preview report will be written instead');
+  }
+  
+  // Check for required directories
+  await fs.ensureDir('./data');
+  await fs.ensureDir('./logs');
+  await cleanupArtifacts();
+  
+  // Create a sample profiles.csv file if it doesn't exist
+  if (!await fs.pathExists(config.files.profilesCsv)) {
+    logger.info('Creating sample profiles.csv file...');
+    await fs.writeFile(
+      config.files.profilesCsv,
+      'url,firstName,lastName,industry,topic\n' +
+      'https://www.linkedin.com/sales/lead/ACwAAAxxxxxx,John,Doe,Software Development,AI\n' +
+      'https://www.linkedin.com/sales/lead/ACwAAAyyyyyy,Jane,Smith,Marketing,Social Media\n'
+    );
+    logger.info(`Sample file created at ${config.files.profilesCsv}`);
+    logger.info('Please edit this file with your actual prospect data before running the script again.');
+    return 0;
+  }
+  
+  // Load profiles from CSV
+  const profiles = await loadProfiles();
+  
+  if (profiles.length === 0) {
+    logger.error('No profiles found in CSV file');
+    return 1;
+  }
+  
+  logger.info(`Found ${profiles.length} profiles in CSV`);
+  
+  // Catch bad URLs, duplicates and missing template variables before the browser is launched
+  const validation = validateProfiles(profiles, { action: campaignAction });
+  printValidationReport(validation);
+  
+  if (validation.errorCount > 0) {
+    if (!force) {
+      logger.error('Profile validation failed - fix the errors above or run with --force to skip those rows');
+      return 1;
+    }
+    logger.warn('Continuing despite validation errors (--force), rows with errors will be skipped');
+  }
+  
+  if (validation.templateErrors.length > 0) {
+    logger.error('Cannot continue with a broken template');
+    return 1;
+  }
+  
+  // Work with canonical URLs from here on, so logs and checkpoints always match
+  validation.rows.forEach((row, index) => {
+    if (row.errors.length === 0) {
+      profiles[index].url = row.canonicalUrl;
+    }
+  });
+  
+  // Skip anyone who already has a row in the sent-messages log (or the invitations log when connecting)
+  const latestStatuses = getLatestStatuses(connect ? await readInvitationLog() : await readSentLog());
+  const startIndex = restart ? 0 : getResumeIndex(await loadCheckpoint(), profiles, mode);
+  
+  if (startIndex > 0) {
+    logger.info(`Resuming from checkpoint at profile ${startIndex + 1}/${profiles.length}`);
+  }
+  
+  const queue = [];
+  let alreadySent = 0;
+  let otherAccounts = 0;
+  const account = getActiveAccount();
+  
+  for (let i = startIndex; i < profiles.length; i++) {
+    if (validation.rows[i].errors.length > 0) {
+      continue;
+    }
+    
+    // With several accounts, each run only works on the profiles sharded to its account
+    const owner = account ? assignAccount(profiles[i], i) : null;
+    if (account && (!owner || owner.id !== account.id)) {
+      otherAccounts++;
+      continue;
+    }
+    
+    const previous = latestStatuses.get(normalizeProfileUrl(profiles[i].url));
+    const previousStatus = previous ? previous.status : null;
+    
+    if (DONE_STATUSES.includes(previousStatus)) {
+      alreadySent++;
+    } else if (!retryFailed || previousStatus === 'failed') {
+      queue.push({ profile: profiles[i], index: i });
+    }
+  }
+  
+  if (otherAccounts > 0) {
+    logger.info(`Leaving ${otherAccounts} profiles to the other accounts`);
+  }
+  logger.info(`Skipping ${alreadySent} profiles that were already ${connect ? 'invited' : 'messaged'}`);
+  if (retryFailed) {
+    logger.info(`Retrying ${queue.length} profiles that failed in earlier runs`);
+  } else {
+    logger.info(`Found ${queue.length} profiles to ${connect ? 'invite' : 'message'}`);
+  }
+  
+  if (queue.length === 0) {
+    logger.info('Nothing to do');
+    if (!dryRun) {
+      await clearCheckpoint();
+    }
+    return 0;
+  }
+  
+  // Each profile counts against the quota of its action type: InMail for Sales Navigator profiles,
+  // messages for the others, invitations when connecting
+  const actionOf = (profile) => (connect ? 'connection' : getMessageAction(profile.url));
+  
+  // Action types whose quota is used up, with the reason. Sends only add up, so they stay used up for the run.
+  const quotaState = await loadQuotaState();
+  const usedUpQuotas = new Map();
+  const quotaAllows = (action) => {
+    if (!usedUpQuotas.has(action)) {
+      const quota = checkQuota(quotaState, action);
+      if (quota.allowed) {
+        return true;
+      }
+      usedUpQuotas.set(action, quota.reason);
+    }
+    return false;
+  };
+  const usedUpReasons = () => [...new Set(usedUpQuotas.values())].join(', ');
+  
+  // Don't launch the browser at all if the quotas of every action type in the queue are already used up
+  if (!dryRun) {
+    const queuedActions = [...new Set(queue.map(entry => actionOf(entry.profile)))];
+    if (!queuedActions.some(quotaAllows)) {
+      logger.info(`Not starting: ${usedUpReasons()}`);
+      return 0;
+    }
+  }
+  
+  // Initialize the LinkedIn client
+  const client = new LinkedInClient();
+  let success = await client.initialize();
+  
+  if (!success) {
+    logger.error('Failed to initialize browser');
+    return 1;
+  }
+  
+  // Login to LinkedIn
+  success = await client.login();
+  
+  if (!success) {
+    logger.error('Failed to login to LinkedIn');
+    await client.close();
+    await saveSelectorStats();
+    return 1;
+  }
+  
+  const maxMessages = budget ? budget.remaining : config.messaging.maxMessages;
+  logger.info(`Will send maximum of ${maxMessages} ${connect ? 'invitations' : 'messages'}`);
+  
+  // Send messages
+  let messagesSent = 0;
+  let messagesFailed = 0;
+  let messagesUnverified = 0;
+  let messagesSkipped = 0;
+  let profilesInReview = 0;
+  let stopReason = '';
+  let quotaSkipped = 0;
+  const announcedQuotas = new Set();
+  
+  // Failures are logged to the CSV on real runs and collected in the preview on dry runs
+  const recordFailure = async (profile, preview, reason, details) => {
+    if (dryRun) {
+      preview.problems.push(reason);
+    } else {
+      await log(profile, 'failed', reason, details);
+    }
+    messagesFailed++;
+    return `failed: ${reason}`;
+  };
+  
+  // Process one profile at a time
+  let position = 0;
+  for (; position < queue.length && messagesSent + messagesUnverified < maxMessages; position++) {
+    const { profile, index: i } = queue[position];
+    const label = `[${i + 1}/${profiles.length}] ${[profile.firstName, profile.lastName].filter(Boolean).join(' ') || profile.url}`;
+    
+    // Skip profiles whose action type has used up its quota, and stop cleanly once every
+    // action type left in the queue has
+    const action = actionOf(profile);
+    if (!dryRun && !quotaAllows(action)) {
+      const remainingActions = new Set(queue.slice(position + 1).map(entry => actionOf(entry.profile)));
+      if (![...remainingActions].some(quotaAllows)) {
+        stopReason = usedUpReasons();
+        logger.warn(`Stopping run: ${stopReason}`);
+        break;
+      }
+      if (!announcedQuotas.has(action)) {
+        announcedQuotas.add(action);
+        logger.info(`${usedUpQuotas.get(action)}, skipping ${action} profiles for this run`);
+      }
+      quotaSkipped++;
+      continue;
+    }
+    
+    // Every entry from here on can be traced back to this profile
+    setProfile(profile.url);
+    logger.debug(`====== PROCESSING PROFILE ${i+1}/${profiles.length} ======`, { url: profile.url });
+    
+    // Each profile always gets the same template variant. Invitations have a single note template.
+    const variant = connect ? { id: '', template: config.connect.noteTemplate || '' } : assignVariant(profile);
+    logger.debug(`Template variant: ${variant.id}`, { variant: variant.id });
+    
+    const preview = {
+      profile,
+      variant: variant.id,
+      message: '',
+      openMethod: null,
+      input: null,
+      sendButton: null,
+      existingConversation: '',
+      profileInfo: null,
+      problems: []
+    };
+    if (dryRun) {
+      previewEntries.push(preview);
+    }
+    
+    let outcome = '';
+    let sessionLost = false;
+    
+    // Extra columns for the sent-messages log
+    const startedAt = Date.now();
+    const details = () => ({
+      variant: variant.id,
+      message: preview.message,
+      note: preview.message,
+      openMethod: preview.openMethod,
+      connectMethod: preview.openMethod,
+      sendMethod: preview.sendButton,
+      durationMs: Date.now() - startedAt,
+      finalUrl: client.currentUrl(),
+      existingConversation: preview.existingConversation
+    });
+    
+    try {
+      // Render first, so a broken template or a missing CSV value doesn't cost a profile visit.
+      // Variables the profile page can fill in are only checked once it has been read.
+      const policy = config.existingConversation.policy;
+      const render = (data, fromProfile) => {
+        const checkPlaceholders = ({ unresolved }, description) => {
+          const missing = unresolved.filter(name => PROFILE_INFO_FIELDS.includes(name) === fromProfile);
+          if (missing.length === 0) {
+            return;
+          }
+          const problem = `${description}: ${missing.join(', ')}`;
+          if (config.messaging.strictTemplates) {
+            throw new Error(problem);
+          }
+          logger.warn(`Warning: ${problem}`);
+          preview.problems.push(problem);
+        };
+        
+        const rendered = renderMessage(data, variant.template);
+        checkPlaceholders(rendered, 'Unresolved template placeholders');
+        preview.message = rendered.text;
+        
+        // Never visit a profile, or send, with a note LinkedIn would cut off or refuse
+        if (connect && rendered.text.length > config.connect.maxNoteLength) {
+          throw new Error(`Note is ${rendered.text.length} characters, the limit is ${config.connect.maxNoteLength}`);
+        }
+        
+        // Rendered up front too, so a broken follow-up template never leaves a composer half-used
+        const followupRendered = !connect && policy === 'followup' ?
+          renderMessage(data, config.existingConversation.template) :
+          null;
+        if (followupRendered) {
+          checkPlaceholders(followupRendered, 'Unresolved placeholders in the existing conversation template');
+        }
+        
+        return { message: rendered.text, followup: followupRendered };
+      };
+      
+      let { message, followup } = render(profile, false);
+      
+      // Regular profiles are looked up in Sales Navigator when --sales-nav is set
+      const urlType = classifyProfileUrl(profile.url);
+      const navigation = config.messaging.useSalesNav && urlType === URL_TYPES.PUBLIC_PROFILE ?
+        await client.navigateToProfileViaSalesNav(profile.url, profile) :
+        await client.navigateToProfile(profile.url, profile);
+      
+      // The CSV values take priority, the profile page fills in the rest
+      if (navigation.success) {
+        preview.profileInfo = navigation.profileInfo;
+        ({ message, followup } = render(mergeProfileInfo(profile, navigation.profileInfo), true));
+        logger.debug(`${connect ? 'Note' : 'Message'} to send:\n${message}`);
+      }
+      
+      if (navigation.needsReview) {
+        // Never message a lead we are not sure is the right person
+        if (dryRun) {
+          preview.problems.push(`Needs review: ${navigation.error}`);
+        } else {
+          await addToReviewQueue(profile, navigation.error, navigation.candidates);
+          await log(profile, 'review', navigation.error, details());
+        }
+        outcome = `needs review: ${navigation.error}`;
+        profilesInReview++;
+      } else if (!navigation.success) {
+        outcome = await recordFailure(profile, preview, navigation.error, details());
+        
+        // A CAPTCHA or lost session affects every remaining profile, so stop here
+        sessionLost = Boolean(navigation.sessionProblem);
+      } else if (connect) {
+        const result = await client.sendConnectionRequest(message, { dryRun });
+        preview.openMethod = result.connectMethod || null;
+        preview.sendButton = result.sendMethod || null;
+        
+        if (!result.success) {
+          outcome = await recordFailure(profile, preview, result.error, details());
+        } else if (result.pending) {
+          // Not sent now, but there is nothing left to do for this profile
+          if (!dryRun) {
+            await logInvitation(profile, 'pending', '', details());
+          }
+          outcome = 'invitation already pending';
+        } else if (dryRun) {
+          outcome = 'ready to invite';
+          messagesSent++;
+        } else if (!result.verified) {
+          // Counted against the quota, since the invitation most likely went out
+          await logInvitation(profile, 'unverified', result.verification, details());
+          await recordSend(quotaState, action);
+          outcome = `invitation unverified: ${result.verification}`;
+          messagesUnverified++;
+        } else {
+          await logInvitation(profile, 'success', '', details());
+          await recordSend(quotaState, action);
+          outcome = message ? 'invitation sent with note' : 'invitation sent';
+          messagesSent++;
+        }
+      } else {
+        const result = await client.sendMessage(message, {
+          dryRun,
+          existingConversation: policy,
+          followupMessage: followup ? followup.text : ''
+        });
+        const existing = result.existingConversation;
+        if (existing) {
+          preview.existingConversation = policy;
+          if (followup) {
+            preview.message = followup.text;
+          }
+        }
+        preview.openMethod = result.openMethod || null;
+        preview.input = result.openMethod ? (result.inputSelector || 'last resort (focused with Tab)') : null;
+        preview.sendButton = result.sendMethod || null;
+        logger.debug('Send result', { success: result.success, openMethod: preview.openMethod, input: preview.input, sendButton: preview.sendButton });
+        
+        if (!result.success) {
+          outcome = await recordFailure(profile, preview, result.error, details());
+        } else if (result.skipped) {
+          const reason = `Existing conversation with ${existing.messageCount} messages`;
+          if (dryRun) {
+            preview.problems.push(`${reason}, would be skipped`);
+          } else {
+            await logMessage(profile, 'skipped', reason, details());
+          }
+          outcome = `skipped: ${reason}`;
+          messagesSkipped++;
+        } else if (dryRun) {
+          outcome = preview.problems.length > 0 ? `ready, with problems: ${preview.problems.join('; ')}` : 'ready to send';
+          messagesSent++;
+        } else if (!result.verified) {
+          // Counted against the quota, since the message most likely went out
+          await logMessage(profile, 'unverified', result.verification, details());
+          await recordSend(quotaState, action);
+          outcome = `unverified (variant ${variant.id}): ${result.verification}`;
+          messagesUnverified++;
+        } else {
+          await logMessage(profile, 'success', '', details());
+          await recordSend(quotaState, action);
+          outcome = existing ?
+            `sent into an existing conversation (${policy === 'followup' ? 'follow-up template' : `variant ${variant.id}`})` :
+            `sent (variant ${variant.id})`;
+          messagesSent++;
+        }
+      }
+    } catch (error) {
+      logger.debug(`Error processing profile: ${error.message}`, { error });
+      outcome = await recordFailure(profile, preview, `Error: ${error.message}`, details());
+    }
+    
+    logger.info(`${label} - ${outcome}`, { outcome });
+    
+    // A profile that hit a session problem wasn't really tried, so a resumed run starts with it.
+    // Profiles skipped for a quota must not be passed over by the next run either.
+    if (!dryRun && !sessionLost && quotaSkipped === 0) {
+      await saveCheckpoint({ mode, lastIndex: i, url: profile.url });
+    }
+    setProfile(null);
+    
+    if (sessionLost) {
+      stopReason = outcome.replace(/^failed: /, '');
+      logger.warn(`Stopping run: ${stopReason}`);
+      logSessionRefreshSteps(client.sessionProblem || 'expired');
+      break;
+    }
+    
+    // Add a longer delay between profiles
+    logger.debug('Waiting before processing next profile...');
+    await randomSleep(8000, 12000);
+  }
+  
+  // Every queued profile was processed, so the next run starts from the top
+  if (!dryRun && position >= queue.length) {
+    await clearCheckpoint();
+  }
+  if (budget) {
+    budget.remaining -= messagesSent + messagesUnverified;
+  }
+  
+  // Close the browser
+  await client.close();
+  await saveSelectorStats();
+  
+  // Print summary
+  logger.info('--- Summary ---');
+  if (dryRun) {
+    const reportPath = await writePreviewReport(previewEntries);
+    logger.info(`Messages ready to send: ${messagesSent}`);
+    logger.info(`Profiles with problems: ${messagesFailed}`);
+    logger.info(`Profiles to skip for an existing conversation: ${messagesSkipped}`);
+    logger.info(`Preview report: ${reportPath}`);
+  } else if (connect) {
+    logger.info(`Invitations sent: ${messagesSent}`);
+    logger.info(`Invitations unverified: ${messagesUnverified}`);
+    logger.info(`Invitations failed: ${messagesFailed}`);
+    logger.info(`Log file: ${config.files.invitationsCsv}`);
+  } else {
+    logger.info(`Messages sent: ${messagesSent}`);
+    logger.info(`Messages unverified: ${messagesUnverified}`);
+    logger.info(`Skipped for an existing conversation: ${messagesSkipped}`);
+    logger.info(`Messages failed: ${messagesFailed}`);
+    logger.info(`Log file: ${config.files.logsCsv}`);
+  }
+  if (quotaSkipped > 0) {
+    logger.info(`Skipped for a used-up quota: ${quotaSkipped} (${usedUpReasons()})`);
+  }
+  if (profilesInReview > 0) {
+    logger.info(`Profiles needing review: ${profilesInReview}${dryRun ? '' : ` (${config.files.reviewCsv})`}`);
+  }
+  if (stopReason) {
+    logger.info(`Stopped early: ${stopReason}`);
+  }
+  
+  return 0;
+}
+
+module.exports = {
+  CAMPAIGN_ACTIONS,
+  runCampaign
+};
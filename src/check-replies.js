@@ -0,0 +1,268 @@
+const LinkedInClient = require('./linkedin-client');
+const config = require('../config/config');
+const { randomSleep } = require('./utils');
+const { MESSAGED_STATUSES, readSentLog, getLatestStatuses } = require('./sent-log');
+const { loadReplies, saveReplies } = require('./replies');
+const { normalizeProfileUrl } = require('./profile-url');
+const { isActiveAccountRow } = require('./accounts');
+const { saveSelectorStats } = require('./selectors');
+const { logSessionRefreshSteps } = require('./session');
+const { logger } = require('./logger');
+
+// Longest reply snippet stored in the replies file
+const SNIPPET_LENGTH = 200;
+
+/**
+ * Reduce a profile URL to the part that identifies the person, on any host.
+ * Conversations link to /in/ or /sales/lead/ pages, possibly on the fixture server.
+ * @param {string} url - Profile or lead URL
+ * @returns {string} - e.g. /in/jane-doe or /sales/lead/ACwAAA123, or an empty string
+ */
+const profileKey = (url) => {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch (error) {
+    return '';
+  }
+
+  const publicMatch = pathname.match(/^\/in\/([^/]+)/i);
+  if (publicMatch) {
+    return `/in/${decodeURIComponent(publicMatch[1]).toLowerCase()}`;
+  }
+  const salesMatch = pathname.match(/^\/sales\/(?:lead|people|profile)\/([^/,]+)/i);
+  return salesMatch ? `/sales/lead/${salesMatch[1]}` : '';
+};
+
+/**
+ * Normalize a person's name for comparison: lowercase, no accents, credentials or punctuation
+ * @param {string} name - Name as shown in the inbox or the log
+ * @returns {string} - e.g. "Jane Doe, MBA" -> "jane doe"
+ */
+const normalizeName = (name) => (name || '')
+  .split(',')[0]
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z\s'-]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Split a name into the words that can identify a person, leaving out initials
+ * @param {string} name - Name as shown in the inbox or the log
+ * @returns {Array<string>} - e.g. "Zoë O'Brien, PhD" -> ["zoe", "o'brien"]
+ */
+const nameTokens = (name) => normalizeName(name).split(' ').filter(token => token.replace(/['-]/g, '').length > 1);
+
+/**
+ * Index the profiles that were messaged, so conversations can be matched to them
+ * @param {Array<Object>} leads - Latest log row of each messaged profile
+ * @returns {{byKey: Map<string, Object>, byName: Map<string, Object|null>, tokens: Set<string>}} - Leads by
+ *   profile key and by name, and every word of their names. Names shared by several leads map to null,
+ *   since they can't be told apart by name.
+ */
+const buildLeadIndex = (leads) => {
+  const byKey = new Map();
+  const byName = new Map();
+  const tokens = new Set();
+
+  leads.forEach(lead => {
+    [lead.url, lead.finalUrl].map(profileKey).filter(Boolean).forEach(key => byKey.set(key, lead));
+
+    const name = normalizeName(lead.name);
+    if (name) {
+      byName.set(name, byName.has(name) ? null : lead);
+    }
+    nameTokens(lead.name).forEach(token => tokens.add(token));
+  });
+
+  return { byKey, byName, tokens };
+};
+
+/**
+ * Check whether a conversation in the inbox list could be with a messaged lead, so it is worth opening.
+ * The logged name often differs from the inbox name (a CSV row without a last name, a nickname), so
+ * sharing a single word of the name is enough. Opening the conversation then matches it by profile link.
+ * @param {Object} index - Index returned by buildLeadIndex
+ * @param {string} name - Name shown in the inbox list
+ * @returns {boolean} - True when the conversation should be opened
+ */
+const mayBeLead = (index, name) => {
+  return index.byName.has(normalizeName(name)) || nameTokens(name).some(token => index.tokens.has(token));
+};
+
+/**
+ * Find the messaged lead a conversation belongs to
+ * @param {Object} index - Index returned by buildLeadIndex
+ * @param {Object} conversation - { name, participantUrl }
+ * @returns {Object|null} - Latest log row of the lead
+ */
+const matchLead = (index, { name, participantUrl }) => {
+  const key = profileKey(participantUrl);
+  if (key && index.byKey.has(key)) {
+    return index.byKey.get(key);
+  }
+  return index.byName.get(normalizeName(name)) || null;
+};
+
+/**
+ * Find the lead's reply in a conversation: the first incoming message after one of ours
+ * that was not written before our message was logged
+ * @param {Array<Object>} messages - Messages returned by LinkedInClient.readConversation
+ * @param {string} sentAt - ISO timestamp of our message in the log
+ * @returns {Object|null} - The reply message
+ */
+const findReply = (messages, sentAt) => {
+  const firstOutgoing = messages.findIndex(message => !message.incoming);
+  if (firstOutgoing === -1) {
+    return null;
+  }
+
+  return messages.slice(firstOutgoing + 1).find(message => {
+    if (!message.incoming) {
+      return false;
+    }
+    const time = Date.parse(message.time);
+    return Number.isNaN(time) || !sentAt || time >= Date.parse(sentAt);
+  }) || null;
+};
+
+/**
+ * Build a reply row for the replies file
+ * @param {Object} lead - Latest log row of the lead
+ * @param {Object} reply - Reply message
+ * @param {string} inbox - Inbox the reply was found in
+ * @param {Date} checkedAt - When the inbox was checked, used when the reply has no readable time
+ * @returns {Object} - Row keyed by the ids in REPLY_COLUMNS
+ */
+const buildReplyRow = (lead, reply, inbox, checkedAt) => {
+  const time = Date.parse(reply.time);
+  return {
+    url: lead.url,
+    repliedAt: Number.isNaN(time) ? checkedAt.toISOString() : new Date(time).toISOString(),
+    snippet: reply.text.replace(/\s+/g, ' ').trim().slice(0, SNIPPET_LENGTH),
+    name: (lead.name || '').trim(),
+    inbox
+  };
+};
+
+/**
+ * Scan the inboxes for replies from messaged profiles and record them in the replies file.
+ * A reply that is already recorded keeps its original time and snippet.
+ * @returns {Promise<number>} - Process exit code
+ */
+async function runCheckReplies() {
+  // Each account only sees the conversations of the messages it sent
+  const leads = Array.from(getLatestStatuses((await readSentLog()).filter(isActiveAccountRow)).values())
+    .filter(row => MESSAGED_STATUSES.includes(row.status));
+
+  if (leads.length === 0) {
+    logger.info(`No sent messages in ${config.files.logsCsv}, nothing to check`);
+    return 0;
+  }
+
+  const index = buildLeadIndex(leads);
+  const replies = await loadReplies();
+  const alreadyReplied = replies.size;
+  const checkedAt = new Date();
+  const checked = new Set();
+  let stopReason = '';
+
+  logger.info(`Checking replies from ${leads.length} messaged profiles...`);
+
+  const client = new LinkedInClient();
+  if (!await client.initialize()) {
+    logger.error('Failed to initialize browser');
+    return 1;
+  }
+
+  if (!await client.login()) {
+    logger.error('Failed to login to LinkedIn');
+    await client.close();
+    await saveSelectorStats();
+    return 1;
+  }
+
+  for (const inbox of config.replies.inboxes) {
+    const result = await client.readInbox(inbox, { limit: config.replies.maxConversations });
+    if (!result.success) {
+      logger.warn(`Could not read the ${inbox} inbox: ${result.error}`);
+      if (result.sessionProblem) {
+        stopReason = result.error;
+        break;
+      }
+      continue;
+    }
+
+    // Only open conversations whose name could belong to a messaged profile. The profile link in
+    // the conversation tells apart leads with similar or shared names.
+    const candidates = result.conversations.filter(conversation => mayBeLead(index, conversation.name));
+    logger.info(`${inbox} inbox: ${result.conversations.length} conversations, ${candidates.length} with messaged profiles`);
+
+    for (const conversation of candidates) {
+      const thread = await client.readConversation(conversation.url);
+      if (!thread.success) {
+        logger.warn(`Could not read the conversation with ${conversation.name}: ${thread.error}`);
+        if (thread.sessionProblem) {
+          stopReason = thread.error;
+          break;
+        }
+        continue;
+      }
+
+      const lead = matchLead(index, { name: conversation.name, participantUrl: thread.participantUrl });
+      if (!lead) {
+        continue;
+      }
+
+      const key = normalizeProfileUrl(lead.url);
+      checked.add(key);
+
+      const reply = findReply(thread.messages, lead.timestamp);
+      if (!reply) {
+        logger.debug(`No reply from ${conversation.name}`, { url: lead.url });
+      } else if (!replies.has(key)) {
+        const row = buildReplyRow(lead, reply, inbox, checkedAt);
+        replies.set(key, row);
+        logger.info(`New reply from ${row.name || lead.url} (${row.repliedAt}): ${row.snippet}`, { url: lead.url, inbox });
+      }
+
+      await randomSleep();
+    }
+
+    if (stopReason) {
+      break;
+    }
+  }
+
+  await client.close();
+  await saveSelectorStats();
+  await saveReplies(replies.values());
+
+  const replied = leads.filter(lead => replies.has(normalizeProfileUrl(lead.url))).length;
+
+  logger.info('--- Summary ---');
+  logger.info(`Conversations checked: ${checked.size}`);
+  logger.info(`New replies: ${replies.size - alreadyReplied}`);
+  logger.info(`Reply rate: ${replied}/${leads.length} messaged profiles (${(replied / leads.length * 100).toFixed(1)}%)`);
+  logger.info(`Replies file: ${config.files.repliesCsv}`);
+  if (stopReason) {
+    logger.info(`Stopped early: ${stopReason}`);
+    logSessionRefreshSteps(client.sessionProblem || 'expired');
+    return 1;
+  }
+
+  return 0;
+}
+
+module.exports = {
+  profileKey,
+  normalizeName,
+  buildLeadIndex,
+  mayBeLead,
+  matchLead,
+  findReply,
+  buildReplyRow,
+  runCheckReplies
+};
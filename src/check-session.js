@@ -0,0 +1,73 @@
+const LinkedInClient = require('./linkedin-client');
+const config = require('../config/config');
+const { randomSleep } = require('./utils');
+const { logSessionRefreshSteps } = require('./session');
+const { saveSelectorStats } = require('./selectors');
+const { logger } = require('./logger');
+
+// How long a visible browser waits for the operator to log in or pass a security check
+const MANUAL_LOGIN_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Wait for the operator to log in, or pass a security check, in the browser window
+ * @param {LinkedInClient} client - Client with a visible browser
+ * @returns {Promise<boolean>} - True once the session is valid, false on timeout
+ */
+const waitForManualLogin = async (client) => {
+  logger.info(`Log in to LinkedIn, or complete the security check, in the browser window. ` +
+    `Waiting up to ${MANUAL_LOGIN_TIMEOUT_MS / 60000} minutes...`);
+
+  const deadline = Date.now() + MANUAL_LOGIN_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    await randomSleep(5000, 5000);
+    try {
+      if (!await client.diagnoseSession()) {
+        return true;
+      }
+    } catch (error) {
+      // The page is navigating while the operator logs in, check again on the next round
+      logger.debug(`Session check failed: ${error.message}`);
+    }
+  }
+  return false;
+};
+
+/**
+ * Check the session of the account before a campaign, and refresh it: cookies from
+ * linkedinCookies (or --cookies) are imported into the browser profile, and with a visible
+ * browser the operator can log in by hand. The browser profile keeps the session for later runs.
+ * @returns {Promise<number>} - Process exit code, 1 when there is no valid session
+ */
+const runCheckSession = async () => {
+  const client = new LinkedInClient();
+  if (!await client.initialize()) {
+    logger.error('Failed to initialize browser');
+    return 1;
+  }
+
+  // A visible browser gives the operator the chance to fix the session before explaining how
+  const manual = !config.browser.headless && Boolean(config.browser.userDataDir);
+  let loggedIn = await client.login({ explain: !manual });
+
+  if (!loggedIn && manual && client.sessionProblem) {
+    loggedIn = await waitForManualLogin(client);
+    if (!loggedIn) {
+      logSessionRefreshSteps(client.sessionProblem);
+    }
+  }
+
+  if (loggedIn) {
+    const savedIn = config.browser.userDataDir
+      ? `, saved in ${config.browser.userDataDir} for the next runs`
+      : ' - browser.persistentSession is off, so it is not kept for the next run';
+    logger.info(`The LinkedIn session is valid${savedIn}`);
+  }
+
+  await client.close();
+  await saveSelectorStats();
+  return loggedIn ? 0 : 1;
+};
+
+module.exports = {
+  runCheckSession
+};
@@ -0,0 +1,80 @@
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config/config');
+const { logger } = require('./logger');
+
+/**
+ * Load the checkpoint left by a previous run
+ * @returns {Promise<Object|null>} - Checkpoint data, or null if there is none
+ */
+const loadCheckpoint = async () => {
+  try {
+    if (!await fs.pathExists(config.files.checkpointJson)) {
+      return null;
+    }
+    return await fs.readJson(config.files.checkpointJson);
+  } catch (error) {
+    logger.warn(`Error reading checkpoint, ignoring it: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Record the last profile a run finished with
+ * @param {Object} checkpoint - Checkpoint data
+ * @param {string} checkpoint.mode - Run mode (send, retry-failed, connect-send or connect-retry-failed)
+ * @param {number} checkpoint.lastIndex - Index of the profile in the profiles CSV
+ * @param {string} checkpoint.url - URL of the profile
+ */
+const saveCheckpoint = async ({ mode, lastIndex, url }) => {
+  try {
+    await fs.ensureDir(path.dirname(config.files.checkpointJson));
+    await fs.writeJson(config.files.checkpointJson, {
+      profilesCsv: config.files.profilesCsv,
+      mode,
+      lastIndex,
+      url,
+      updatedAt: new Date().toISOString()
+    }, { spaces: 2 });
+  } catch (error) {
+    logger.error(`Error saving checkpoint: ${error.message}`);
+  }
+};
+
+/**
+ * Remove the checkpoint once a run has worked through every profile
+ */
+const clearCheckpoint = async () => {
+  await fs.remove(config.files.checkpointJson);
+};
+
+/**
+ * Work out where a run should start based on a saved checkpoint
+ * @param {Object|null} checkpoint - Checkpoint returned by loadCheckpoint
+ * @param {Array} profiles - Profiles loaded from the CSV
+ * @param {string} mode - Mode of the current run
+ * @returns {number} - Index of the first profile to process
+ */
+const getResumeIndex = (checkpoint, profiles, mode) => {
+  if (!checkpoint ||
+      checkpoint.profilesCsv !== config.files.profilesCsv ||
+      checkpoint.mode !== mode) {
+    return 0;
+  }
+
+  // The CSV may have been edited since the checkpoint was written, so trust the URL over the index
+  const profile = profiles[checkpoint.lastIndex];
+  if (profile && profile.url === checkpoint.url) {
+    return checkpoint.lastIndex + 1;
+  }
+
+  const index = profiles.findIndex(p => p.url === checkpoint.url);
+  return index === -1 ? 0 : index + 1;
+};
+
+module.exports = {
+  loadCheckpoint,
+  saveCheckpoint,
+  clearCheckpoint,
+  getResumeIndex
+};
@@ -0,0 +1,371 @@
+const fs = require('fs-extra');
+const config = require('../config/config');
+const { runCampaign } = require('./campaign');
+const { runValidate } = require('./validate');
+const { runCheckReplies } = require('./check-replies');
+const { runFollowUps } = require('./follow-ups');
+const { runCheckSession } = require('./check-session');
+const { getSequenceSteps } = require('./sequence');
+const { printVariantReport } = require('./report');
+const { isLeadListUrl, runImport } = require('./importer');
+const { loadCheckpoint } = require('./checkpoint');
+const { reloadConfig } = require('./config-loader');
+const { validateConfig } = require('./config-schema');
+const { loadSelectorRegistry, printSelectorReport } = require('./selectors');
+const { runForAccounts } = require('./accounts');
+const { logger, startRun, setVerbose } = require('./logger');
+
+const USAGE = `Usage: node src/index.js <command> [options]
+
+Commands:
+  send                Send messages to the profiles in the CSV, then any follow-ups that are due (default)
+  connect             Send connection invitations with a note to the profiles in the CSV
+  preview             Dry run: open every composer and write a preview report, never send
+  validate            Check the profiles CSV and templates without launching the browser
+  report              Show send and reply rates per template variant
+  resume              Continue an interrupted run from its checkpoint
+  follow-up           Only send the follow-up steps that are due
+  check-replies       Scan the inboxes for replies from messaged profiles and record them
+  import <file|url>   Merge profiles from another CSV, or from a Sales Navigator lead list or
+                      people search URL, into the profiles CSV
+  selectors           Show how often each DOM selector matched, to find outdated ones
+  session             Check the LinkedIn session and save it in the browser profile. Imports
+                      --cookies, and with --no-headless waits for you to log in by hand
+
+Options:
+  --config <file>     Load a config file (JSON, YAML or JS) instead of linkedin.config.*
+  --base-url <url>    LinkedIn base URL, e.g. the local fixture server (overrides linkedin.baseUrl)
+  --account <id>      Only run for this account of config.accounts (default: each account in turn)
+  --cookies <file>    Cookie export of a logged-in browser, JSON or cookies.txt (overrides linkedinCookies.file)
+  --profiles <file>   Profiles CSV (overrides files.profilesCsv)
+  --log <file>        Sent-messages log CSV (overrides files.logsCsv)
+  --template <file>   Read the message template from a file (disables variants)
+  --max <n>           Maximum number of messages to send (overrides messaging.maxMessages)
+  --limit <n>         Import at most this many new profiles
+  --headless          Run the browser headless (--no-headless to show it)
+  --browser-path <p>  Chrome or Chromium executable (overrides browser.executablePath)
+  --sales-nav         Find regular profiles through Sales Navigator search
+  --retry-failed      Only retry profiles whose latest log row is a failure
+  --dry-run           With send: the same as the preview command
+  --restart           Ignore the checkpoint and start from the top of the CSV
+  --force             Start even if profile validation finds errors, skipping those rows
+  --screenshots <p>   Screenshot policy: off, on-failure or always (overrides artifacts.screenshots)
+  --verbose           Print every step to the console, not just one line per profile
+  -h, --help          Show this help
+`;
+
+// Flags accepted on the command line and the type of value each takes
+const FLAGS = {
+  config: 'string',
+  'base-url': 'string',
+  account: 'string',
+  cookies: 'string',
+  profiles: 'string',
+  log: 'string',
+  template: 'string',
+  max: 'number',
+  limit: 'number',
+  headless: 'boolean',
+  'browser-path': 'string',
+  'sales-nav': 'boolean',
+  'retry-failed': 'boolean',
+  'dry-run': 'boolean',
+  restart: 'boolean',
+  force: 'boolean',
+  screenshots: 'string',
+  verbose: 'boolean',
+  help: 'boolean'
+};
+
+const COMMANDS = ['send', 'connect', 'preview', 'validate', 'report', 'resume', 'follow-up', 'check-replies', 'import', 'selectors', 'session'];
+
+// Commands that log in to LinkedIn and so need a session cookie
+const SESSION_COMMANDS = ['send', 'connect', 'preview', 'resume', 'follow-up', 'check-replies', 'session'];
+
+/**
+ * Convert a kebab-case flag name to camelCase
+ * @param {string} name - Flag name
+ * @returns {string} - camelCase name
+ */
+const camelCase = (name) => name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments without the node executable and script path
+ * @returns {{command: string, args: Array<string>, flags: Object}} - Parsed command, positional arguments and flags
+ * @throws {Error} - On unknown commands, unknown flags or missing flag values
+ */
+const parseArgs = (argv) => {
+  const args = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '-h') {
+      flags.help = true;
+      continue;
+    }
+
+    if (!arg.startsWith('--')) {
+      args.push(arg);
+      continue;
+    }
+
+    let [name, value] = arg.slice(2).split(/=(.*)/s);
+    let negated = false;
+
+    if (!FLAGS[name] && name.startsWith('no-') && FLAGS[name.slice(3)] === 'boolean') {
+      name = name.slice(3);
+      negated = true;
+    }
+
+    const type = FLAGS[name];
+    if (!type) {
+      throw new Error(`Unknown option: --${name}`);
+    }
+
+    if (type === 'boolean') {
+      flags[camelCase(name)] = !negated;
+      continue;
+    }
+
+    if (value === undefined) {
+      value = argv[++i];
+      if (value === undefined || value.startsWith('--')) {
+        throw new Error(`Option --${name} needs a value`);
+      }
+    }
+
+    if (type === 'number') {
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < 0) {
+        throw new Error(`Option --${name} must be a non-negative integer`);
+      }
+      value = number;
+    }
+
+    flags[camelCase(name)] = value;
+  }
+
+  let command = args.shift() || 'send';
+  if (!COMMANDS.includes(command)) {
+    throw new Error(`Unknown command: ${command}`);
+  }
+
+  // --dry-run came before the preview command, and scripts still pass it to send
+  if (flags.dryRun) {
+    if (command !== 'send' && command !== 'preview') {
+      throw new Error('Option --dry-run only works with send - use the preview command for a dry run');
+    }
+    command = 'preview';
+  }
+
+  return { command, args, flags };
+};
+
+/**
+ * Apply command line flags on top of the loaded configuration
+ * @param {Object} flags - Flags returned by parseArgs
+ */
+const applyOverrides = async (flags) => {
+  if (flags.baseUrl) {
+    config.linkedin.baseUrl = flags.baseUrl;
+  }
+
+  if (flags.cookies) {
+    if (!await fs.pathExists(flags.cookies)) {
+      throw new Error(`Cookie file not found: ${flags.cookies}`);
+    }
+    const accounts = Array.isArray(config.accounts) ? config.accounts : [];
+    if (accounts.length === 0) {
+      config.linkedinCookies.file = flags.cookies;
+    } else {
+      // A cookie export belongs to a single account
+      const account = flags.account ? accounts.find(entry => entry && entry.id === flags.account) : accounts.length === 1 && accounts[0];
+      if (!account) {
+        throw new Error('--cookies needs --account <id> to say which account the cookies belong to');
+      }
+      account.cookiesFile = flags.cookies;
+    }
+  }
+
+  if (flags.profiles) {
+    config.files.profilesCsv = flags.profiles;
+  }
+
+  if (flags.log) {
+    config.files.logsCsv = flags.log;
+  }
+
+  if (flags.template) {
+    if (!await fs.pathExists(flags.template)) {
+      throw new Error(`Template file not found: ${flags.template}`);
+    }
+    // An explicit template replaces any A/B variants from the config
+    config.messaging.messageTemplate = await fs.readFile(flags.template, 'utf8');
+    config.messaging.variants = [];
+  }
+
+  if (flags.max !== undefined) {
+    config.messaging.maxMessages = flags.max;
+  }
+
+  if (flags.headless !== undefined) {
+    config.browser.headless = flags.headless;
+  }
+
+  if (flags.browserPath) {
+    config.browser.executablePath = flags.browserPath;
+  }
+
+  if (flags.salesNav !== undefined) {
+    config.messaging.useSalesNav = flags.salesNav;
+  }
+
+  if (flags.screenshots) {
+    config.artifacts.screenshots = flags.screenshots;
+  }
+};
+
+/**
+ * Run a parsed command
+ * @param {string} command - One of COMMANDS
+ * @param {Array<string>} args - Positional arguments after the command
+ * @param {Object} flags - Flags returned by parseArgs
+ * @returns {Promise<number>} - Process exit code
+ */
+const runCommand = async (command, args, flags) => {
+  switch (command) {
+    case 'send': {
+      // Initial messages and follow-ups share messaging.maxMessages (--max)
+      const budget = { remaining: config.messaging.maxMessages };
+      const code = await runCampaign({ retryFailed: flags.retryFailed, restart: flags.restart, force: flags.force, budget });
+      // A daily send also moves every sequence on by the steps that are due
+      if (code !== 0 || getSequenceSteps().length === 0) {
+        return code;
+      }
+      return runFollowUps({ budget });
+    }
+
+    case 'connect':
+      return runCampaign({ action: 'connect', retryFailed: flags.retryFailed, restart: flags.restart, force: flags.force });
+
+    case 'preview':
+      return runCampaign({ dryRun: true, retryFailed: flags.retryFailed, restart: true, force: flags.force });
+
+    case 'validate':
+      return runValidate();
+
+    case 'report':
+      await printVariantReport();
+      return 0;
+
+    case 'resume': {
+      const checkpoint = await loadCheckpoint();
+      if (!checkpoint || checkpoint.profilesCsv !== config.files.profilesCsv) {
+        console.error(`No checkpoint to resume for ${config.files.profilesCsv}`);
+        return 1;
+      }
+      logger.info(`Resuming ${checkpoint.mode} run after ${checkpoint.url} (last updated ${checkpoint.updatedAt})`);
+      return runCampaign({
+        action: checkpoint.mode.startsWith('connect-') ? 'connect' : 'message',
+        retryFailed: checkpoint.mode.endsWith('retry-failed'),
+        force: flags.force
+      });
+    }
+
+    case 'follow-up':
+      return runFollowUps();
+
+    case 'check-replies':
+      return runCheckReplies();
+
+    case 'import':
+      return runImport(args[0], { limit: flags.limit });
+
+    case 'selectors':
+      await printSelectorReport();
+      return 0;
+
+    case 'session':
+      return runCheckSession();
+
+    default:
+      return 1;
+  }
+};
+
+/**
+ * Run the command line interface
+ * @param {Array<string>} argv - Arguments without the node executable and script path
+ * @returns {Promise<number>} - Process exit code
+ */
+const run = async (argv) => {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    return 1;
+  }
+
+  const { command, args, flags } = parsed;
+
+  if (flags.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  try {
+    if (flags.config) {
+      reloadConfig(config, { configFile: flags.config });
+    }
+    await applyOverrides(flags);
+    loadSelectorRegistry();
+  } catch (error) {
+    console.error(`Configuration error: ${error.message}`);
+    return 1;
+  }
+
+  // Importing from Sales Navigator logs in like the session commands do
+  const needsSession = SESSION_COMMANDS.includes(command) || (command === 'import' && isLeadListUrl(args[0]));
+
+  // validate reports config errors alongside the profile checks
+  if (command !== 'validate') {
+    // session is how a missing session gets set up, so it doesn't need one yet
+    const errors = validateConfig(config, { requireSession: needsSession && command !== 'session', accountId: flags.account });
+    if (errors.length > 0) {
+      console.error('Invalid configuration:');
+      errors.forEach(error => console.error(`  - ${error}`));
+      return 1;
+    }
+  }
+
+  // Commands that open the browser get their own JSON-lines run log
+  if (needsSession) {
+    const { runId, filePath } = startRun({ verbose: flags.verbose, command });
+    logger.info(`Run ${runId}, detailed log: ${filePath}`);
+  } else {
+    setVerbose(Boolean(flags.verbose));
+  }
+
+  // Commands that log in run once for each account in turn, holding its lock.
+  // An import from Sales Navigator only needs one account.
+  if (needsSession) {
+    return runForAccounts(() => runCommand(command, args, flags), {
+      accountId: flags.account,
+      single: command === 'import'
+    });
+  }
+
+  return runCommand(command, args, flags);
+};
+
+module.exports = {
+  parseArgs,
+  applyOverrides,
+  runCommand,
+  run
+};
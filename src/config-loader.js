@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const yaml = require('js-yaml');
+const defaults = require('../config/defaults');
+
+// User config files looked for in the working directory, in order
+const CONFIG_FILE_NAMES = [
+  'linkedin.config.js',
+  'linkedin.config.json',
+  'linkedin.config.yaml',
+  'linkedin.config.yml'
+];
+
+// Environment variables (also read from .env) and the config values they set
+const ENV_VARS = {
+  LI_AT: { path: 'linkedinCookies.li_at', type: 'string' },
+  LINKEDIN_LI_AT: { path: 'linkedinCookies.li_at', type: 'string' },
+  LINKEDIN_COOKIES_FILE: { path: 'linkedinCookies.file', type: 'string' },
+  LINKEDIN_BASE_URL: { path: 'linkedin.baseUrl', type: 'string' },
+  LINKEDIN_MAX_MESSAGES: { path: 'messaging.maxMessages', type: 'integer' },
+  LINKEDIN_DELAY_MIN: { path: 'messaging.delayMin', type: 'integer' },
+  LINKEDIN_DELAY_MAX: { path: 'messaging.delayMax', type: 'integer' },
+  LINKEDIN_MESSAGE_TEMPLATE: { path: 'messaging.messageTemplate', type: 'string' },
+  LINKEDIN_DAILY_QUOTA: { path: 'quotas.daily', type: 'integer' },
+  LINKEDIN_WEEKLY_QUOTA: { path: 'quotas.weekly', type: 'integer' },
+  LINKEDIN_STRICT_TEMPLATES: { path: 'messaging.strictTemplates', type: 'boolean' },
+  USE_SALES_NAV: { path: 'messaging.useSalesNav', type: 'boolean' },
+  LINKEDIN_EXISTING_CONVERSATION: { path: 'existingConversation.policy', type: 'string' },
+  LINKEDIN_PROFILES_CSV: { path: 'files.profilesCsv', type: 'string' },
+  LINKEDIN_LOGS_CSV: { path: 'files.logsCsv', type: 'string' },
+  LINKEDIN_LOGS_JSONL: { path: 'files.logsJsonl', type: 'string' },
+  LINKEDIN_SCREENSHOTS: { path: 'artifacts.screenshots', type: 'string' },
+  LINKEDIN_ARTIFACT_RETENTION_DAYS: { path: 'artifacts.retentionDays', type: 'integer' },
+  LINKEDIN_HEADLESS: { path: 'browser.headless', type: 'boolean' },
+  LINKEDIN_BROWSER_PATH: { path: 'browser.executablePath', type: 'string' },
+  CHROME_PATH: { path: 'browser.executablePath', type: 'string' },
+  LINKEDIN_USER_AGENT: { path: 'browser.userAgent', type: 'string' }
+};
+
+/**
+ * Name of the environment variable holding the session cookie of an account
+ * @param {string} accountId - Account ID from config.accounts
+ * @returns {string} - e.g. LI_AT_SALES_1 for sales-1
+ */
+const accountCookieVar = (accountId) => `LI_AT_${String(accountId).toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+
+/**
+ * Check whether a value is a plain object (not an array, null or class instance)
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for plain objects
+ */
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+};
+
+/**
+ * Deep merge config layers. Objects are merged key by key, anything else (including arrays) is replaced.
+ * @param {Object} target - Lower-priority layer
+ * @param {Object} source - Higher-priority layer
+ * @returns {Object} - New merged object
+ */
+const mergeConfig = (target, source) => {
+  const result = { ...target };
+
+  Object.keys(source || {}).forEach(key => {
+    const value = source[key];
+    if (value === undefined) {
+      return;
+    }
+    result[key] = isPlainObject(value) && isPlainObject(result[key]) ?
+      mergeConfig(result[key], value) :
+      value;
+  });
+
+  return result;
+};
+
+/**
+ * Set a nested value from a dotted path
+ * @param {Object} object - Object to modify
+ * @param {string} keyPath - Dotted path, e.g. "messaging.maxMessages"
+ * @param {*} value - Value to set
+ */
+const setPath = (object, keyPath, value) => {
+  const keys = keyPath.split('.');
+  let current = object;
+
+  keys.slice(0, -1).forEach(key => {
+    if (!isPlainObject(current[key])) {
+      current[key] = {};
+    }
+    current = current[key];
+  });
+
+  current[keys[keys.length - 1]] = value;
+};
+
+/**
+ * Convert an environment variable string to the type of the config value it sets.
+ * Values that don't parse are kept as strings so schema validation can report them.
+ * @param {string} value - Raw value
+ * @param {string} type - Target type (string/integer/boolean)
+ * @returns {*} - Converted value
+ */
+const parseEnvValue = (value, type) => {
+  if (type === 'integer' && /^-?\d+$/.test(value.trim())) {
+    return Number(value);
+  }
+
+  if (type === 'boolean') {
+    const normalized = value.trim().toLowerCase();
+    if (['true', '1', 'yes'].includes(normalized)) return true;
+    if (['false', '0', 'no', ''].includes(normalized)) return false;
+  }
+
+  return value;
+};
+
+/**
+ * Read a user config file (JS, JSON or YAML)
+ * @param {string} filePath - Path of the config file
+ * @returns {Object} - Parsed config layer
+ */
+const readConfigFile = (filePath) => {
+  const extension = path.extname(filePath).toLowerCase();
+
+  try {
+    if (extension === '.js' || extension === '.cjs') {
+      return require(path.resolve(filePath));
+    }
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    if (extension === '.yaml' || extension === '.yml') {
+      return yaml.load(content) || {};
+    }
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Could not read config file ${filePath}: ${error.message}`);
+  }
+};
+
+/**
+ * Find the user config file to load
+ * @param {string} [configFile] - Explicit path, from --config or LINKEDIN_CONFIG
+ * @returns {string|null} - Path of the config file, or null if there is none
+ */
+const findConfigFile = (configFile) => {
+  if (configFile) {
+    if (!fs.existsSync(configFile)) {
+      throw new Error(`Config file not found: ${configFile}`);
+    }
+    return configFile;
+  }
+
+  return CONFIG_FILE_NAMES.find(name => fs.existsSync(name)) || null;
+};
+
+/**
+ * Load the configuration in layers: defaults, user config file, .env file, environment variables.
+ * Command line options are applied on top of the result by the CLI.
+ * @param {Object} [options]
+ * @param {string} [options.configFile] - User config file, defaults to LINKEDIN_CONFIG or linkedin.config.*
+ * @param {string} [options.envFile] - Path of the .env file
+ * @param {Object} [options.env] - Environment variables
+ * @returns {Object} - Merged configuration
+ */
+const loadConfig = ({ configFile, envFile = '.env', env = process.env } = {}) => {
+  let config = JSON.parse(JSON.stringify(defaults));
+
+  const userConfigFile = findConfigFile(configFile || env.LINKEDIN_CONFIG);
+  if (userConfigFile) {
+    config = mergeConfig(config, readConfigFile(userConfigFile));
+  }
+
+  // Real environment variables take priority over the .env file
+  const envValues = {
+    ...(fs.existsSync(envFile) ? dotenv.parse(fs.readFileSync(envFile)) : {}),
+    ...env
+  };
+
+  Object.keys(ENV_VARS).forEach(name => {
+    if (envValues[name] !== undefined) {
+      setPath(config, ENV_VARS[name].path, parseEnvValue(envValues[name], ENV_VARS[name].type));
+    }
+  });
+
+  // Accounts keep their cookies out of the config file too
+  if (Array.isArray(config.accounts)) {
+    config.accounts = config.accounts.map(account => {
+      if (!isPlainObject(account) || account.li_at || envValues[accountCookieVar(account.id)] === undefined) {
+        return account;
+      }
+      return { ...account, li_at: envValues[accountCookieVar(account.id)] };
+    });
+  }
+
+  return config;
+};
+
+/**
+ * Reload the configuration into an existing config object, so modules holding a reference see the new values
+ * @param {Object} target - Config object to update in place
+ * @param {Object} [options] - Options for loadConfig
+ */
+const reloadConfig = (target, options) => {
+  const config = loadConfig(options);
+
+  Object.keys(target).forEach(key => {
+    delete target[key];
+  });
+  Object.assign(target, config);
+};
+
+module.exports = {
+  ENV_VARS,
+  accountCookieVar,
+  loadConfig,
+  reloadConfig,
+  mergeConfig
+};
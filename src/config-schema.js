@@ -0,0 +1,304 @@
+const fs = require('fs');
+const path = require('path');
+const { accountCookieVar } = require('./config-loader');
+
+// Inboxes check-replies can scan
+const REPLY_INBOXES = ['linkedin', 'sales-nav'];
+
+// What to do when a profile already has a conversation with us
+const EXISTING_CONVERSATION_POLICIES = ['skip', 'send', 'followup'];
+
+// How the profiles of a campaign are split across accounts
+const SHARDING_STRATEGIES = ['round-robin', 'owner'];
+
+// Values of browser.headless: true or 'new' for Chrome's new headless mode, 'shell' for the old headless shell
+const HEADLESS_MODES = [true, false, 'new', 'shell'];
+
+// Account IDs are used in file names and environment variable names
+const ACCOUNT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+// Longest note LinkedIn accepts on a connection invitation
+const LINKEDIN_NOTE_LIMIT = 300;
+
+// Expected type of each config value. `required` values must be non-empty,
+// other values may be left unset (null).
+const SCHEMA = {
+  'linkedinCookies.li_at': { type: 'string' },
+  'linkedinCookies.file': { type: 'string' },
+  'accounts': { type: 'array' },
+  'sharding.strategy': { type: 'string', required: true, oneOf: SHARDING_STRATEGIES },
+  'sharding.ownerColumn': { type: 'string', required: true },
+  'linkedin.baseUrl': { type: 'string', required: true },
+  'messaging.maxMessages': { type: 'integer', min: 1 },
+  'messaging.delayMin': { type: 'integer', min: 0 },
+  'messaging.delayMax': { type: 'integer', min: 0 },
+  'messaging.useSalesNav': { type: 'boolean' },
+  'messaging.strictTemplates': { type: 'boolean' },
+  'messaging.verifyTimeoutMs': { type: 'integer', min: 0 },
+  'messaging.senderName': { type: 'string' },
+  'messaging.messageTemplate': { type: 'string' },
+  'messaging.variants': { type: 'array' },
+  'connect.noteTemplate': { type: 'string' },
+  'connect.maxNoteLength': { type: 'integer', min: 1 },
+  'existingConversation.policy': { type: 'string', required: true, oneOf: EXISTING_CONVERSATION_POLICIES },
+  'existingConversation.template': { type: 'string' },
+  'salesNavMatching.minConfidence': { type: 'number', required: true, min: 0, max: 1 },
+  'salesNavMatching.ambiguityMargin': { type: 'number', required: true, min: 0, max: 1 },
+  'sequence.steps': { type: 'array' },
+  'quotas.daily': { type: 'integer', min: 0 },
+  'quotas.weekly': { type: 'integer', min: 0 },
+  'quotas.message.daily': { type: 'integer', min: 0 },
+  'quotas.message.weekly': { type: 'integer', min: 0 },
+  'quotas.inmail.daily': { type: 'integer', min: 0 },
+  'quotas.inmail.weekly': { type: 'integer', min: 0 },
+  'quotas.connection.daily': { type: 'integer', min: 0 },
+  'quotas.connection.weekly': { type: 'integer', min: 0 },
+  'replies.inboxes': { type: 'array', required: true },
+  'replies.maxConversations': { type: 'integer', min: 1 },
+  'files.profilesCsv': { type: 'string', required: true },
+  'files.logsCsv': { type: 'string', required: true },
+  'files.logsJsonl': { type: 'string' },
+  'files.invitationsCsv': { type: 'string', required: true },
+  'files.reviewCsv': { type: 'string', required: true },
+  'sentLog.messageText': { type: 'string', required: true, oneOf: ['full', 'hash'] },
+  'files.repliesCsv': { type: 'string', required: true },
+  'files.checkpointJson': { type: 'string', required: true },
+  'files.quotaStateJson': { type: 'string', required: true },
+  'files.sequenceStateJson': { type: 'string', required: true },
+  'files.previewDir': { type: 'string', required: true },
+  'files.runLogDir': { type: 'string', required: true },
+  'files.selectorOverrides': { type: 'string' },
+  'files.selectorStatsJson': { type: 'string', required: true },
+  'files.locksDir': { type: 'string', required: true },
+  'files.browserProfilesDir': { type: 'string', required: true },
+  'artifacts.dir': { type: 'string', required: true },
+  'artifacts.screenshots': { type: 'string', required: true, oneOf: ['off', 'on-failure', 'always'] },
+  'artifacts.retentionDays': { type: 'integer', min: 0 },
+  'browser.executablePath': { type: 'string' },
+  'browser.windowSize.width': { type: 'integer', min: 1 },
+  'browser.windowSize.height': { type: 'integer', min: 1 },
+  'browser.viewport.width': { type: 'integer', min: 1 },
+  'browser.viewport.height': { type: 'integer', min: 1 },
+  'browser.args': { type: 'array' },
+  'browser.persistentSession': { type: 'boolean' },
+  'browser.userDataDir': { type: 'string' },
+  'browser.userAgent': { type: 'string', required: true }
+};
+
+/**
+ * Read a nested value from a dotted path
+ * @param {Object} object - Object to read
+ * @param {string} keyPath - Dotted path
+ * @returns {*} - Value, or undefined
+ */
+const getPath = (object, keyPath) => {
+  return keyPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+};
+
+/**
+ * Check a single value against its schema entry
+ * @param {string} keyPath - Dotted path of the value
+ * @param {*} value - Value to check
+ * @param {Object} rule - Schema entry
+ * @returns {string|null} - Error message, or null if the value is valid
+ */
+const checkValue = (keyPath, value, rule) => {
+  if (value === undefined || value === null || value === '') {
+    return rule.required ? `${keyPath} is required` : null;
+  }
+
+  const actual = Array.isArray(value) ? 'array' : typeof value;
+
+  if (rule.type === 'integer') {
+    if (!Number.isInteger(value)) {
+      return `${keyPath} must be an integer (got ${JSON.stringify(value)})`;
+    }
+    if (rule.min !== undefined && value < rule.min) {
+      return `${keyPath} must be at least ${rule.min} (got ${value})`;
+    }
+    return null;
+  }
+
+  if (actual !== rule.type || (rule.type === 'number' && !Number.isFinite(value))) {
+    return `${keyPath} must be a ${rule.type} (got ${JSON.stringify(value)})`;
+  }
+
+  if (rule.type === 'number' && ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max))) {
+    return `${keyPath} must be between ${rule.min} and ${rule.max} (got ${value})`;
+  }
+
+  if (rule.oneOf && !rule.oneOf.includes(value)) {
+    return `${keyPath} must be one of ${rule.oneOf.join(', ')} (got ${JSON.stringify(value)})`;
+  }
+
+  return null;
+};
+
+/**
+ * Check whether an account has any way to log in: a cookie, a cookie export or a browser
+ * profile kept from an earlier run
+ * @param {Object} config - Merged configuration
+ * @param {string} li_at - li_at cookie
+ * @param {string} cookiesFile - Cookie export
+ * @param {string} userDataDir - Browser profile directory
+ * @returns {boolean} - True when the account has a session to try
+ */
+const hasSession = (config, li_at, cookiesFile, userDataDir) => {
+  return Boolean(li_at || cookiesFile || (config.browser.persistentSession !== false && fs.existsSync(userDataDir)));
+};
+
+/**
+ * Validate the merged configuration
+ * @param {Object} config - Merged configuration
+ * @param {Object} [options]
+ * @param {boolean} [options.requireSession] - The command logs in to LinkedIn, so a session cookie is needed
+ * @param {string} [options.accountId] - Only this account of config.accounts is used (--account)
+ * @returns {Array<string>} - Error messages, empty if the configuration is valid
+ */
+const validateConfig = (config, { requireSession = false, accountId } = {}) => {
+  const errors = [];
+
+  Object.keys(SCHEMA).forEach(keyPath => {
+    const error = checkValue(keyPath, getPath(config, keyPath), SCHEMA[keyPath]);
+    if (error) {
+      errors.push(error);
+    }
+  });
+
+  const { messaging } = config;
+
+  if (typeof config.linkedin.baseUrl === 'string' && config.linkedin.baseUrl &&
+      !/^https?:\/\/[^/]+/i.test(config.linkedin.baseUrl)) {
+    errors.push(`linkedin.baseUrl must be an http(s) URL (got ${JSON.stringify(config.linkedin.baseUrl)})`);
+  }
+
+  if (Number.isInteger(messaging.delayMin) && Number.isInteger(messaging.delayMax) &&
+      messaging.delayMin > messaging.delayMax) {
+    errors.push(`messaging.delayMin (${messaging.delayMin}) must not be greater than messaging.delayMax (${messaging.delayMax})`);
+  }
+
+  if (Array.isArray(config.replies.inboxes)) {
+    config.replies.inboxes.filter(inbox => !REPLY_INBOXES.includes(inbox)).forEach(inbox => {
+      errors.push(`replies.inboxes: unknown inbox ${JSON.stringify(inbox)} (expected ${REPLY_INBOXES.join(', ')})`);
+    });
+  }
+
+  if (Number.isInteger(config.connect.maxNoteLength) && config.connect.maxNoteLength > LINKEDIN_NOTE_LIMIT) {
+    errors.push(`connect.maxNoteLength must not be over LinkedIn's limit of ${LINKEDIN_NOTE_LIMIT} (got ${config.connect.maxNoteLength})`);
+  }
+
+  if (config.existingConversation.policy === 'followup' && !(config.existingConversation.template || '').trim()) {
+    errors.push('existingConversation.template is empty - it is required by the followup policy');
+  }
+
+  const variants = Array.isArray(messaging.variants) ? messaging.variants : [];
+
+  if (variants.length === 0 && !(messaging.messageTemplate || '').trim()) {
+    errors.push('messaging.messageTemplate is empty - set a template or define messaging.variants');
+  }
+
+  const variantIds = new Set();
+  variants.forEach((variant, index) => {
+    const label = `messaging.variants[${index}]`;
+    if (!variant || !variant.id) {
+      errors.push(`${label}.id is required`);
+    } else if (variantIds.has(variant.id)) {
+      errors.push(`${label}.id "${variant.id}" is used by more than one variant`);
+    } else {
+      variantIds.add(variant.id);
+    }
+    if (!variant || typeof variant.template !== 'string' || !variant.template.trim()) {
+      errors.push(`${label}.template is empty`);
+    }
+    if (variant && variant.weight !== undefined && !(typeof variant.weight === 'number' && variant.weight >= 0)) {
+      errors.push(`${label}.weight must be a number of 0 or more`);
+    }
+  });
+
+  const steps = config.sequence && Array.isArray(config.sequence.steps) ? config.sequence.steps : [];
+  const stepIds = new Set();
+  let previousDelay = 0;
+  steps.forEach((step, index) => {
+    const label = `sequence.steps[${index}]`;
+    if (!step || !step.id) {
+      errors.push(`${label}.id is required`);
+    } else if (step.id === 'initial') {
+      errors.push(`${label}.id "initial" is reserved for the first message`);
+    } else if (stepIds.has(step.id)) {
+      errors.push(`${label}.id "${step.id}" is used by more than one step`);
+    } else {
+      stepIds.add(step.id);
+    }
+    if (!step || !Number.isInteger(step.delayDays) || step.delayDays <= previousDelay) {
+      errors.push(`${label}.delayDays must be a whole number of days greater than ${previousDelay}`);
+    } else {
+      previousDelay = step.delayDays;
+    }
+    if (!step || typeof step.template !== 'string' || !step.template.trim()) {
+      errors.push(`${label}.template is empty`);
+    }
+  });
+
+  const { browser } = config;
+  if (browser.headless !== undefined && browser.headless !== null && !HEADLESS_MODES.includes(browser.headless)) {
+    errors.push(`browser.headless must be true, false, "new" or "shell" (got ${JSON.stringify(browser.headless)})`);
+  }
+
+  ['windowSize', 'viewport'].forEach(key => {
+    const size = browser[key];
+    if (size !== undefined && size !== null && (typeof size !== 'object' || Array.isArray(size))) {
+      errors.push(`browser.${key} must be an object like { width: 1280, height: 800 }, or null`);
+    }
+  });
+
+  if (Array.isArray(browser.args)) {
+    browser.args.filter(arg => typeof arg !== 'string' || !arg.startsWith('--')).forEach(arg => {
+      errors.push(`browser.args: ${JSON.stringify(arg)} is not a command line switch like --lang=en-US`);
+    });
+  }
+
+  const accounts = Array.isArray(config.accounts) ? config.accounts : [];
+  const accountIds = new Set();
+  accounts.forEach((account, index) => {
+    const label = `accounts[${index}]`;
+    if (!account || !account.id) {
+      errors.push(`${label}.id is required`);
+    } else if (!ACCOUNT_ID_PATTERN.test(account.id)) {
+      errors.push(`${label}.id "${account.id}" may only contain letters, digits, - and _`);
+    } else if (accountIds.has(account.id)) {
+      errors.push(`${label}.id "${account.id}" is used by more than one account`);
+    } else {
+      accountIds.add(account.id);
+    }
+    ['li_at', 'cookiesFile', 'senderName', 'userDataDir'].forEach(key => {
+      if (account && account[key] !== undefined && account[key] !== null && typeof account[key] !== 'string') {
+        errors.push(`${label}.${key} must be a string`);
+      }
+    });
+    if (account && account.quotas !== undefined && (account.quotas === null || typeof account.quotas !== 'object' || Array.isArray(account.quotas))) {
+      errors.push(`${label}.quotas must be an object like the quotas setting`);
+    }
+    if (requireSession && account && account.id && (!accountId || account.id === accountId) &&
+        !hasSession(config, account.li_at, account.cookiesFile, account.userDataDir || path.join(config.files.browserProfilesDir, String(account.id)))) {
+      errors.push(`${label} has no session - add ${accountCookieVar(account.id)}=<the li_at cookie of ${account.id}> to .env, ` +
+        `set ${label}.cookiesFile or run: node src/index.js session --account ${account.id} --no-headless`);
+    }
+  });
+
+  if (requireSession && accounts.length === 0 &&
+      !hasSession(config, config.linkedinCookies.li_at, config.linkedinCookies.file, config.browser.userDataDir || path.join(config.files.browserProfilesDir, 'default'))) {
+    errors.push('linkedinCookies.li_at is not set - add LI_AT=<your li_at cookie> to .env, ' +
+      'import a cookie export with: node src/index.js session --cookies <file>, or log in with: node src/index.js session --no-headless');
+  }
+
+  return errors;
+};
+
+module.exports = {
+  EXISTING_CONVERSATION_POLICIES,
+  HEADLESS_MODES,
+  SHARDING_STRATEGIES,
+  REPLY_INBOXES,
+  SCHEMA,
+  validateConfig
+};
@@ -0,0 +1,79 @@
+const fs = require('fs-extra');
+const path = require('path');
+const csv = require('csv-parser');
+const createCsvWriter = require('csv-writer').createObjectCsvWriter;
+
+/**
+ * Read a CSV file into row objects
+ * @param {string} filePath - Path of the CSV file
+ * @param {Array<{id: string, title: string}>} [columns] - Known columns, rows are keyed by id instead of title
+ * @returns {Promise<Array>} - Rows, or an empty array if the file does not exist
+ */
+const readCsv = async (filePath, columns = []) => {
+  if (!await fs.pathExists(filePath)) {
+    return [];
+  }
+
+  const idsByTitle = {};
+  columns.forEach(column => {
+    idsByTitle[column.title] = column.id;
+  });
+
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    fs.createReadStream(filePath)
+      .pipe(csv({ mapHeaders: ({ header }) => idsByTitle[header] || header }))
+      .on('data', (row) => rows.push(row))
+      .on('end', () => resolve(rows))
+      .on('error', (error) => reject(error));
+  });
+};
+
+/**
+ * Read just the header row of a CSV file
+ * @param {string} filePath - Path of the CSV file
+ * @returns {Promise<Array<string>|null>} - Column titles, or null if the file is missing or empty
+ */
+const readCsvHeader = async (filePath) => {
+  if (!await fs.pathExists(filePath)) {
+    return null;
+  }
+
+  return new Promise((resolve, reject) => {
+    let header = null;
+    fs.createReadStream(filePath)
+      .pipe(csv())
+      .on('headers', (headers) => {
+        header = headers;
+      })
+      .on('data', () => {})
+      .on('end', () => resolve(header))
+      .on('error', (error) => reject(error));
+  });
+};
+
+/**
+ * Write rows to a CSV file
+ * @param {string} filePath - Path of the CSV file
+ * @param {Array<{id: string, title: string}>} columns - Columns to write
+ * @param {Array} rows - Rows keyed by column id
+ * @param {Object} [options]
+ * @param {boolean} [options.append] - Append to an existing file instead of replacing it
+ */
+const writeCsv = async (filePath, columns, rows, { append = false } = {}) => {
+  await fs.ensureDir(path.dirname(filePath));
+
+  const csvWriter = createCsvWriter({
+    path: filePath,
+    header: columns,
+    append: append && await fs.pathExists(filePath)
+  });
+
+  await csvWriter.writeRecords(rows);
+};
+
+module.exports = {
+  readCsv,
+  readCsvHeader,
+  writeCsv
+};
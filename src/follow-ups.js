@@ -0,0 +1,273 @@
+const LinkedInClient = require('./linkedin-client');
+const config = require('../config/config');
+const { loadProfiles, renderMessage, logMessage, randomSleep } = require('./utils');
+const { readSentLog, getLatestStatuses } = require('./sent-log');
+const { loadReplies, saveReplies } = require('./replies');
+const { buildLeadIndex, matchLead, findReply, buildReplyRow } = require('./check-replies');
+const { normalizeProfileUrl } = require('./profile-url');
+const { loadQuotaState, checkQuota, recordSend, getMessageAction } = require('./quota');
+const {
+  SEQUENCE_STATUS,
+  getSequenceSteps,
+  loadSequenceState,
+  saveSequenceState,
+  syncSequenceLeads,
+  getDueStep,
+  recordStepSent,
+  stopSequence
+} = require('./sequence');
+const { saveSelectorStats } = require('./selectors');
+const { isActiveAccountRow } = require('./accounts');
+const { logSessionRefreshSteps } = require('./session');
+const { logger, setProfile } = require('./logger');
+
+/**
+ * Build the template data of a lead: its row from the profiles CSV, or its name from the log
+ * @param {Object} lead - Sequence entry of the lead
+ * @param {Map<string, Object>} profilesByUrl - Profiles CSV rows by normalized URL
+ * @returns {Object} - Profile data with url, firstName and lastName
+ */
+const leadProfile = (lead, profilesByUrl) => {
+  const profile = profilesByUrl.get(normalizeProfileUrl(lead.url));
+  if (profile) {
+    return { ...profile, url: lead.url };
+  }
+  const [firstName = '', ...rest] = lead.name.split(' ');
+  return { url: lead.url, firstName, lastName: rest.join(' ') };
+};
+
+/**
+ * Send the follow-up steps that are due. Follow-ups only go into the existing conversation
+ * with a lead, and a lead's sequence stops as soon as a reply is found.
+ * @param {Object} [options]
+ * @param {{remaining: number}} [options.budget] - Messages the invocation may still send, after the initial
+ *   messages of the same send command. Defaults to messaging.maxMessages.
+ * @returns {Promise<number>} - Process exit code
+ */
+async function runFollowUps({ budget } = {}) {
+  const steps = getSequenceSteps();
+  if (steps.length === 0) {
+    logger.info('No follow-up steps configured in sequence.steps');
+    return 0;
+  }
+
+  const now = new Date();
+  const state = await loadSequenceState();
+  // Follow-ups go out from the account that sent the initial message
+  const added = syncSequenceLeads(state, getLatestStatuses((await readSentLog()).filter(isActiveAccountRow)));
+  if (added > 0) {
+    logger.info(`Started the sequence for ${added} messaged profiles`);
+  }
+
+  // Replies recorded by check-replies end the sequence without visiting the conversation
+  const replies = await loadReplies();
+  const repliesBefore = replies.size;
+  Object.entries(state.leads).forEach(([key, lead]) => {
+    if (lead.status === SEQUENCE_STATUS.ACTIVE && replies.has(key)) {
+      stopSequence(lead, SEQUENCE_STATUS.REPLIED, now);
+    }
+  });
+
+  const due = Object.values(state.leads)
+    .map(lead => ({ lead, due: getDueStep(lead, steps, now) }))
+    .filter(entry => entry.due)
+    .sort((a, b) => a.due.dueAt - b.due.dueAt);
+
+  await saveSequenceState(state);
+
+  const active = Object.values(state.leads).filter(lead => lead.status === SEQUENCE_STATUS.ACTIVE).length;
+  logger.info(`${active} leads in an active sequence, ${due.length} with a follow-up due`);
+
+  if (due.length === 0) {
+    return 0;
+  }
+
+  const maxMessages = budget ? budget.remaining : config.messaging.maxMessages;
+  if (maxMessages <= 0) {
+    logger.info(`No follow-ups sent: this run already sent the maximum of ${config.messaging.maxMessages} messages`);
+    return 0;
+  }
+
+  const quotaState = await loadQuotaState();
+  const profilesByUrl = new Map((await loadProfiles()).map(profile => [normalizeProfileUrl(profile.url), profile]));
+
+  const client = new LinkedInClient();
+  if (!await client.initialize()) {
+    logger.error('Failed to initialize browser');
+    return 1;
+  }
+
+  if (!await client.login()) {
+    logger.error('Failed to login to LinkedIn');
+    await client.close();
+    await saveSelectorStats();
+    return 1;
+  }
+
+  // Each inbox is read at most once per run, to find conversations not seen before
+  const inboxes = new Map();
+  const findConversationUrl = async (lead) => {
+    if (lead.conversationUrl) {
+      return lead.conversationUrl;
+    }
+
+    const inbox = lead.pageType === 'sales-nav' ? 'sales-nav' : 'linkedin';
+    if (!inboxes.has(inbox)) {
+      const result = await client.readInbox(inbox, { limit: config.replies.maxConversations });
+      if (result.sessionProblem) {
+        throw Object.assign(new Error(result.error), { sessionProblem: true });
+      }
+      inboxes.set(inbox, result.conversations);
+    }
+
+    const index = buildLeadIndex([lead]);
+    const conversation = inboxes.get(inbox).find(entry => matchLead(index, entry));
+    return conversation ? conversation.url : '';
+  };
+
+  let sent = 0;
+  let unverified = 0;
+  let failed = 0;
+  let replied = 0;
+  let stopReason = '';
+
+  for (const { lead, due: { step } } of due) {
+    if (sent + unverified >= maxMessages) {
+      break;
+    }
+
+    const action = getMessageAction(lead.url);
+    const quota = checkQuota(quotaState, action);
+    if (!quota.allowed) {
+      stopReason = quota.reason;
+      logger.warn(`Stopping run: ${stopReason}`);
+      break;
+    }
+
+    setProfile(lead.url);
+    const label = `${lead.name || lead.url} [${step.id}]`;
+    const profile = leadProfile(lead, profilesByUrl);
+    const startedAt = Date.now();
+    let message = '';
+    let sendMethod = null;
+    const details = () => ({
+      variant: lead.variant,
+      step: step.id,
+      message,
+      sendMethod,
+      durationMs: Date.now() - startedAt,
+      finalUrl: client.currentUrl()
+    });
+    const fail = async (reason) => {
+      await logMessage(profile, 'failed', reason, details());
+      failed++;
+      return `failed: ${reason}`;
+    };
+
+    let outcome = '';
+    let sessionLost = false;
+
+    try {
+      const rendered = renderMessage(profile, step.template);
+      message = rendered.text;
+      if (rendered.unresolved.length > 0) {
+        const problem = `Unresolved template placeholders: ${rendered.unresolved.join(', ')}`;
+        if (config.messaging.strictTemplates) {
+          throw new Error(problem);
+        }
+        logger.warn(`Warning: ${problem}`);
+      }
+
+      const conversationUrl = await findConversationUrl(lead);
+      const thread = conversationUrl ? await client.readConversation(conversationUrl) : null;
+      const threadLead = thread && thread.success ?
+        matchLead(buildLeadIndex([lead]), { name: lead.name, participantUrl: thread.participantUrl }) :
+        null;
+
+      if (thread && !thread.success) {
+        sessionLost = Boolean(thread.sessionProblem);
+        outcome = await fail(thread.error);
+      } else if (!threadLead || !thread.messages.some(entry => !entry.incoming)) {
+        // Never start a new conversation for a follow-up, try again on the next run
+        outcome = await fail('No existing conversation with this lead');
+      } else {
+        lead.conversationUrl = conversationUrl;
+        const reply = findReply(thread.messages, lead.startedAt);
+
+        if (reply) {
+          stopSequence(lead, SEQUENCE_STATUS.REPLIED);
+          const key = normalizeProfileUrl(lead.url);
+          if (!replies.has(key)) {
+            replies.set(key, buildReplyRow({ url: lead.url, name: lead.name }, reply, lead.pageType === 'sales-nav' ? 'sales-nav' : 'linkedin', new Date()));
+          }
+          replied++;
+          outcome = 'replied, sequence stopped';
+        } else {
+          logger.debug(`Follow-up to send:\n${message}`);
+          const result = await client.sendInConversation(message);
+          sendMethod = result.sendMethod || null;
+
+          if (result.success) {
+            // An unverified follow-up most likely went out, so the lead still moves on to the next step
+            await logMessage(profile, result.verified ? 'success' : 'unverified', result.verification || '', details());
+            await recordSend(quotaState, action);
+            recordStepSent(lead, step, steps.length);
+            if (result.verified) {
+              sent++;
+            } else {
+              unverified++;
+            }
+            outcome = `${result.verified ? 'sent' : 'unverified'} ${step.id}`;
+            if (!result.verified) {
+              outcome += ` (${result.verification})`;
+            }
+            if (lead.status === SEQUENCE_STATUS.COMPLETED) {
+              outcome += ', sequence completed';
+            }
+          } else {
+            outcome = await fail(result.error);
+          }
+        }
+      }
+    } catch (error) {
+      logger.debug(`Error sending follow-up: ${error.message}`, { error });
+      sessionLost = Boolean(error.sessionProblem);
+      outcome = await fail(`Error: ${error.message}`);
+    }
+
+    logger.info(`${label} - ${outcome}`, { outcome, step: step.id });
+    await saveSequenceState(state);
+    setProfile(null);
+
+    if (sessionLost) {
+      stopReason = outcome.replace(/^failed: /, '');
+      logger.warn(`Stopping run: ${stopReason}`);
+      logSessionRefreshSteps(client.sessionProblem || 'expired');
+      break;
+    }
+
+    await randomSleep(8000, 12000);
+  }
+
+  await client.close();
+  await saveSelectorStats();
+  if (replies.size > repliesBefore) {
+    await saveReplies(replies.values());
+  }
+
+  logger.info('--- Follow-up summary ---');
+  logger.info(`Follow-ups sent: ${sent}`);
+  logger.info(`Follow-ups unverified: ${unverified}`);
+  logger.info(`Follow-ups failed: ${failed}`);
+  logger.info(`Sequences stopped by a reply: ${replied}`);
+  logger.info(`Sequence state: ${config.files.sequenceStateJson}`);
+  if (stopReason) {
+    logger.info(`Stopped early: ${stopReason}`);
+  }
+
+  return 0;
+}
+
+module.exports = {
+  runFollowUps
+};
@@ -0,0 +1,194 @@
+const fs = require('fs-extra');
+const LinkedInClient = require('./linkedin-client');
+const config = require('../config/config');
+const { readCsv, readCsvHeader, writeCsv } = require('./csv-store');
+const { normalizeProfileUrl } = require('./profile-url');
+const { saveSelectorStats } = require('./selectors');
+const { logger } = require('./logger');
+
+// Paths of the Sales Navigator pages leads can be imported from: saved lead lists and people searches
+const LEAD_LIST_PATHS = [/^\/sales\/lists\/people\/[^/]+/i, /^\/sales\/search\/people/i];
+
+/**
+ * Check whether a URL is a Sales Navigator saved lead list or people search, on any host
+ * @param {string} url - URL given to the import command
+ * @returns {boolean} - True for /sales/lists/people/<id> and /sales/search/people URLs
+ */
+const isLeadListUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    return /^https?:$/.test(parsed.protocol) && LEAD_LIST_PATHS.some(pattern => pattern.test(parsed.pathname));
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Turn a lead collected from Sales Navigator into a profiles CSV row
+ * @param {Object} lead - Lead from LinkedInClient.readLeadPages
+ * @returns {Object} - { url, firstName, lastName, title, company, location }, with a www.linkedin.com URL
+ *   even when the leads were read from another base URL
+ */
+const leadToProfile = (lead) => {
+  // Credentials come after a comma, e.g. "Jane Doe, MBA"
+  const [firstName = '', ...rest] = (lead.name || '').split(',')[0].trim().split(/\s+/);
+  return {
+    url: normalizeProfileUrl(`https://www.linkedin.com${new URL(lead.url).pathname}`),
+    firstName,
+    lastName: rest.join(' '),
+    title: lead.title || '',
+    company: lead.company || '',
+    location: lead.location || ''
+  };
+};
+
+/**
+ * Merge new profile rows into the profiles CSV, skipping URLs that are already there
+ * @param {Array} rows - Profile rows to add, each with at least a url
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Add at most this many rows, 0 for no limit
+ * @returns {Promise<{added: number, skipped: number, overLimit: number}>} - Number of rows added, skipped
+ *   as duplicates or without a URL, and left out because of the limit
+ */
+const mergeProfiles = async (rows, { limit = 0 } = {}) => {
+  const existing = await readCsv(config.files.profilesCsv);
+  const header = await readCsvHeader(config.files.profilesCsv) || ['url', 'firstName', 'lastName'];
+  const seen = new Set(existing.map(row => normalizeProfileUrl(row.url)));
+
+  const added = [];
+  let skipped = 0;
+  let overLimit = 0;
+
+  rows.forEach(row => {
+    const key = normalizeProfileUrl(row.url);
+    if (!key || seen.has(key)) {
+      skipped++;
+      return;
+    }
+    if (limit > 0 && added.length >= limit) {
+      overLimit++;
+      return;
+    }
+    seen.add(key);
+    added.push(row);
+  });
+
+  // Keep the existing column order and add any new columns at the end
+  const titles = [...header];
+  added.forEach(row => {
+    Object.keys(row).forEach(key => {
+      if (!titles.includes(key)) {
+        titles.push(key);
+      }
+    });
+  });
+
+  const columns = titles.map(title => ({ id: title, title }));
+  await writeCsv(config.files.profilesCsv, columns, [...existing, ...added]);
+
+  return { added: added.length, skipped, overLimit };
+};
+
+/**
+ * Import profiles from another CSV file into the profiles CSV
+ * @param {string} sourcePath - CSV file to import, must have a url column
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Import at most this many profiles, 0 for no limit
+ * @returns {Promise<{added: number, skipped: number, overLimit: number}>} - Number of rows added, skipped
+ *   and left out because of the limit
+ */
+const importProfilesFromCsv = async (sourcePath, { limit = 0 } = {}) => {
+  if (!await fs.pathExists(sourcePath)) {
+    throw new Error(`Import file not found: ${sourcePath}`);
+  }
+
+  const rows = await readCsv(sourcePath);
+  if (rows.length > 0 && !('url' in rows[0])) {
+    throw new Error(`Import file has no "url" column: ${sourcePath}`);
+  }
+
+  return mergeProfiles(rows, { limit });
+};
+
+/**
+ * Import the leads of a Sales Navigator saved lead list or people search into the profiles CSV
+ * @param {string} listUrl - URL of the list or search
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Import at most this many new leads, 0 for no limit
+ * @returns {Promise<number>} - Process exit code
+ */
+const importProfilesFromSalesNav = async (listUrl, { limit = 0 } = {}) => {
+  const existing = new Set((await readCsv(config.files.profilesCsv)).map(row => normalizeProfileUrl(row.url)));
+
+  const client = new LinkedInClient();
+  if (!await client.initialize()) {
+    logger.error('Failed to initialize browser');
+    return 1;
+  }
+
+  if (!await client.login()) {
+    logger.error('Failed to login to LinkedIn');
+    await client.close();
+    await saveSelectorStats();
+    return 1;
+  }
+
+  const result = await client.readLeadPages(listUrl, { limit, exclude: existing });
+  await client.close();
+  await saveSelectorStats();
+
+  if (!result.success) {
+    logger.error(`Could not read the lead list: ${result.error}`);
+    if (result.leads.length === 0) {
+      return 1;
+    }
+    logger.warn(`Importing the ${result.leads.length} leads read before the error`);
+  }
+
+  const { added, skipped, overLimit } = await mergeProfiles(result.leads.map(leadToProfile), { limit });
+
+  logger.info('--- Import summary ---');
+  logger.info(`Leads read: ${result.leads.length} from ${result.pages} pages`);
+  logger.info(`Imported: ${added} into ${config.files.profilesCsv}`);
+  logger.info(`Already in the CSV: ${skipped}`);
+  if (overLimit > 0) {
+    logger.info(`Left out by --limit ${limit}: ${overLimit}`);
+  }
+
+  return result.success ? 0 : 1;
+};
+
+/**
+ * Run the import command: merge profiles from a CSV file, or from a Sales Navigator lead list or search
+ * @param {string} source - CSV file path or Sales Navigator URL
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Import at most this many new profiles, 0 for no limit
+ * @returns {Promise<number>} - Process exit code
+ */
+const runImport = async (source, { limit = 0 } = {}) => {
+  if (!source) {
+    console.error('import needs a CSV file or a Sales Navigator lead list or search URL');
+    return 1;
+  }
+
+  if (/^https?:\/\//i.test(source)) {
+    if (!isLeadListUrl(source)) {
+      console.error(`Not a Sales Navigator lead list or people search URL: ${source}`);
+      return 1;
+    }
+    return importProfilesFromSalesNav(source, { limit });
+  }
+
+  const { added, skipped, overLimit } = await importProfilesFromCsv(source, { limit });
+  console.log(`Imported ${added} profiles into ${config.files.profilesCsv} (${skipped} already present or without a URL${overLimit > 0 ? `, ${overLimit} over the limit` : ''})`);
+  return 0;
+};
+
+module.exports = {
+  isLeadListUrl,
+  leadToProfile,
+  mergeProfiles,
+  importProfilesFromCsv,
+  importProfilesFromSalesNav,
+  runImport
+};
@@ -0,0 +1,199 @@
+const config = require('../config/config');
+
+// Weight of each field in the confidence score. Fields the CSV row has no value for are left out,
+// so a row with only a name is scored on the name alone.
+const FIELD_WEIGHTS = {
+  name: 0.55,
+  company: 0.25,
+  title: 0.1,
+  location: 0.1
+};
+
+// Token similarity from which two words count as the same, e.g. "jon" and "john"
+const TOKEN_MATCH = 0.75;
+
+/**
+ * Normalize free text for comparison: lowercase, no accents or punctuation
+ * @param {string} text - Company, title or location
+ * @returns {string} - e.g. "Acme Corp." -> "acme corp"
+ */
+const normalizeText = (text) => (text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+/**
+ * Similarity of two strings based on their edit distance
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - 1 for identical strings, down to 0
+ */
+const similarity = (a, b) => {
+  if (a === b) {
+    return 1;
+  }
+  if (!a || !b) {
+    return 0;
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+};
+
+/**
+ * Score how well the expected words are covered by the actual text. Every expected word is
+ * matched to its most similar actual word, so word order and extra words don't matter.
+ * @param {Array<string>} expected - Words from the CSV
+ * @param {Array<string>} actual - Words from the search result
+ * @returns {number} - Average similarity of the expected words, from 0 to 1
+ */
+const tokenScore = (expected, actual) => {
+  if (expected.length === 0 || actual.length === 0) {
+    return 0;
+  }
+
+  const total = expected.reduce((sum, token) => {
+    const best = Math.max(...actual.map(candidate => similarity(token, candidate)));
+    return sum + (best >= TOKEN_MATCH ? best : 0);
+  }, 0);
+
+  return total / expected.length;
+};
+
+/**
+ * Score a person's name against the name shown in a search result
+ * @param {string} expected - Name from the CSV
+ * @param {string} actual - Name in the search result, possibly with credentials ("Jane Doe, MBA")
+ * @returns {number} - From 0 to 1
+ */
+const scoreName = (expected, actual) => {
+  // Credentials come after a comma and are not part of the name
+  const a = normalizeText((expected || '').split(',')[0]);
+  const b = normalizeText((actual || '').split(',')[0]);
+  if (!a || !b) {
+    return 0;
+  }
+  return Math.max(similarity(a, b), tokenScore(a.split(' '), b.split(' ')));
+};
+
+/**
+ * Score a company, title or location against the text shown in a search result
+ * @param {string} expected - Value from the CSV
+ * @param {string} actual - Text in the search result
+ * @returns {number} - 1 when one contains the other, otherwise how well the words match
+ */
+const scoreField = (expected, actual) => {
+  const a = normalizeText(expected);
+  const b = normalizeText(actual);
+  if (!a || !b) {
+    return 0;
+  }
+  if (b.includes(a) || a.includes(b)) {
+    return 1;
+  }
+  return tokenScore(a.split(' '), b.split(' '));
+};
+
+/**
+ * Get the values a CSV row can be matched on
+ * @param {Object} profile - Profile data from the CSV
+ * @param {string} searchName - Name that was searched for
+ * @returns {Object} - { name, company, title, location }, with empty strings for missing values
+ */
+const expectedFields = (profile, searchName) => ({
+  name: searchName,
+  company: (profile.company || '').trim(),
+  title: (profile.title || profile.position || '').trim(),
+  location: (profile.location || '').trim()
+});
+
+/**
+ * Score a Sales Navigator search result against a CSV row
+ * @param {Object} expected - Values returned by expectedFields
+ * @param {Object} candidate - Search result: { name, title, company, location }
+ * @returns {{confidence: number, scores: Object}} - Weighted confidence from 0 to 1, and the score of each field used
+ */
+const scoreCandidate = (expected, candidate) => {
+  const scores = {};
+  let weighted = 0;
+  let weights = 0;
+
+  Object.keys(FIELD_WEIGHTS).forEach(field => {
+    if (!expected[field]) {
+      return;
+    }
+    // Search results often show the company only as part of the title, e.g. "CTO at Initech"
+    const actual = field === 'company' ? [candidate.company, candidate.title].filter(Boolean).join(' ') : candidate[field];
+    scores[field] = field === 'name' ? scoreName(expected.name, actual) : scoreField(expected[field], actual);
+    weighted += scores[field] * FIELD_WEIGHTS[field];
+    weights += FIELD_WEIGHTS[field];
+  });
+
+  return {
+    confidence: weights > 0 ? Math.round(weighted / weights * 100) / 100 : 0,
+    scores
+  };
+};
+
+/**
+ * Score every search result and pick the match, if it is good enough to message.
+ * A match needs at least salesNavMatching.minConfidence, and must beat the runner-up by
+ * salesNavMatching.ambiguityMargin, so two people with the same name are never guessed between.
+ * @param {Object} profile - Profile data from the CSV
+ * @param {string} searchName - Name that was searched for
+ * @param {Array<Object>} candidates - Search results: { name, title, company, location, url }
+ * @returns {{match: Object|null, ranked: Array<Object>, reason: string}} - The chosen candidate (null if the
+ *   profile needs review), every candidate with its confidence and scores best first, and why there is no match
+ */
+const chooseCandidate = (profile, searchName, candidates) => {
+  const expected = expectedFields(profile, searchName);
+  const ranked = candidates
+    .map(candidate => ({ ...candidate, ...scoreCandidate(expected, candidate) }))
+    .sort((a, b) => b.confidence - a.confidence);
+
+  const [best, runnerUp] = ranked;
+  const { minConfidence, ambiguityMargin } = config.salesNavMatching;
+
+  if (!best) {
+    return { match: null, ranked, reason: 'No results in Sales Navigator search' };
+  }
+  if (best.confidence < minConfidence) {
+    return {
+      match: null,
+      ranked,
+      reason: `Best match "${best.name}" has confidence ${best.confidence}, below ${minConfidence}`
+    };
+  }
+  if (runnerUp && best.confidence - runnerUp.confidence < ambiguityMargin) {
+    return {
+      match: null,
+      ranked,
+      reason: `Ambiguous match: "${best.name}" (${best.confidence}) and "${runnerUp.name}" (${runnerUp.confidence})`
+    };
+  }
+
+  return { match: best, ranked, reason: '' };
+};
+
+module.exports = {
+  normalizeText,
+  similarity,
+  scoreName,
+  scoreField,
+  scoreCandidate,
+  chooseCandidate
+};
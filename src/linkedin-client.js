@@ -2,15 +2,49 @@ const puppeteer = require('puppeteer-extra');
 const StealthPlugin = require('puppeteer-extra-plugin-stealth');
 const config = require('../config/config');
 const { randomSleep, extractSearchableNameFromUrl } = require('./utils');
+const { getSelectors, recordSelectorMatch } = require('./selectors');
+const { rebaseLinkedInUrl, normalizeProfileUrl } = require('./profile-url');
+const { logger } = require('./logger');
+const { captureScreenshot, capturePageContent } = require('./artifacts');
+const { chooseCandidate } = require('./lead-matching');
+const { buildProfileInfo } = require('./profile-info');
+const { buildLaunchOptions } = require('./browser');
+const { SESSION_COOKIE, readCookieExport, cookiesForSite, logSessionRefreshSteps } = require('./session');
+
+// Inbox list pages, by inbox name
+const INBOX_PATHS = {
+  linkedin: '/messaging/',
+  'sales-nav': '/sales/inbox/'
+};
+
+// Most result pages read from one lead list or search. Sales Navigator shows at most 100 pages.
+const MAX_LEAD_PAGES = 100;
 
 // Add stealth plugin to puppeteer
 puppeteer.use(StealthPlugin());
 
+/**
+ * Create an error for problems with the session itself (CAPTCHA, logged out),
+ * which make it pointless to carry on with other profiles
+ * @param {string} message - Error message
+ * @returns {Error} - Error flagged with sessionProblem
+ */
+const sessionError = (message) => Object.assign(new Error(message), { sessionProblem: true });
+
+/**
+ * Normalize message text for comparison, since LinkedIn may render line breaks and spacing differently
+ * @param {string} text - Message text
+ * @returns {string} - Text with all whitespace collapsed to single spaces
+ */
+const normalizeMessageText = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
 class LinkedInClient {
   constructor() {
     this.browser = null;
     this.page = null;
     this.isLoggedIn = false;
+    // Why the last login failed: 'expired' or 'checkpoint'
+    this.sessionProblem = null;
   }
 
   /**
@@ -18,22 +52,17 @@ class LinkedInClient {
    */
   async initialize() {
     try {
-      console.log('Initializing browser...');
+      logger.info('Initializing browser...');
+      
+      const { options, source } = buildLaunchOptions();
+      logger.debug(`Launching ${options.executablePath} (${source}), headless: ${options.headless}`);
       
       // Launch browser with stealth mode
-      this.browser = await puppeteer.launch({
-        headless: false, // Always use non-headless for debugging
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-web-security',
-          '--disable-features=IsolateOrigins,site-per-process',
-          '--disable-dev-shm-usage',
-          '--window-size=1280,800'
-        ],
-        defaultViewport: { width: 1280, height: 800 },
-        executablePath: '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome'
-      });
+      try {
+        this.browser = await puppeteer.launch(options);
+      } catch (launchError) {
+        throw new Error(`Could not start the browser at ${options.executablePath}: ${launchError.message}`);
+      }
       
       // Only use one page/tab
       this.page = (await this.browser.pages())[0] || await this.browser.newPage();
@@ -48,115 +77,285 @@ class LinkedInClient {
 
       // Set up error handling
       this.page.on('error', err => {
-        console.error('Page error:', err);
+        logger.debug('Page error', { error: err });
       });
 
       // Handle dialog boxes (alerts, confirms, prompts)
       this.page.on('dialog', async dialog => {
-        console.log(`Dialog appeared: ${dialog.message()}`);
+        logger.debug(`Dialog appeared: ${dialog.message()}`);
         await dialog.dismiss();
       });
 
       return true;
     } catch (error) {
-      console.error('Error initializing browser:', error);
+      logger.error(`Error initializing browser: ${error.message}`, { error });
       return false;
     }
   }
 
   /**
-   * Login to LinkedIn using session cookies
+   * Build a URL on the configured LinkedIn base URL
+   * @param {string} pathname - Path and query, e.g. '/sales/home'
+   * @returns {string} - Absolute URL
+   */
+  siteUrl(pathname) {
+    return new URL(pathname, config.linkedin.baseUrl).toString();
+  }
+
+  /**
+   * Cookies that carry the session, for the configured base URL: the cookie export of
+   * linkedinCookies.file, and linkedinCookies.li_at, which replaces the li_at of the export
+   * @returns {Promise<Array<Object>>} - Cookies for page.setCookie, empty when none are configured
+   * @throws {Error} - When the cookie export can't be read
+   */
+  async sessionCookies() {
+    let cookies = [];
+    const cookiesFile = config.linkedinCookies.file;
+
+    if (cookiesFile) {
+      const { cookies: exported, expiredSession } = await readCookieExport(cookiesFile);
+      if (expiredSession) {
+        logger.warn(`The li_at cookie in ${cookiesFile} expired on ${expiredSession.toISOString()}`);
+      } else if (!exported.some(cookie => cookie.name === SESSION_COOKIE)) {
+        logger.warn(`${cookiesFile} has no li_at cookie for linkedin.com - export the cookies while logged in to LinkedIn`);
+      }
+      logger.debug(`Read ${exported.length} LinkedIn cookies from ${cookiesFile}`);
+      cookies = exported;
+    }
+
+    if (config.linkedinCookies.li_at) {
+      const cookie = {
+        name: SESSION_COOKIE,
+        value: config.linkedinCookies.li_at,
+        path: '/',
+        httpOnly: true,
+        secure: true
+      };
+      // Set the cookie for both LinkedIn and Sales Navigator, and also for www.linkedin.com
+      cookies = cookies.filter(existing => existing.name !== SESSION_COOKIE).concat([
+        { ...cookie, domain: '.linkedin.com', hostOnly: false },
+        { ...cookie, domain: 'www.linkedin.com', hostOnly: true }
+      ]);
+    }
+
+    return cookiesForSite(cookies, config.linkedin.baseUrl);
+  }
+
+  /**
+   * Set session cookies and load the home page with them
+   * @param {Array<Object>} cookies - Cookies for page.setCookie
+   */
+  async applySessionCookies(cookies) {
+    logger.debug('Setting LinkedIn cookies...');
+    await this.page.setCookie(...cookies);
+    
+    logger.debug('Reloading page to apply cookies...');
+    await this.page.goto(this.siteUrl('/'), { 
+      waitUntil: 'domcontentloaded', // Less strict than networkidle2
+      timeout: 60000 // 60 second timeout
+    });
+    
+    await randomSleep(3000, 5000);
+  }
+
+  /**
+   * Get the URL of the page the browser is on
+   * @returns {string} - Current URL, or an empty string before the browser is started
    */
-  async login() {
+  currentUrl() {
+    return this.page ? this.page.url() : '';
+  }
+
+  /**
+   * Take a screenshot into the run's artifact folder, if the screenshot policy allows it
+   * @param {string} name - Short name, e.g. 'message-composer'
+   * @param {Object} [options] - { failure, fullPage }, see captureScreenshot
+   * @returns {Promise<string|null>} - Path of the screenshot, or null if none was taken
+   */
+  async screenshot(name, options) {
+    return captureScreenshot(this.page, name, options);
+  }
+
+  /**
+   * Login to LinkedIn. Session cookies that are configured (linkedinCookies.li_at, linkedinCookies.file
+   * or --cookies) replace a different session kept in the browser profile by an earlier run, so they
+   * can switch the account. Without them, or when they aren't valid, the session in the profile is reused.
+   * @param {Object} [options]
+   * @param {boolean} [options.explain] - Log how to refresh the session when it isn't valid
+   * @returns {Promise<boolean>} - True when logged in. When the session isn't valid, sessionProblem says why.
+   */
+  async login({ explain = true } = {}) {
+    this.sessionProblem = null;
     try {
-      console.log('Logging in to LinkedIn...');
+      logger.info('Logging in to LinkedIn...');
       
       // Navigate to LinkedIn with longer timeout and better error handling
       try {
-        console.log('Navigating to LinkedIn homepage...');
-        await this.page.goto('https://www.linkedin.com/', { 
+        logger.debug('Navigating to LinkedIn homepage...');
+        await this.page.goto(this.siteUrl('/'), { 
           waitUntil: 'domcontentloaded', // Less strict than networkidle2
           timeout: 60000 // 60 second timeout
         });
-        console.log('Successfully loaded LinkedIn homepage');
+        logger.debug('Successfully loaded LinkedIn homepage');
       } catch (navError) {
-        console.error('Navigation error:', navError.message);
+        logger.warn(`Navigation error: ${navError.message}`);
         // Try to take a screenshot to see what happened
-        try {
-          await this.page.screenshot({ path: 'linkedin-error.png' });
-          console.log('Screenshot saved to linkedin-error.png');
-        } catch (e) {
-          console.log('Could not save screenshot:', e.message);
-        }
+        await this.screenshot('linkedin-error', { failure: true });
         throw new Error(`Failed to navigate to LinkedIn: ${navError.message}`);
       }
       
       await randomSleep(3000, 5000);
       
-      // Check if li_at cookie is provided
-      if (!config.linkedinCookies.li_at) {
-        throw new Error('LinkedIn session cookie (li_at) not provided in config');
+      const cookies = await this.sessionCookies();
+      const profileDir = config.browser.userDataDir;
+      const savedCookies = profileDir && await this.checkLoginStatus() ? await this.page.cookies() : null;
+      const sessionValue = (list) => (list.find(cookie => cookie.name === SESSION_COOKIE) || {}).value;
+      const configured = sessionValue(cookies);
+      const source = [config.linkedinCookies.file, config.linkedinCookies.li_at ? 'linkedinCookies.li_at' : '']
+        .filter(Boolean).join(' and ');
+      
+      if (savedCookies && (!configured || configured === sessionValue(savedCookies))) {
+        logger.info(`Reusing the session saved in ${profileDir}`);
+      } else if (cookies.length > 0) {
+        if (savedCookies) {
+          logger.info(`Replacing the session saved in ${profileDir} with the session cookie from ${source}`);
+        }
+        await this.applySessionCookies(cookies);
+        
+        if (savedCookies && await this.diagnoseSession()) {
+          logger.warn(`The session cookie from ${source} is not valid, using the session saved in ${profileDir} instead`);
+          await this.applySessionCookies(savedCookies.map(({ name, value, domain, path, expires, httpOnly, secure, sameSite }) => ({
+            name, value, domain, path, httpOnly, secure, sameSite, ...(expires > 0 ? { expires } : {})
+          })));
+        }
+      } else {
+        logger.warn('No session cookie configured (linkedinCookies.li_at or linkedinCookies.file)');
       }
       
-      console.log('Setting LinkedIn cookies...');
-      
-      // Set cookies for both LinkedIn and Sales Navigator
-      await this.page.setCookie({
-        name: 'li_at',
-        value: config.linkedinCookies.li_at,
-        domain: '.linkedin.com',
-        path: '/',
-        httpOnly: true,
-        secure: true
-      });
-      
-      // Also set for www.linkedin.com
-      await this.page.setCookie({
-        name: 'li_at',
-        value: config.linkedinCookies.li_at,
-        domain: 'www.linkedin.com',
-        path: '/',
-        httpOnly: true,
-        secure: true
-      });
-      
-      console.log('Reloading page to apply cookies...');
-      
-      // Refresh the page to apply cookies
-      await this.page.reload({ 
-        waitUntil: 'domcontentloaded', // Less strict than networkidle2
-        timeout: 60000 // 60 second timeout
-      });
-      
-      console.log('Page reloaded. Checking login status...');
-      
-      await randomSleep(3000, 5000);
+      logger.debug('Checking login status...');
       
       // Take a screenshot to verify login state
-      try {
-        await this.page.screenshot({ path: 'linkedin-login.png' });
-        console.log('Login screenshot saved to linkedin-login.png');
-      } catch (e) {
-        console.log('Could not save login screenshot:', e.message);
-      }
+      await this.screenshot('linkedin-login');
       
-      // Check if we're logged in
-      const isLoggedIn = await this.checkLoginStatus();
+      this.sessionProblem = await this.diagnoseSession();
       
-      if (!isLoggedIn) {
-        console.error('Login failed. Current URL:', await this.page.url());
-        throw new Error('Failed to login with provided cookies - session may have expired');
+      if (this.sessionProblem) {
+        logger.warn(`Login failed (${this.sessionProblem}). Current URL: ${await this.page.url()}`);
+        if (explain) {
+          logSessionRefreshSteps(this.sessionProblem);
+        }
+        await this.screenshot('login-failed', { failure: true });
+        return false;
       }
       
       this.isLoggedIn = true;
-      console.log('Successfully logged in to LinkedIn');
+      logger.info('Successfully logged in to LinkedIn');
       return true;
     } catch (error) {
-      console.error('Error logging in to LinkedIn:', error);
+      logger.error(`Error logging in to LinkedIn: ${error.message}`, { error });
+      await this.screenshot('login-failed', { failure: true });
       return false;
     }
   }
 
+  /**
+   * Work out whether the current page shows a valid session, without navigating
+   * @returns {Promise<string|null>} - null when logged in, 'checkpoint' for a security check or CAPTCHA,
+   *   'expired' for a login page or a page without the logged-in elements
+   */
+  async diagnoseSession() {
+    const url = this.currentUrl();
+    const checkpoint = getSelectors('session.checkpointUrl').find(value => url.includes(value));
+    if (checkpoint) {
+      recordSelectorMatch('session.checkpointUrl', checkpoint);
+      return 'checkpoint';
+    }
+    
+    if (await this.checkForCaptcha()) {
+      return 'checkpoint';
+    }
+    
+    return await this.checkLoginStatus() ? null : 'expired';
+  }
+
+  /**
+   * Check whether a URL is one LinkedIn shows instead of the requested page to logged-out sessions
+   * @param {string} url - Page URL
+   * @returns {boolean} - True for login and checkpoint pages
+   */
+  isLoggedOutUrl(url) {
+    const fragment = getSelectors('session.loggedOutUrl').find(value => url.includes(value));
+    if (fragment) {
+      recordSelectorMatch('session.loggedOutUrl', fragment);
+    }
+    return Boolean(fragment);
+  }
+
+  /**
+   * Find the first element matching one of the selectors of a registry entry
+   * @param {string} key - Selector registry key
+   * @returns {Promise<{element: Object, selector: string}|null>} - Element handle and the selector that matched
+   */
+  async findFirst(key) {
+    for (const selector of getSelectors(key)) {
+      try {
+        const element = await this.page.$(selector);
+        if (element) {
+          recordSelectorMatch(key, selector);
+          return { element, selector };
+        }
+      } catch (e) {
+        logger.debug(`Error with selector ${selector}: ${e.message}`);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the first element whose visible text contains one of the texts of a registry entry
+   * @param {string} elementSelector - Elements to look through, e.g. 'button'
+   * @param {string} key - Selector registry key of a text entry
+   * @returns {Promise<{element: Object, text: string}|null>} - Element handle and its text
+   */
+  async findByText(elementSelector, key) {
+    const elements = await this.page.$$(elementSelector);
+    
+    for (const element of elements) {
+      const elementText = await this.page.evaluate(el => el.innerText, element);
+      if (this.matchText(elementText, key)) {
+        return { element, text: elementText };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check whether some text contains one of the texts of a registry entry, and record the match
+   * @param {string} text - Text of an element
+   * @param {string} key - Selector registry key of a text entry
+   * @returns {string|null} - The registry value that matched
+   */
+  matchText(text, key) {
+    if (!text) {
+      return null;
+    }
+    const lowerText = text.toLowerCase();
+    const match = getSelectors(key).find(value => lowerText.includes(value.toLowerCase()));
+    if (match) {
+      recordSelectorMatch(key, match);
+    }
+    return match || null;
+  }
+
+  /**
+   * Collect several registry entries into one object, to pass into page.evaluate
+   * @param {Array<string>} keys - Selector registry keys
+   * @returns {Object} - Values of each entry by key
+   */
+  selectorMap(keys) {
+    return Object.fromEntries(keys.map(key => [key, getSelectors(key)]));
+  }
+
   /**
    * Check if we're logged in to LinkedIn
    */
@@ -164,55 +363,42 @@ class LinkedInClient {
     try {
       // Get the current URL
       const currentUrl = await this.page.url();
-      console.log('Current page URL:', currentUrl);
+      logger.debug(`Current page URL: ${currentUrl}`);
       
       // Check if we're on a login page
-      if (currentUrl.includes('/login') || currentUrl.includes('/checkpoint')) {
-        console.log('On login or checkpoint page - not logged in');
+      if (this.isLoggedOutUrl(currentUrl)) {
+        logger.debug('On login or checkpoint page - not logged in');
         return false;
       }
       
       // Check for elements that only appear when logged in
-      const loggedIn = await this.page.evaluate(() => {
-        // Look for common elements that indicate we're logged in
-        // These are the most common selectors for LinkedIn's logged-in state
-        const selectors = [
-          '.global-nav', // Older LinkedIn navigation
-          '.global-nav__avatar', // Profile picture in nav
-          '.feed-identity-module', // Feed identity module
-          '.profile-rail-card', // Profile card
-          '.artdeco-button--primary', // Primary buttons (might be too generic)
-          '.search-global-typeahead', // Search bar
-          '.nav-item--profile', // Profile nav item
-          'img[alt*="profile"]', // Profile image
-          '[data-control-name="identity_profile_photo"]' // Profile photo control
-        ];
-        
-        // Check each selector
+      const match = await this.page.evaluate((selectors, signOutTexts) => {
         for (const selector of selectors) {
-          const element = document.querySelector(selector);
-          if (element) {
-            console.log(`Found logged-in element: ${selector}`);
-            return true;
+          if (document.querySelector(selector)) {
+            return { key: 'session.loggedIn', value: selector };
           }
         }
         
         // Look for any element that contains "Sign Out" text
-        const signOutElements = Array.from(document.querySelectorAll('a, button, div'))
-          .filter(el => el.textContent && el.textContent.toLowerCase().includes('sign out'));
-          
-        if (signOutElements.length > 0) {
-          console.log('Found Sign Out element');
-          return true;
+        const elements = Array.from(document.querySelectorAll('a, button, div'));
+        for (const text of signOutTexts) {
+          if (elements.some(el => el.textContent && el.textContent.toLowerCase().includes(text))) {
+            return { key: 'session.signOutText', value: text };
+          }
         }
         
-        return false;
-      });
+        return null;
+      }, getSelectors('session.loggedIn'), getSelectors('session.signOutText'));
       
-      console.log('Login status check result:', loggedIn);
-      return loggedIn;
+      if (match) {
+        logger.debug(`Found logged-in element: ${match.value}`);
+        recordSelectorMatch(match.key, match.value);
+      }
+      
+      logger.debug(`Login status check result: ${Boolean(match)}`);
+      return Boolean(match);
     } catch (error) {
-      console.error('Error checking login status:', error);
+      logger.warn(`Error checking login status: ${error.message}`, { error });
       return false;
     }
   }
@@ -221,54 +407,42 @@ class LinkedInClient {
    * Navigate to a LinkedIn profile
    * @param {string} profileUrl - The LinkedIn profile URL (regular or Sales Navigator)
    * @param {Object} profileData - Optional profile data with firstName and lastName
+   * @returns {Promise<Object>} - { success, profileInfo, error, sessionProblem }. profileInfo holds the
+   *   template variables read from the page.
    */
   async navigateToProfile(profileUrl, profileData) {
     try {
-      console.log(`Navigating to profile: ${profileUrl}`);
+      logger.debug(`Navigating to profile: ${profileUrl}`);
       
       if (!this.isLoggedIn) {
-        throw new Error('Not logged in to LinkedIn');
+        throw sessionError('Not logged in to LinkedIn');
       }
       
       const isSalesNav = profileUrl.includes('/sales/');
       
       // Navigate to the profile with increased timeout
-      console.log(`Navigating to profile URL: ${profileUrl}`);
-      await this.page.goto(profileUrl, { 
+      const targetUrl = rebaseLinkedInUrl(profileUrl, config.linkedin.baseUrl);
+      logger.debug(`Navigating to profile URL: ${targetUrl}`);
+      await this.page.goto(targetUrl, { 
         waitUntil: 'domcontentloaded', // Less strict than networkidle2
         timeout: 90000 // 90 second timeout
       });
-      console.log('Profile page loaded successfully');
+      logger.debug('Profile page loaded successfully');
       
       // If Sales Navigator is specified but we're on a regular profile, we'll just use regular messaging
       // We're skipping the "View in Sales Navigator" step since it was causing login issues
-      if (!isSalesNav && process.env.USE_SALES_NAV === 'true') {
-        console.log("Using regular profile for messaging (skipping 'View in Sales Navigator' button)");
+      if (!isSalesNav && config.messaging.useSalesNav) {
+        logger.debug("Using regular profile for messaging (skipping 'View in Sales Navigator' button)");
       }
       
       // Take a screenshot of the profile
-      try {
-        const screenshotPath = `profile-${new Date().getTime()}.png`;
-        await this.page.screenshot({ path: screenshotPath });
-        console.log(`Profile screenshot saved to ${screenshotPath}`);
-      } catch (e) {
-        console.log('Could not save profile screenshot:', e.message);
-      }
+      await this.screenshot('profile');
       
       // Wait longer before proceeding
       await randomSleep(5000, 8000);
       
       // Check for CAPTCHA or other login challenges
-      const hasCaptcha = await this.checkForCaptcha();
-      if (hasCaptcha) {
-        throw new Error('CAPTCHA detected');
-      }
-      
-      // Check if we're still logged in
-      const isLoggedIn = await this.checkLoginStatus();
-      if (!isLoggedIn) {
-        throw new Error('No longer logged in');
-      }
+      await this.ensureSessionHealthy();
       
       // Determine if we're on a regular profile or Sales Navigator profile
       const isSalesNavigator = profileUrl.includes('/sales/');
@@ -283,18 +457,24 @@ class LinkedInClient {
         profileInfo 
       };
     } catch (error) {
-      console.error(`Error navigating to profile: ${profileUrl}`, error);
+      logger.debug(`Error navigating to profile: ${profileUrl}`, { error });
+      await this.screenshot('navigation-failed', { failure: true });
       return { 
         success: false, 
-        error: error.message 
+        error: error.message,
+        sessionProblem: Boolean(error.sessionProblem)
       };
     }
   }
   
   /**
-   * Navigate to a profile via Sales Navigator search
+   * Navigate to a profile via Sales Navigator search. Only a result that scores well enough against
+   * the profile data (name, company, title, location) and clearly beats the other results is opened.
    * @param {string} profileUrl - The LinkedIn profile URL
-   * @param {Object} profileData - Optional profile data with firstName and lastName
+   * @param {Object} profileData - Optional profile data with firstName and lastName, and company, title, location
+   * @returns {Promise<Object>} - { success, profileInfo, match, needsReview, candidates, error, sessionProblem }.
+   *   needsReview is set, with the ranked candidates, when there were results but none was a confident match.
+   *   A search without results is a plain failure, so the profile is retried on a later run.
    */
   async navigateToProfileViaSalesNav(profileUrl, profileData) {
     try {
@@ -302,34 +482,34 @@ class LinkedInClient {
       let searchableName;
       if (profileData && profileData.firstName && profileData.lastName) {
         searchableName = `${profileData.firstName} ${profileData.lastName}`;
-        console.log(`Using profile name for search: ${searchableName}`);
+        logger.debug(`Using profile name for search: ${searchableName}`);
       } else {
         // Extract a searchable name from the profile URL
         searchableName = extractSearchableNameFromUrl(profileUrl);
-        console.log(`Using extracted name for search: ${searchableName}`);
+        logger.debug(`Using extracted name for search: ${searchableName}`);
       }
       
       // First, make sure we're logged into Sales Navigator
-      console.log('Navigating to Sales Navigator homepage...');
-      await this.page.goto('https://www.linkedin.com/sales/home', { 
+      logger.debug('Navigating to Sales Navigator homepage...');
+      await this.page.goto(this.siteUrl('/sales/home'), { 
         waitUntil: 'domcontentloaded', 
         timeout: 60000
       });
       await randomSleep(5000, 8000);
       
       // Take a screenshot of the Sales Navigator homepage
-      const homeScreenshot = `sales-nav-home-${new Date().getTime()}.png`;
-      await this.page.screenshot({ path: homeScreenshot });
-      console.log(`Sales Navigator homepage screenshot saved to ${homeScreenshot}`);
+      await this.screenshot('sales-nav-home');
       
       // Check if we're redirected to login page
       const currentUrl = await this.page.url();
-      if (currentUrl.includes('/login') || currentUrl.includes('/checkpoint')) {
-        console.log('Redirected to login page, need to re-login for Sales Navigator');
-        await this.login(); // Re-login if needed
+      if (this.isLoggedOutUrl(currentUrl)) {
+        logger.debug('Redirected to login page, need to re-login for Sales Navigator');
+        if (!await this.login()) {
+          throw sessionError('Not logged in to Sales Navigator');
+        }
         
         // Navigate back to Sales Navigator homepage
-        await this.page.goto('https://www.linkedin.com/sales/home', { 
+        await this.page.goto(this.siteUrl('/sales/home'), { 
           waitUntil: 'domcontentloaded', 
           timeout: 60000
         });
@@ -337,44 +517,28 @@ class LinkedInClient {
       }
       
       // Now navigate to the search page
-      console.log('Navigating to Sales Navigator search page...');
-      await this.page.goto('https://www.linkedin.com/sales/search/people', { 
+      logger.debug('Navigating to Sales Navigator search page...');
+      await this.page.goto(this.siteUrl('/sales/search/people'), { 
         waitUntil: 'domcontentloaded', 
         timeout: 60000
       });
       await randomSleep(5000, 8000);
       
       // Take a screenshot of the search page
-      const searchScreenshot = `sales-nav-search-${new Date().getTime()}.png`;
-      await this.page.screenshot({ path: searchScreenshot });
-      console.log(`Search page screenshot saved to ${searchScreenshot}`);
+      await this.screenshot('sales-nav-search');
+      
+      // A CAPTCHA instead of the search page would otherwise look like a search without results
+      await this.ensureSessionHealthy();
       
       // Look for the search input with more selectors and better error handling
-      console.log('Looking for search input...');
-      
-      // Try multiple selectors for the search input
-      const searchSelectors = [
-        'input[placeholder*="Search"][type="text"]',
-        'input.search-global-typeahead__input',
-        '.global-nav-search input',
-        'input[aria-label*="Search"]',
-        'input.search-input'
-      ];
+      logger.debug('Looking for search input...');
       
-      let searchInput = null;
-      for (const selector of searchSelectors) {
-        console.log(`Trying search selector: ${selector}`);
-        searchInput = await this.page.$(selector);
-        if (searchInput) {
-          console.log(`Found search input with selector: ${selector}`);
-          break;
-        }
-      }
+      const search = await this.findFirst('salesNavSearch.input');
       
-      if (!searchInput) {
+      if (!search) {
         // Fallback: Try to navigate directly to the profile page in Sales Navigator
-        console.log('Could not find search input, trying direct navigation...');
-        const directUrl = `https://www.linkedin.com/sales/search/people/list?keywords=${encodeURIComponent(searchableName)}`;
+        logger.debug('Could not find search input, trying direct navigation...');
+        const directUrl = this.siteUrl(`/sales/search/people/list?keywords=${encodeURIComponent(searchableName)}`);
         
         await this.page.goto(directUrl, { 
           waitUntil: 'domcontentloaded', 
@@ -382,18 +546,14 @@ class LinkedInClient {
         });
         await randomSleep(5000, 8000);
       } else {
+        logger.debug(`Found search input with selector: ${search.selector}`);
+        const searchInput = search.element;
+        
         // Clear any existing text and search for the profile
-        await this.page.evaluate(() => {
-          const inputs = document.querySelectorAll('input[type="text"]');
-          for (const input of inputs) {
-            if (input.placeholder && input.placeholder.toLowerCase().includes('search')) {
-              input.value = '';
-            }
-          }
-        });
+        await this.page.evaluate(input => { input.value = ''; }, searchInput);
         
         // Type the search query using the searchable name
-        console.log(`Searching for profile in Sales Navigator: ${searchableName}`);
+        logger.debug(`Searching for profile in Sales Navigator: ${searchableName}`);
         await searchInput.type(searchableName, { delay: 100 });
         await randomSleep(1000, 2000);
         await this.page.keyboard.press('Enter');
@@ -401,424 +561,582 @@ class LinkedInClient {
       }
       
       // Take a screenshot of search results
-      const resultsScreenshot = `sales-nav-results-${new Date().getTime()}.png`;
-      await this.page.screenshot({ path: resultsScreenshot });
-      console.log(`Search results screenshot saved to ${resultsScreenshot}`);
+      await this.screenshot('sales-nav-results');
+      
+      // Score every result against the CSV row, instead of trusting the first one
+      logger.debug('Reading candidates from search results...');
+      const candidates = await this.readSearchCandidates();
+      const choice = chooseCandidate(profileData || {}, searchableName, candidates);
+      
+      logger.info(`Sales Navigator search for "${searchableName}": ${candidates.length} candidates`, {
+        candidates: choice.ranked.map(candidate => ({
+          name: candidate.name,
+          title: candidate.title,
+          company: candidate.company,
+          location: candidate.location,
+          url: candidate.url,
+          confidence: candidate.confidence,
+          scores: candidate.scores
+        }))
+      });
       
-      // Look for any profile links in the results
-      console.log('Looking for matching profiles in search results...');
+      if (!choice.match) {
+        await this.screenshot('sales-nav-no-match', { failure: true });
+        return {
+          success: false,
+          // An empty results page may be a search that failed to load, which a later run can retry
+          needsReview: candidates.length > 0,
+          error: choice.reason,
+          candidates: choice.ranked
+        };
+      }
       
-      // Try multiple approaches to find a matching profile
-      const foundProfile = await this.page.evaluate((searchName) => {
-        // Normalize the search name for better matching
-        const normalizedName = searchName.toLowerCase();
-        
-        // Try to find links that might be profile links
-        const possibleProfileLinks = Array.from(document.querySelectorAll('a'))
-          .filter(link => {
-            const href = link.href || '';
-            const text = link.textContent || '';
-            return (href.includes('/sales/lead/') || href.includes('/sales/profile/')) &&
-                   (text.trim() !== '');
-          });
-        
-        console.log(`Found ${possibleProfileLinks.length} possible profile links`);
-        
-        // First try: look for exact matches
-        for (const link of possibleProfileLinks) {
-          const text = link.textContent.toLowerCase();
-          if (text.includes(normalizedName)) {
-            console.log(`Found exact match: ${text}`);
-            link.click();
-            return true;
-          }
-        }
-        
-        // Second try: click the first result if available
-        if (possibleProfileLinks.length > 0) {
-          console.log(`Clicking first result: ${possibleProfileLinks[0].textContent}`);
-          possibleProfileLinks[0].click();
-          return true;
+      logger.debug(`Opening best match: ${choice.match.name} (confidence ${choice.match.confidence})`, { url: choice.match.url });
+      const clicked = await this.page.evaluate((url) => {
+        const link = Array.from(document.querySelectorAll('a')).find(element => element.href === url);
+        if (link) {
+          link.click();
         }
-        
-        return false;
-      }, searchableName);
+        return Boolean(link);
+      }, choice.match.url);
       
-      if (!foundProfile) {
-        throw new Error(`Could not find any profile in Sales Navigator search results`);
+      if (!clicked) {
+        throw new Error(`Could not open the search result of ${choice.match.name}`);
       }
+      recordSelectorMatch('salesNavSearch.resultLink', choice.match.fragment);
       
       // Wait for profile page to load
-      console.log('Waiting for profile page to load...');
+      logger.debug('Waiting for profile page to load...');
       await randomSleep(5000, 8000);
       
+      // Check for CAPTCHA or other login challenges
+      await this.ensureSessionHealthy();
+      
       // Take screenshot of the profile
-      const profileScreenshot = `sales-nav-profile-${new Date().getTime()}.png`;
-      await this.page.screenshot({ path: profileScreenshot });
-      console.log(`Profile screenshot saved to ${profileScreenshot}`);
+      await this.screenshot('sales-nav-profile');
       
       // Extract profile information
       const profileInfo = await this.extractSalesNavProfileInfo();
       
       return {
         success: true,
-        profileInfo
+        profileInfo,
+        match: { name: choice.match.name, url: choice.match.url, confidence: choice.match.confidence }
       };
     } catch (error) {
-      console.error(`Error navigating to profile via Sales Navigator: ${error.message}`);
+      logger.debug(`Error navigating to profile via Sales Navigator: ${error.message}`, { error });
+      await this.screenshot('navigation-failed', { failure: true });
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        sessionProblem: Boolean(error.sessionProblem)
       };
     }
   }
 
   /**
-   * Check for CAPTCHA challenge
+   * Read the people on a Sales Navigator search results page
+   * @returns {Promise<Array<Object>>} - { name, title, company, location, url, fragment } per result, in page
+   *   order. fragment is the salesNavSearch.resultLink value the link matched.
    */
-  async checkForCaptcha() {
-    return await this.page.evaluate(() => {
-      // Look for common CAPTCHA elements
-      const captchaElements = document.querySelectorAll([
-        'iframe[src*="captcha"]',
-        '.captcha',
-        '#captcha',
-        'img[src*="captcha"]',
-        '.challenge',
-        // Add other CAPTCHA selectors as needed
-      ].join(','));
-      
-      return captchaElements.length > 0;
-    });
+  async readSearchCandidates() {
+    const { candidates, matches } = await this.page.evaluate((selectors) => {
+      const matches = [];
+      const fragments = selectors['salesNavSearch.resultLink'];
+      const fragmentOf = (link) => fragments.find(fragment => (link.href || '').includes(fragment));
+      
+      const text = (container, key) => {
+        for (const selector of selectors[key]) {
+          const element = container.querySelector(selector);
+          if (element && element.innerText.trim()) {
+            matches.push({ key, value: selector });
+            return element.innerText.trim();
+          }
+        }
+        return '';
+      };
+      
+      // Each result is a list item with the lead link, title, company and location. Without those,
+      // every lead link is a candidate that only has a name.
+      const resultSelector = selectors['salesNavSearch.result'].find(value => document.querySelector(value));
+      let entries;
+      if (resultSelector) {
+        matches.push({ key: 'salesNavSearch.result', value: resultSelector });
+        entries = Array.from(document.querySelectorAll(resultSelector)).map(container => ({
+          container,
+          link: Array.from(container.querySelectorAll('a')).find(fragmentOf)
+        }));
+      } else {
+        entries = Array.from(document.querySelectorAll('a'))
+          .filter(link => fragmentOf(link) && link.textContent.trim())
+          .map(link => ({ container: link, link }));
+      }
+      
+      const seen = new Set();
+      const candidates = [];
+      entries.forEach(({ container, link }) => {
+        if (!link || seen.has(link.href)) {
+          return;
+        }
+        seen.add(link.href);
+        candidates.push({
+          name: (resultSelector && text(container, 'salesNavSearch.resultName')) || link.textContent.trim(),
+          title: resultSelector ? text(container, 'salesNavSearch.resultTitle') : '',
+          company: resultSelector ? text(container, 'salesNavSearch.resultCompany') : '',
+          location: resultSelector ? text(container, 'salesNavSearch.resultLocation') : '',
+          url: link.href,
+          fragment: fragmentOf(link)
+        });
+      });
+      
+      return { candidates, matches };
+    }, this.selectorMap([
+      'salesNavSearch.result',
+      'salesNavSearch.resultLink',
+      'salesNavSearch.resultName',
+      'salesNavSearch.resultTitle',
+      'salesNavSearch.resultCompany',
+      'salesNavSearch.resultLocation'
+    ]));
+    
+    matches.forEach(match => recordSelectorMatch(match.key, match.value));
+    return candidates;
   }
 
   /**
-   * Extract profile information from Sales Navigator
+   * Collect the leads of a Sales Navigator saved lead list or people search, page by page
+   * @param {string} listUrl - URL of the list or search
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Stop once this many new leads are collected, 0 for no limit
+   * @param {Set<string>} [options.exclude] - Normalized URLs of leads that don't count towards the limit
+   * @returns {Promise<Object>} - { success, leads, pages, error, sessionProblem }, where leads are
+   *   { name, title, company, location, url } in page order
    */
-  async extractSalesNavProfileInfo() {
-    return await this.page.evaluate(() => {
-      // Extract firstName, industry, and other useful information
-      // Note: These selectors may need adjustment based on LinkedIn's current DOM structure
-      const firstName = document.querySelector('.profile-topcard-person-entity__name')?.innerText.split(' ')[0] || '';
+  async readLeadPages(listUrl, { limit = 0, exclude = new Set() } = {}) {
+    const leads = [];
+    const seen = new Set();
+    let found = 0;
+    let pages = 0;
+    
+    try {
+      if (!this.isLoggedIn) {
+        throw sessionError('Not logged in to LinkedIn');
+      }
       
-      // Try to find industry information
-      const industryElement = Array.from(document.querySelectorAll('dt'))
-        .find(el => el.innerText.includes('Industry'));
-      const industry = industryElement ? 
-        industryElement.nextElementSibling?.innerText || 'your industry' : 
-        'your industry';
+      logger.debug(`Opening lead list: ${listUrl}`);
+      await this.page.goto(rebaseLinkedInUrl(listUrl, config.linkedin.baseUrl), {
+        waitUntil: 'domcontentloaded',
+        timeout: 90000
+      });
       
-      // For the topic, we could use their current position or company
-      const position = document.querySelector('.profile-topcard__current-role')?.innerText || 'your business';
+      while (pages < MAX_LEAD_PAGES) {
+        await randomSleep(4000, 6000);
+        await this.ensureSessionHealthy();
+        pages++;
+        
+        // Results are rendered as they are scrolled into view
+        const resultSelectors = getSelectors('salesNavSearch.result');
+        let count = 0;
+        for (let attempt = 0; attempt < 10; attempt++) {
+          const loaded = await this.page.evaluate((itemSelectors) => {
+            const selector = itemSelectors.find(value => document.querySelector(value));
+            const items = selector ? document.querySelectorAll(selector) : [];
+            if (items.length > 0) {
+              items[items.length - 1].scrollIntoView();
+            }
+            return items.length;
+          }, resultSelectors);
+          
+          if (loaded === count) {
+            break;
+          }
+          count = loaded;
+          await randomSleep(1000, 2000);
+        }
+        
+        const candidates = await this.readSearchCandidates();
+        const fresh = candidates.filter(candidate => !seen.has(normalizeProfileUrl(candidate.url)));
+        logger.info(`Page ${pages}: ${candidates.length} leads, ${fresh.length} not seen on earlier pages`);
+        await this.screenshot(`lead-list-page-${pages}`);
+        
+        for (const candidate of fresh) {
+          const key = normalizeProfileUrl(candidate.url);
+          seen.add(key);
+          leads.push({
+            name: candidate.name,
+            title: candidate.title,
+            company: candidate.company,
+            location: candidate.location,
+            url: candidate.url
+          });
+          if (!exclude.has(key)) {
+            found++;
+          }
+          if (limit > 0 && found >= limit) {
+            break;
+          }
+        }
+        
+        if (fresh.length === 0 || (limit > 0 && found >= limit)) {
+          break;
+        }
+        
+        const next = await this.findFirst('salesNavSearch.nextPage');
+        const enabled = next && await this.page.evaluate(el => !el.disabled && el.getAttribute('aria-disabled') !== 'true', next.element);
+        if (!enabled) {
+          break;
+        }
+        logger.debug(`Opening page ${pages + 1}...`);
+        await next.element.click();
+      }
       
+      logger.debug(`Collected ${leads.length} leads from ${pages} pages`);
+      return { success: true, leads, pages };
+    } catch (error) {
+      logger.debug(`Error reading lead list: ${listUrl}`, { error });
+      await this.screenshot('lead-list-failed', { failure: true });
       return {
-        firstName,
-        industry,
-        position,
-        topic: position
+        success: false,
+        leads,
+        pages,
+        error: error.message,
+        sessionProblem: Boolean(error.sessionProblem)
       };
+    }
+  }
+
+  /**
+   * Make sure the current page is not a CAPTCHA or security checkpoint and we are still logged in
+   * @throws {Error} - Flagged with sessionProblem if either check fails
+   */
+  async ensureSessionHealthy() {
+    this.sessionProblem = await this.diagnoseSession();
+    
+    if (this.sessionProblem === 'checkpoint') {
+      throw sessionError('CAPTCHA or security checkpoint detected');
+    }
+    if (this.sessionProblem) {
+      throw sessionError('No longer logged in');
+    }
+  }
+
+  /**
+   * Check for CAPTCHA challenge
+   */
+  async checkForCaptcha() {
+    // Look for common CAPTCHA elements
+    const captcha = await this.page.evaluate((selectors) => {
+      return selectors.find(selector => document.querySelector(selector)) || null;
+    }, getSelectors('captcha'));
+    
+    if (captcha) {
+      recordSelectorMatch('captcha', captcha);
+    }
+    return Boolean(captcha);
+  }
+
+  /**
+   * Read the text of the first element matching each registry entry on the current page
+   * @param {Object} fields - Registry key by field name, e.g. { name: 'profile.name' }
+   * @returns {Promise<Object>} - Text by field name, '' when no selector matched
+   */
+  async readFieldTexts(fields) {
+    const { texts, matches } = await this.page.evaluate((fields, selectors) => {
+      const matches = [];
+      const texts = {};
+      
+      Object.entries(fields).forEach(([field, key]) => {
+        texts[field] = '';
+        for (const selector of selectors[key]) {
+          const element = document.querySelector(selector);
+          if (element && element.innerText.trim()) {
+            matches.push({ key, value: selector });
+            texts[field] = element.innerText.trim();
+            break;
+          }
+        }
+      });
+      
+      return { texts, matches };
+    }, fields, this.selectorMap(Object.values(fields)));
+    
+    matches.forEach(match => recordSelectorMatch(match.key, match.value));
+    return texts;
+  }
+
+  /**
+   * Extract profile information from a Sales Navigator lead page
+   * @returns {Promise<Object>} - Template variables, see buildProfileInfo. Fields not on the page are empty.
+   */
+  async extractSalesNavProfileInfo() {
+    const texts = await this.readFieldTexts({
+      name: 'salesNavProfile.name',
+      headline: 'salesNavProfile.headline',
+      title: 'salesNavProfile.title',
+      company: 'salesNavProfile.company',
+      role: 'salesNavProfile.position',
+      location: 'salesNavProfile.location',
+      tenure: 'salesNavProfile.tenure',
+      school: 'salesNavProfile.school',
+      mutualConnections: 'salesNavProfile.mutualConnections',
+      recentPost: 'salesNavProfile.recentPost'
     });
+    
+    // The industry is the <dd> after a <dt> label
+    const industry = await this.page.evaluate((labels) => {
+      for (const label of labels) {
+        const term = Array.from(document.querySelectorAll('dt')).find(element => element.innerText.includes(label));
+        if (term) {
+          return { label, text: term.nextElementSibling ? term.nextElementSibling.innerText.trim() : '' };
+        }
+      }
+      return null;
+    }, getSelectors('salesNavProfile.industryLabel'));
+    
+    if (industry) {
+      recordSelectorMatch('salesNavProfile.industryLabel', industry.label);
+      texts.industry = industry.text;
+    }
+    
+    const info = buildProfileInfo(texts);
+    logger.debug('Profile information', { profileInfo: info });
+    return info;
   }
 
   /**
-   * Extract profile information from regular LinkedIn profile
+   * Extract profile information from a regular LinkedIn profile
+   * @returns {Promise<Object>} - Template variables, see buildProfileInfo. Fields not on the page are empty.
    */
   async extractRegularProfileInfo() {
-    return await this.page.evaluate(() => {
-      // Try to find the name on regular LinkedIn profiles
-      const nameElement = document.querySelector('.text-heading-xlarge') || 
-                        document.querySelector('.pv-top-card-section__name') ||
-                        document.querySelector('.artdeco-entity-lockup__title');
-                        
-      const fullName = nameElement ? nameElement.innerText.trim() : '';
-      const firstName = fullName.split(' ')[0] || '';
-      
-      // Try to find industry/position from current role
-      const positionElement = document.querySelector('.text-body-medium.break-words') ||
-                           document.querySelector('.pv-entity__secondary-title') ||
-                           document.querySelector('.pv-top-card-section__headline');
-                           
-      const position = positionElement ? positionElement.innerText.trim() : 'your business';
-      
-      // For industry, we could look for it, but it's often not prominently displayed
-      // Instead, we'll use a generic value
-      const industry = 'your industry';
-      
-      return {
-        firstName,
-        industry,
-        position,
-        topic: position
-      };
+    const texts = await this.readFieldTexts({
+      name: 'profile.name',
+      headline: 'profile.headline',
+      title: 'profile.title',
+      company: 'profile.company',
+      location: 'profile.location',
+      tenure: 'profile.tenure',
+      school: 'profile.school',
+      mutualConnections: 'profile.mutualConnections',
+      recentPost: 'profile.recentPost'
     });
+    
+    const info = buildProfileInfo(texts);
+    logger.debug('Profile information', { profileInfo: info });
+    return info;
   }
 
   /**
-   * Send a message to the current profile
-   * @param {string} message - The message to send
+   * Open the message composer on the current profile
+   * @returns {Promise<Object>} - { success, openMethod, inputSelector, error }. inputSelector is
+   *   null when the input could only be found with the last resort approach (focus it with Tab)
    */
-  async sendMessage(message) {
+  async openComposer() {
     try {
-      console.log('Attempting to send message...');
+      logger.debug('Opening message composer...');
       
       // Take a screenshot before we start to see the current state
-      try {
-        const beforeScreenshot = `before-message-${new Date().getTime()}.png`;
-        await this.page.screenshot({ path: beforeScreenshot, fullPage: true });
-        console.log(`Before messaging screenshot saved to ${beforeScreenshot}`);
-      } catch (e) {
-        console.log('Could not save before screenshot:', e.message);
-      }
+      await this.screenshot('before-message', { fullPage: true });
       
       // Current URL and page info
       const currentUrl = await this.page.url();
-      console.log('Current page URL:', currentUrl);
+      logger.debug(`Current page URL: ${currentUrl}`);
       
       // Determine if we're on a regular profile or Sales Navigator profile
       const isSalesNavigator = currentUrl.includes('/sales/');
-      console.log(`Profile type: ${isSalesNavigator ? 'Sales Navigator' : 'Regular LinkedIn'}`);
+      logger.debug(`Profile type: ${isSalesNavigator ? 'Sales Navigator' : 'Regular LinkedIn'}`);
       
       // Find and click the message button - different selectors for regular vs Sales Navigator
-      let messageButtonClicked = false;
+      let openMethod = null;
       
       // Try different methods to find and click the message button
       const messagingMethods = [
         // Method 0: Sales Navigator specific method
-        async () => {
-          // Check if we're on a Sales Navigator page
-          const currentUrl = await this.page.url();
-          if (currentUrl.includes('/sales/')) {
-            console.log('Trying Sales Navigator specific messaging approach...');
+        {
+          name: 'sales-nav-message-button',
+          run: async () => {
+            // Check if we're on a Sales Navigator page
+            const currentUrl = await this.page.url();
+            if (currentUrl.includes('/sales/')) {
+              logger.debug('Trying Sales Navigator specific messaging approach...');
             
-            // Take a screenshot to debug
-            const snScreenshot = `sales-nav-profile-${new Date().getTime()}.png`;
-            await this.page.screenshot({ path: snScreenshot });
+              // Take a screenshot to debug
+              await this.screenshot('sales-nav-profile');
             
-            // First look for the exact message button on Sales Navigator
-            try {
-              // Wait briefly for the page to fully load
-              await randomSleep(3000, 5000);
+              // First look for the exact message button on Sales Navigator
+              try {
+                // Wait briefly for the page to fully load
+                await randomSleep(3000, 5000);
               
-              // Look for the message button with various advanced techniques
-              const foundMessageButton = await this.page.evaluate(() => {
-                console.log('Looking for message button in Sales Navigator...');
-                
-                // Primary method: Look for buttons with "Message" text
-                const messageButtons = Array.from(document.querySelectorAll('button'))
-                  .filter(btn => {
-                    const text = btn.textContent.toLowerCase().trim();
-                    return text === 'message' || text === 'send message' || text === 'send inmail';
-                  });
-                
-                if (messageButtons.length > 0) {
-                  console.log('Found primary message button');
-                  messageButtons[0].style.border = '5px solid blue';
-                  messageButtons[0].click();
-                  return true;
-                }
+                // Look for the message button with various advanced techniques
+                const foundMessageButton = await this.page.evaluate((selectors) => {
+                  console.log('Looking for message button in Sales Navigator...');
+                  const lower = (value) => (value || '').toLowerCase();
                 
-                // Secondary method: Look for all buttons on the page and check attributes
-                const allButtons = Array.from(document.querySelectorAll('button'));
+                  // Primary method: Look for buttons with "Message" text
+                  const allButtons = Array.from(document.querySelectorAll('button'));
+                  for (const btn of allButtons) {
+                    const text = lower(btn.textContent).trim();
+                    const exact = selectors['composer.salesNavMessageText'].find(value => text === lower(value));
+                    if (exact) {
+                      console.log('Found primary message button');
+                      btn.style.border = '5px solid blue';
+                      btn.click();
+                      return { key: 'composer.salesNavMessageText', value: exact };
+                    }
+                  }
                 
-                for (const btn of allButtons) {
-                  // Look for buttons with message in their attributes
-                  const hasMessageAttr = 
-                    (btn.getAttribute('aria-label') || '').toLowerCase().includes('message') ||
-                    (btn.getAttribute('data-control-name') || '').toLowerCase().includes('message');
+                  // Secondary method: Look for message in the attributes or text of every button
+                  for (const btn of allButtons) {
+                    const haystacks = [
+                      lower(btn.getAttribute('aria-label')),
+                      lower(btn.getAttribute('data-control-name')),
+                      lower(btn.textContent).trim()
+                    ];
+                    const partial = selectors['composer.salesNavMessageAttribute']
+                      .find(value => haystacks.some(haystack => haystack.includes(lower(value))));
                   
-                  // Or in their text
-                  const text = btn.textContent.toLowerCase().trim();
-                  const hasMessageText = text.includes('message') || text.includes('mail');
-                  
-                  if (hasMessageAttr || hasMessageText) {
-                    console.log('Found button that might be for messaging', 
-                      btn.tagName, 
-                      btn.getAttribute('aria-label') || '',
-                      text);
-                    btn.style.border = '5px solid red';
-                    btn.click();
-                    return true;
+                    if (partial) {
+                      console.log('Found button that might be for messaging', 
+                        btn.tagName, 
+                        btn.getAttribute('aria-label') || '',
+                        haystacks[2]);
+                      btn.style.border = '5px solid red';
+                      btn.click();
+                      return { key: 'composer.salesNavMessageAttribute', value: partial };
+                    }
                   }
-                }
                 
-                // Last attempt: Any clickable node with 'message' in its text
-                const allElements = document.querySelectorAll('a, button, div[role="button"]');
-                for (const el of allElements) {
-                  const text = el.textContent.toLowerCase();
-                  if (text.includes('message') || text.includes('inmail')) {
-                    console.log('Found element with message text', el.tagName);
-                    el.style.border = '5px solid green';
-                    el.click();
-                    return true;
+                  // Last attempt: Any clickable node with 'message' in its text
+                  const allElements = document.querySelectorAll('a, button, div[role="button"]');
+                  for (const el of allElements) {
+                    const text = lower(el.textContent);
+                    const partial = selectors['composer.salesNavMessageAnyText'].find(value => text.includes(lower(value)));
+                    if (partial) {
+                      console.log('Found element with message text', el.tagName);
+                      el.style.border = '5px solid green';
+                      el.click();
+                      return { key: 'composer.salesNavMessageAnyText', value: partial };
+                    }
                   }
-                }
                 
-                return false;
-              });
+                  return null;
+                }, this.selectorMap([
+                  'composer.salesNavMessageText',
+                  'composer.salesNavMessageAttribute',
+                  'composer.salesNavMessageAnyText'
+                ]));
               
-              if (foundMessageButton) {
-                console.log('Successfully found and clicked message button in Sales Navigator');
-                await randomSleep(3000, 5000);
-                return true;
-              }
-            } catch (e) {
-              console.log('Error finding Sales Navigator message button:', e.message);
-            }
-            
-            // If the first approach fails, try with specific selectors
-            const messageButtonSelectors = [
-              'button[aria-label*="message"]',
-              'button[aria-label*="Message"]',
-              'button.message-anywhere-button',
-              'button[data-control-name="message"]',
-              'button[data-control-name="writing_inmail"]',
-              'button.artdeco-button--primary[data-control-name="srp_profile_actions"]',
-              'button.message-anywhere-button'
-            ];
-            
-            for (const selector of messageButtonSelectors) {
-              try {
-                const button = await this.page.$(selector);
-                if (button) {
-                  console.log(`Found Sales Navigator message button with selector: ${selector}`);
-                  await button.click();
-                  await randomSleep(2000, 3000);
+                if (foundMessageButton) {
+                  recordSelectorMatch(foundMessageButton.key, foundMessageButton.value);
+                  logger.debug('Successfully found and clicked message button in Sales Navigator');
+                  await randomSleep(3000, 5000);
                   return true;
                 }
               } catch (e) {
-                console.log(`Error with selector ${selector}:`, e.message);
+                logger.debug(`Error finding Sales Navigator message button: ${e.message}`);
+              }
+            
+              // If the first approach fails, try with specific selectors
+              const button = await this.findFirst('composer.salesNavMessageButton');
+              if (button) {
+                logger.debug(`Found Sales Navigator message button with selector: ${button.selector}`);
+                await button.element.click();
+                await randomSleep(2000, 3000);
+                return true;
               }
-            }
             
-            console.log('Could not find message button with standard selectors, trying generic approach');
+              logger.debug('Could not find message button with standard selectors, trying generic approach');
+              return false;
+            }
             return false;
           }
-          return false;
         },
         
         // Method 1: Find button with "Message" text in regular profiles
-        async () => {
-          console.log('Trying method 1: Message button by text...');
+        {
+          name: 'message-button-text',
+          run: async () => {
+            logger.debug('Trying method 1: Message button by text...');
           
-          // Get all buttons on the page
-          const buttons = await this.page.$$('button');
-          console.log(`Found ${buttons.length} buttons on page`);
-          
-          for (const button of buttons) {
-            const buttonText = await this.page.evaluate(el => el.innerText, button);
-            if (buttonText && buttonText.toLowerCase().includes('message')) {
-              console.log('Found message button with text:', buttonText);
-              await button.click();
+            const button = await this.findByText('button', 'composer.messageButtonText');
+            if (button) {
+              logger.debug(`Found message button with text: ${button.text}`);
+              await button.element.click();
               await randomSleep(2000, 3000);
               return true;
             }
+            return false;
           }
-          return false;
         },
         
         // Method 2: More menu approach for regular profiles
-        async () => {
-          console.log('Trying method 2: More menu approach...');
+        {
+          name: 'more-menu',
+          run: async () => {
+            logger.debug('Trying method 2: More menu approach...');
           
-          // First find the "More" button
-          const moreButtons = await this.page.$$('button');
+            // First find the "More" button
+            const moreButtons = await this.page.$$('button');
           
-          for (const button of moreButtons) {
-            const buttonText = await this.page.evaluate(el => el.innerText, button);
-            if (buttonText && buttonText.toLowerCase().includes('more')) {
-              console.log('Found More button, clicking it...');
-              await button.click();
-              await randomSleep(2000, 3000);
+            for (const button of moreButtons) {
+              const buttonText = await this.page.evaluate(el => el.innerText, button);
+              if (this.matchText(buttonText, 'composer.moreButtonText')) {
+                logger.debug('Found More button, clicking it...');
+                await button.click();
+                await randomSleep(2000, 3000);
               
-              // Now look for the message option in the dropdown
-              const messageOptions = await this.page.$$('div[role="button"], button');
-              for (const option of messageOptions) {
-                const optionText = await this.page.evaluate(el => el.innerText, option);
-                if (optionText && optionText.toLowerCase().includes('message')) {
-                  console.log('Found Message option in dropdown, clicking it...');
-                  await option.click();
-                  await randomSleep(2000, 3000);
-                  return true;
+                // Now look for the message option in the dropdown
+                const messageOptions = await this.page.$$('div[role="button"], button');
+                for (const option of messageOptions) {
+                  const optionText = await this.page.evaluate(el => el.innerText, option);
+                  if (this.matchText(optionText, 'composer.moreMenuMessageText')) {
+                    logger.debug('Found Message option in dropdown, clicking it...');
+                    await option.click();
+                    await randomSleep(2000, 3000);
+                    return true;
+                  }
                 }
               }
             }
+            return false;
           }
-          return false;
         },
         
-        // Method 3: Connect button might lead to message option
-        async () => {
-          console.log('Trying method 3: Connect button approach...');
+        // Method 3: Direct messaging link
+        {
+          name: 'messaging-link',
+          run: async () => {
+            logger.debug('Trying method 3: Direct messaging link...');
           
-          // Some profiles have a Connect button that shows a message option
-          const connectButtons = await this.page.$$('button');
+            // Some profiles have direct messaging links
+            const messageLink = await this.findFirst('composer.messagingLink');
           
-          for (const button of connectButtons) {
-            const buttonText = await this.page.evaluate(el => el.innerText, button);
-            if (buttonText && buttonText.toLowerCase().includes('connect')) {
-              console.log('Found Connect button, clicking it...');
-              await button.click();
+            if (messageLink) {
+              logger.debug(`Found messaging link with selector: ${messageLink.selector}`);
+              await messageLink.element.click();
               await randomSleep(2000, 3000);
-              
-              // Now look for Add a note or Message option
-              const noteOptions = await this.page.$$('button, a');
-              for (const option of noteOptions) {
-                const optionText = await this.page.evaluate(el => el.innerText, option);
-                if (optionText && (
-                  optionText.toLowerCase().includes('add a note') || 
-                  optionText.toLowerCase().includes('message')
-                )) {
-                  console.log('Found Add a note option, clicking it...');
-                  await option.click();
-                  await randomSleep(2000, 3000);
-                  return true;
-                }
-              }
+              return true;
             }
+            return false;
           }
-          return false;
-        },
-        
-        // Method 4: Direct messaging link
-        async () => {
-          console.log('Trying method 4: Direct messaging link...');
-          
-          // Some profiles have direct messaging links
-          const messageLinks = await this.page.$$('a[href*="messaging"]');
-          console.log(`Found ${messageLinks.length} messaging links`);
-          
-          if (messageLinks.length > 0) {
-            // Click the first messaging link
-            await messageLinks[0].click();
-            await randomSleep(2000, 3000);
-            return true;
-          }
-          return false;
         }
       ];
       
       // Try each method until one works
       for (let i = 0; i < messagingMethods.length; i++) {
-        if (await messagingMethods[i]()) {
-          console.log(`Message button clicked using method ${i + 1}`);
-          messageButtonClicked = true;
+        if (await messagingMethods[i].run()) {
+          logger.debug(`Message button clicked using method ${i + 1} (${messagingMethods[i].name})`);
+          openMethod = messagingMethods[i].name;
           break;
         }
       }
       
       // If we still haven't found a way to message, take a screenshot and throw an error
-      if (!messageButtonClicked) {
-        try {
-          const errorScreenshot = `message-button-not-found-${new Date().getTime()}.png`;
-          await this.page.screenshot({ path: errorScreenshot, fullPage: true });
-          console.log(`Error screenshot saved to ${errorScreenshot}`);
-        } catch (e) {
-          console.log('Could not save error screenshot:', e.message);
-        }
+      if (!openMethod) {
+        await this.screenshot('message-button-not-found', { failure: true, fullPage: true });
         
         // Dump the HTML for debugging
-        const html = await this.page.content();
-        require('fs').writeFileSync(`page-content-${new Date().getTime()}.html`, html);
+        await capturePageContent(this.page, 'message-button-not-found');
         
         throw new Error('Could not find any way to message this profile');
       }
@@ -827,292 +1145,700 @@ class LinkedInClient {
       await randomSleep(3000, 5000);
       
       // Take a screenshot after clicking message button
-      try {
-        const composerScreenshot = `message-composer-${new Date().getTime()}.png`;
-        await this.page.screenshot({ path: composerScreenshot, fullPage: true });
-        console.log(`Message composer screenshot saved to ${composerScreenshot}`);
-      } catch (e) {
-        console.log('Could not save composer screenshot:', e.message);
-      }
+      await this.screenshot('message-composer', { fullPage: true });
       
       // Wait for message composer to appear - different selectors for different interfaces
-      console.log('Waiting for message composer to appear...');
-      
-      // List of possible message input selectors
-      const possibleInputSelectors = [
-        'div[role="textbox"]', 
-        'textarea[name="message"]', 
-        'div[contenteditable="true"]',
-        'textarea.msg-form__textarea',
-        'div.msg-form__msg-content-container',
-        'div.msg-form__message-texteditor',
-        // Sales Navigator specific selectors
-        '.compose-form__message-field',
-        '[data-control-name="write_inmail"]',
-        'textarea',
-        '.inmail-component__compose-body-container'
-      ];
+      logger.debug('Waiting for message composer to appear...');
       
       // Try to find any input that matches our selectors
-      let foundInput = false;
-      let selector = '';
+      const input = await this.findFirst('composer.input');
       
-      for (const inputSelector of possibleInputSelectors) {
-        try {
-          console.log(`Looking for input with selector: ${inputSelector}`);
-          const inputExists = await this.page.$(inputSelector);
-          
-          if (inputExists) {
-            console.log(`Found input with selector: ${inputSelector}`);
-            foundInput = true;
-            selector = inputSelector;
-            break;
-          }
-        } catch (e) {
-          console.log(`Error checking for ${inputSelector}:`, e.message);
-        }
+      if (input) {
+        logger.debug(`Found input with selector: ${input.selector}`);
+        return { success: true, openMethod, inputSelector: input.selector };
       }
       
-      if (!foundInput) {
-        try {
-          const errorScreenshot = `message-input-not-found-${new Date().getTime()}.png`;
-          await this.page.screenshot({ path: errorScreenshot, fullPage: true });
-          console.log(`Error screenshot saved to ${errorScreenshot}`);
-          
-          // Last resort - try to find ANY element that might be the messaging input
-          console.log("Trying last resort approach to find messaging input...");
-          
-          // Try the html injection approach
-          const lastAttempt = await this.page.evaluate(() => {
-            // Look for ANY input-like elements
-            const possibleInputs = [
-              ...document.querySelectorAll('div[contenteditable="true"]'),
-              ...document.querySelectorAll('textarea'),
-              ...document.querySelectorAll('div[role="textbox"]'),
-              ...document.querySelectorAll('[placeholder]'),
-              ...document.querySelectorAll('div.msg-form__message-texteditor'),
-              ...document.querySelectorAll('div[contenteditable]')
-            ];
-            
-            // Try to find a visible input
-            for (const input of possibleInputs) {
-              const rect = input.getBoundingClientRect();
-              if (rect.width > 0 && rect.height > 0) {
-                // Highlight it for debugging
-                input.style.border = '3px solid red';
-                return true;
-              }
-            }
-            return false;
-          });
-          
-          if (lastAttempt) {
-            console.log("Found a potential input with last resort approach - trying to focus and type");
-            // Use tab key to try to focus input 
-            await this.page.keyboard.press('Tab');
-            await randomSleep(500, 1000);
-            
-            // Try typing directly
-            await this.page.keyboard.type(message, { delay: 50 });
-            console.log("Typed message using keyboard simulation");
-            
-            // Take a screenshot
-            const typedScreenshot = `message-typed-last-resort-${new Date().getTime()}.png`;
-            await this.page.screenshot({ path: typedScreenshot });
-            
-            // Look for the send button with a similar approach
-            const sendFound = await this.page.evaluate(() => {
-              const sendButtons = Array.from(document.querySelectorAll('button'))
-                .filter(btn => {
-                  const text = btn.textContent.toLowerCase();
-                  return text.includes('send');
-                });
-              
-              if (sendButtons.length > 0) {
-                sendButtons[0].style.border = '3px solid green';
-                sendButtons[0].click();
-                return true;
-              }
-              return false;
-            });
-            
-            if (sendFound) {
-              console.log("Found and clicked send button with last resort approach");
-              await randomSleep(3000, 5000);
-              return { success: true };
+      await this.screenshot('message-input-not-found', { failure: true, fullPage: true });
+      
+      // Last resort - try to find ANY element that might be the messaging input
+      logger.debug("Trying last resort approach to find messaging input...");
+      
+      const lastAttempt = await this.page.evaluate((selectors) => {
+        // Look for ANY input-like elements, and try to find a visible one
+        for (const selector of selectors) {
+          for (const input of document.querySelectorAll(selector)) {
+            const rect = input.getBoundingClientRect();
+            if (rect.width > 0 && rect.height > 0) {
+              // Highlight it for debugging
+              input.style.border = '3px solid red';
+              return selector;
             }
           }
-        } catch (e) {
-          console.log('Could not save error screenshot or run last resort approach:', e.message);
         }
-        
-        throw new Error('Could not find message composer');
+        return null;
+      }, getSelectors('composer.lastResortInput'));
+      
+      if (lastAttempt) {
+        recordSelectorMatch('composer.lastResortInput', lastAttempt);
+        logger.debug("Found a potential input with last resort approach - it will be focused with Tab");
+        return { success: true, openMethod, inputSelector: null };
       }
       
-      // Clear any existing text first
-      await this.page.evaluate((sel) => {
-        const input = document.querySelector(sel);
-        if (input) {
-          if (input.tagName === 'DIV') {
-            input.innerText = ''; // For contenteditable divs
-          } else {
-            input.value = ''; // For textareas
-          }
+      throw new Error('Could not find message composer');
+    } catch (error) {
+      logger.debug(`Error opening message composer: ${error.message}`, { error });
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Find the send button of the open composer without clicking it
+   * @returns {Promise<Object|null>} - { button, method, label }, or null if there is none
+   */
+  async findSendButton() {
+    logger.debug('Looking for send button...');
+    
+    const describe = async (button) => {
+      return this.page.evaluate(el => (el.innerText || el.textContent || el.getAttribute('aria-label') || '').trim(), button);
+    };
+    
+    const sendButton = await this.findFirst('composer.sendButton');
+    if (sendButton) {
+      logger.debug(`Found send button with selector: ${sendButton.selector}`);
+      return { button: sendButton.element, method: `selector:${sendButton.selector}`, label: await describe(sendButton.element) };
+    }
+    
+    // If specific selectors didn't work, try a more generic approach
+    logger.debug('Using fallback method to find send button...');
+    
+    // Try to find buttons with "Send" text
+    const buttons = await this.page.$$('button');
+    logger.debug(`Found ${buttons.length} buttons to check`);
+    
+    for (const button of buttons) {
+      try {
+        const buttonText = await describe(button);
+        
+        if (this.matchText(buttonText, 'composer.sendButtonText')) {
+          logger.debug(`Found button with Send text: ${buttonText}`);
+          return { button, method: 'button-text', label: buttonText };
         }
-      }, selector);
+      } catch (e) {
+        logger.debug(`Error checking button text: ${e.message}`);
+      }
+    }
+    
+    // If we still couldn't find a send button, look for the last button in a dialog
+    try {
+      logger.debug('Looking for any button in message dialog...');
       
-      // Now enter our message
-      console.log('Typing message...');
+      // Get all buttons in dialogs
+      for (const selector of getSelectors('composer.dialogButton')) {
+        const buttonsInDialog = await this.page.$$(selector);
+        
+        if (buttonsInDialog.length > 0) {
+          // The last button is often the send button
+          logger.debug(`Found ${buttonsInDialog.length} buttons in dialog, using the last one`);
+          recordSelectorMatch('composer.dialogButton', selector);
+          const button = buttonsInDialog[buttonsInDialog.length - 1];
+          return { button, method: 'dialog-last-button', label: await describe(button) };
+        }
+      }
+    } catch (e) {
+      logger.debug(`Error with dialog button approach: ${e.message}`);
+    }
+    
+    return null;
+  }
+
+  /**
+   * Read our own messages in the conversation open on the page
+   * @returns {Promise<Array<Object>>} - Outgoing messages, oldest first, or an empty array if none can be read
+   */
+  async readOutgoingMessages() {
+    try {
+      const { messages } = await this.readThreadMessages();
+      return messages.filter(entry => !entry.incoming);
+    } catch (error) {
+      logger.debug(`Error reading the conversation: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Check that a message was really sent: it must show up as our latest message in the conversation,
+   * after the messages that were there before it was typed
+   * @param {string} message - The message that was sent
+   * @param {number} outgoingBefore - Number of our messages in the conversation before typing
+   * @param {string|null} inputSelector - Input selector the message was typed into
+   * @returns {Promise<Object>} - { verified, failed, reason }. failed is true when the message is still in the
+   *   composer, so it was certainly not sent.
+   */
+  async verifySent(message, outgoingBefore, inputSelector) {
+    const expected = normalizeMessageText(message);
+    const deadline = Date.now() + config.messaging.verifyTimeoutMs;
+    let reason = '';
+    
+    do {
+      const outgoing = await this.readOutgoingMessages();
+      const latest = outgoing[outgoing.length - 1];
+      
+      if (!latest) {
+        reason = 'No message from us found in the conversation after sending';
+      } else if (normalizeMessageText(latest.text) !== expected) {
+        reason = 'Our latest message in the conversation is not the message that was sent';
+      } else if (outgoing.length <= outgoingBefore) {
+        reason = 'No new message from us appeared in the conversation after sending';
+      } else {
+        return { verified: true, failed: false, reason: '' };
+      }
       
-      // Type the message with random delays between keystrokes to simulate human typing
-      await this.page.type(selector, message, { delay: 50 });
-      console.log('Message typed');
+      await randomSleep(1000, 2000);
+    } while (Date.now() < deadline);
+    
+    // LinkedIn clears the input once a message is sent, so text left in it was not sent
+    const leftover = await this.page.evaluate((sel) => {
+      const input = sel ? document.querySelector(sel) : document.activeElement;
+      if (!input) {
+        return '';
+      }
+      return (input.tagName === 'DIV' ? input.innerText : input.value) || '';
+    }, inputSelector).catch(() => '');
+    
+    if (expected && normalizeMessageText(leftover) === expected) {
+      return { verified: false, failed: true, reason: 'The message is still in the composer after clicking send' };
+    }
+    
+    return { verified: false, failed: false, reason };
+  }
+
+  /**
+   * Type a message into the open composer and click send
+   * @param {string} message - The message to send
+   * @param {string|null} inputSelector - Input selector returned by openComposer
+   * @returns {Promise<Object>} - { success, verified, verification, sendMethod, error }. success is false when
+   *   the message was certainly not sent. verified is true only when it showed up as our latest message,
+   *   otherwise verification says why it could not be confirmed.
+   */
+  async typeAndSend(message, inputSelector) {
+    try {
+      // Count our messages already in the conversation, so an identical earlier message isn't taken for this one
+      const outgoingBefore = (await this.readOutgoingMessages()).length;
+      
+      if (inputSelector) {
+        // Clear any existing text first
+        await this.page.evaluate((sel) => {
+          const input = document.querySelector(sel);
+          if (input) {
+            if (input.tagName === 'DIV') {
+              input.innerText = ''; // For contenteditable divs
+            } else {
+              input.value = ''; // For textareas
+            }
+          }
+        }, inputSelector);
+        
+        // Now enter our message
+        logger.debug('Typing message...');
+        
+        // Type the message with random delays between keystrokes to simulate human typing
+        await this.page.type(inputSelector, message, { delay: 50 });
+      } else {
+        // Use tab key to try to focus the input found by the last resort approach
+        await this.page.keyboard.press('Tab');
+        await randomSleep(500, 1000);
+        
+        logger.debug('Typing message using keyboard simulation...');
+        await this.page.keyboard.type(message, { delay: 50 });
+      }
+      logger.debug('Message typed');
       
       // Take a screenshot after typing message
-      try {
-        const typedScreenshot = `message-typed-${new Date().getTime()}.png`;
-        await this.page.screenshot({ path: typedScreenshot, fullPage: true });
-        console.log(`After typing screenshot saved to ${typedScreenshot}`);
-      } catch (e) {
-        console.log('Could not save typing screenshot:', e.message);
-      }
+      await this.screenshot('message-typed', { fullPage: true });
       
       await randomSleep(2000, 3000);
       
       // Find and click the send button
-      console.log('Looking for send button...');
-      
-      // List of possible send button selectors
-      const possibleSendSelectors = [
-        'button[aria-label="Send"]',
-        'button[type="submit"]',
-        'button.msg-form__send-button',
-        'button:has(span:contains("Send"))'
-      ];
+      const sendButton = await this.findSendButton();
+      
+      if (!sendButton) {
+        await this.screenshot('send-button-not-found', { failure: true, fullPage: true });
+        
+        throw new Error('Could not find send button');
+      }
+      
+      await sendButton.button.click();
+      logger.debug(`Clicked send button (${sendButton.method})`);
+      
+      // Wait for the message to be sent
+      logger.debug('Waiting for message to be sent...');
+      await randomSleep(4000, 7000);
+      
+      const verification = await this.verifySent(message, outgoingBefore, inputSelector);
+      
+      // Take a final screenshot, kept as a failure when the message could not be verified
+      await this.screenshot('after-sending', { failure: !verification.verified, fullPage: true });
+      
+      if (verification.failed) {
+        throw new Error(verification.reason);
+      }
+      
+      if (verification.verified) {
+        logger.debug('Message verified in the conversation');
+      } else {
+        logger.warn(`Message could not be verified: ${verification.reason}`);
+      }
+      
+      return { 
+        success: true,
+        verified: verification.verified,
+        verification: verification.reason,
+        sendMethod: sendButton.method
+      };
+    } catch (error) {
+      logger.debug(`Error sending message: ${error.message}`, { error });
+      return { 
+        success: false, 
+        error: error.message 
+      };
+    }
+  }
+
+  /**
+   * Check the open composer for earlier messages with the profile, e.g. a conversation that was
+   * started by hand or by a teammate
+   * @returns {Promise<Object|null>} - { messageCount, lastMessageAt, lastIncoming }, or null if there are no messages
+   */
+  async findExistingConversation() {
+    let messages = [];
+    try {
+      ({ messages } = await this.readThreadMessages());
+    } catch (error) {
+      logger.debug(`Error reading the conversation history: ${error.message}`);
+    }
+    
+    if (messages.length === 0) {
+      return null;
+    }
+    
+    const last = messages[messages.length - 1];
+    return {
+      messageCount: messages.length,
+      lastMessageAt: last.time,
+      lastIncoming: last.incoming
+    };
+  }
+
+  /**
+   * Send a message to the current profile
+   * @param {string} message - The message to send
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Open the composer and find the send button, but don't type or send
+   * @param {string} [options.existingConversation] - What to do when the composer shows earlier messages:
+   *   skip, send the message anyway, or followup with followupMessage instead
+   * @param {string} [options.followupMessage] - Message sent into an existing conversation by the followup policy
+   * @returns {Promise<Object>} - { success, skipped, existingConversation, openMethod, inputSelector, sendMethod,
+   *   error }. existingConversation is set when earlier messages were found, skipped when nothing was sent because of them.
+   */
+  async sendMessage(message, { dryRun = false, existingConversation: policy = 'send', followupMessage = '' } = {}) {
+    logger.debug('Attempting to send message...');
+    
+    const composer = await this.openComposer();
+    if (!composer.success) {
+      return composer;
+    }
+    
+    // Never type into a conversation without knowing what is already in it
+    const existingConversation = await this.findExistingConversation();
+    if (existingConversation) {
+      logger.debug(`Found an existing conversation with ${existingConversation.messageCount} messages`, { ...existingConversation, policy });
+      await this.screenshot('existing-conversation');
+      
+      if (policy === 'skip') {
+        return {
+          success: true,
+          skipped: true,
+          dryRun,
+          existingConversation,
+          openMethod: composer.openMethod,
+          inputSelector: composer.inputSelector
+        };
+      }
+      if (policy === 'followup') {
+        message = followupMessage;
+      }
+    }
+    
+    if (dryRun) {
+      const sendButton = await this.findSendButton();
+      return {
+        success: Boolean(sendButton),
+        dryRun: true,
+        existingConversation,
+        openMethod: composer.openMethod,
+        inputSelector: composer.inputSelector,
+        sendMethod: sendButton ? `${sendButton.method} (${sendButton.label})` : null,
+        error: sendButton ? undefined : 'Could not find send button'
+      };
+    }
+    
+    const result = await this.typeAndSend(message, composer.inputSelector);
+    return {
+      ...result,
+      existingConversation,
+      openMethod: composer.openMethod,
+      inputSelector: composer.inputSelector
+    };
+  }
+
+  /**
+   * Check that an invitation went out: LinkedIn confirms it in a toast, or the profile shows it as pending
+   * @returns {Promise<Object>} - { verified, reason }. reason says why it could not be confirmed.
+   */
+  async verifyInvitationSent() {
+    const deadline = Date.now() + config.messaging.verifyTimeoutMs;
+    
+    do {
+      // The page may reload after sending, which makes a lookup fail until it is loaded again
+      const confirmation = await this.findByText('[role="alert"], .artdeco-toast-item', 'connect.sentToastText').catch(() => null) ||
+        await this.findByText('button', 'connect.pendingText').catch(() => null);
+      if (confirmation) {
+        logger.debug(`Invitation confirmed by: ${confirmation.text}`);
+        return { verified: true, reason: '' };
+      }
+      
+      await randomSleep(1000, 2000);
+    } while (Date.now() < deadline);
+    
+    return { verified: false, reason: 'Neither a confirmation nor a pending invitation appeared after sending' };
+  }
+
+  /**
+   * Send a connection invitation from the current profile, with a note if one is given
+   * @param {string} note - Note to add to the invitation, or an empty string for none
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Open the invitation dialog and find the send button, but don't send
+   * @returns {Promise<Object>} - { success, pending, verified, verification, connectMethod, sendMethod, error }.
+   *   pending is true when an invitation was already waiting, in which case nothing is sent. verified is true
+   *   only when the invitation was confirmed after sending, otherwise verification says why it wasn't.
+   */
+  async sendConnectionRequest(note, { dryRun = false } = {}) {
+    try {
+      logger.debug('Sending connection invitation...');
+      
+      if (note.length > config.connect.maxNoteLength) {
+        throw new Error(`Note is ${note.length} characters, the limit is ${config.connect.maxNoteLength}`);
+      }
       
-      // Try to find and click the send button
-      let sendButtonClicked = false;
+      await this.screenshot('before-connect', { fullPage: true });
       
-      for (const sendSelector of possibleSendSelectors) {
-        try {
-          console.log(`Looking for send button with selector: ${sendSelector}`);
-          const sendButtonExists = await this.page.$(sendSelector);
+      if (await this.findByText('button', 'connect.pendingText')) {
+        logger.debug('Invitation is already pending');
+        return { success: true, pending: true, connectMethod: null };
+      }
+      
+      let connectMethod = null;
+      const connectButton = await this.findByText('button', 'connect.buttonText');
+      
+      if (connectButton) {
+        logger.debug(`Found Connect button with text: ${connectButton.text}`);
+        await connectButton.element.click();
+        connectMethod = 'connect-button';
+      } else {
+        // On many profiles the Connect button is hidden under More
+        logger.debug('No Connect button, trying the More menu...');
+        const moreButton = await this.findByText('button', 'composer.moreButtonText');
+        if (moreButton) {
+          await moreButton.element.click();
+          await randomSleep(1500, 2500);
           
-          if (sendButtonExists) {
-            console.log(`Found send button with selector: ${sendSelector}`);
-            await this.page.click(sendSelector);
-            sendButtonClicked = true;
-            break;
+          const menuItems = 'div[role="button"], li[role="menuitem"], button';
+          if (await this.findByText(menuItems, 'connect.pendingText')) {
+            logger.debug('Invitation is already pending (More menu)');
+            return { success: true, pending: true, connectMethod: null };
+          }
+          
+          const option = await this.findByText(menuItems, 'connect.moreMenuConnectText');
+          if (option) {
+            logger.debug(`Found Connect option in the More menu: ${option.text}`);
+            await option.element.click();
+            connectMethod = 'more-menu';
           }
-        } catch (e) {
-          console.log(`Error checking for ${sendSelector}:`, e.message);
         }
       }
       
-      // If specific selectors didn't work, try a more generic approach
-      if (!sendButtonClicked) {
-        console.log('Using fallback method to find send button...');
+      if (!connectMethod) {
+        await this.screenshot('connect-button-not-found', { failure: true, fullPage: true });
+        await capturePageContent(this.page, 'connect-button-not-found');
+        throw new Error('Could not find a Connect button - the profile may already be a connection');
+      }
+      
+      await randomSleep(2000, 3000);
+      
+      if (await this.findFirst('connect.emailInput')) {
+        await this.screenshot('connect-email-required', { failure: true });
+        throw new Error('LinkedIn asks for the email address of this person before connecting');
+      }
+      
+      if (note) {
+        const addNote = await this.findByText('button', 'connect.addNoteText');
+        if (addNote) {
+          await addNote.element.click();
+          await randomSleep(1500, 2500);
+        }
         
-        // Try to find buttons with "Send" text
-        const buttons = await this.page.$$('button');
-        console.log(`Found ${buttons.length} buttons to check`);
+        const input = await this.findFirst('connect.noteInput');
+        if (!input) {
+          await this.screenshot('note-input-not-found', { failure: true, fullPage: true });
+          throw new Error('Could not find the note input of the invitation dialog');
+        }
         
-        for (const button of buttons) {
-          try {
-            const buttonText = await this.page.evaluate(el => {
-              return el.innerText || el.textContent || '';
-            }, button);
-            
-            if (buttonText && buttonText.toLowerCase().includes('send')) {
-              console.log('Found button with Send text:', buttonText);
-              await button.click();
-              sendButtonClicked = true;
-              break;
-            }
-          } catch (e) {
-            console.log('Error checking button text:', e.message);
-          }
+        if (!dryRun) {
+          logger.debug('Typing note...');
+          await input.element.click();
+          await this.page.type(input.selector, note, { delay: 50 });
+          await randomSleep(1000, 2000);
         }
       }
       
-      // If we still couldn't find a send button, look for the last button in a dialog
-      if (!sendButtonClicked) {
-        try {
-          console.log('Looking for any button in message dialog...');
-          
-          // Get all buttons in dialogs
-          const buttonsInDialog = await this.page.$$('div[role="dialog"] button');
-          
-          if (buttonsInDialog.length > 0) {
-            // Click the last button, which is often the send button
-            console.log(`Found ${buttonsInDialog.length} buttons in dialog, clicking the last one`);
-            await buttonsInDialog[buttonsInDialog.length - 1].click();
-            sendButtonClicked = true;
+      let sendButton = await this.findFirst('connect.sendButton');
+      let sendMethod = sendButton ? `selector:${sendButton.selector}` : null;
+      if (!sendButton) {
+        const byText = await this.findByText('div[role="dialog"] button, button', 'connect.sendButtonText');
+        sendButton = byText ? { element: byText.element } : null;
+        sendMethod = byText ? 'button-text' : null;
+      }
+      
+      if (!sendButton) {
+        await this.screenshot('invitation-send-button-not-found', { failure: true, fullPage: true });
+        throw new Error('Could not find the send button of the invitation dialog');
+      }
+      
+      await this.screenshot('invitation-ready', { fullPage: true });
+      
+      if (dryRun) {
+        return { success: true, dryRun: true, pending: false, connectMethod, sendMethod };
+      }
+      
+      await sendButton.element.click();
+      logger.debug(`Clicked invitation send button (${sendMethod})`);
+      await randomSleep(3000, 5000);
+      
+      const { verified, reason } = await this.verifyInvitationSent();
+      await this.screenshot('after-connect', { failure: !verified, fullPage: true });
+      
+      return { success: true, pending: false, verified, verification: reason, connectMethod, sendMethod };
+    } catch (error) {
+      logger.debug(`Error sending connection invitation: ${error.message}`, { error });
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Read the conversation list of the messaging inbox or the Sales Navigator inbox
+   * @param {string} inbox - 'linkedin' or 'sales-nav'
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Maximum number of conversations to read, most recent first
+   * @returns {Promise<Object>} - { success, conversations, error, sessionProblem }, where each
+   *   conversation is { name, snippet, url }
+   */
+  async readInbox(inbox, { limit = 50 } = {}) {
+    try {
+      if (!this.isLoggedIn) {
+        throw sessionError('Not logged in to LinkedIn');
+      }
+      
+      logger.debug(`Opening ${inbox} inbox...`);
+      await this.page.goto(this.siteUrl(INBOX_PATHS[inbox]), {
+        waitUntil: 'domcontentloaded',
+        timeout: 90000
+      });
+      await randomSleep(4000, 6000);
+      await this.ensureSessionHealthy();
+      
+      const selectors = this.selectorMap(['inbox.conversation', 'inbox.conversationLink', 'inbox.conversationName', 'inbox.conversationSnippet']);
+      
+      // The list loads more conversations as it is scrolled
+      let count = 0;
+      for (let attempt = 0; attempt < 10; attempt++) {
+        const loaded = await this.page.evaluate((itemSelectors) => {
+          const selector = itemSelectors.find(value => document.querySelector(value));
+          const items = selector ? document.querySelectorAll(selector) : [];
+          if (items.length > 0) {
+            items[items.length - 1].scrollIntoView();
           }
-        } catch (e) {
-          console.log('Error with dialog button approach:', e.message);
+          return items.length;
+        }, selectors['inbox.conversation']);
+        
+        if (loaded >= limit || loaded === count) {
+          break;
         }
+        count = loaded;
+        await randomSleep(1500, 2500);
       }
       
-      if (!sendButtonClicked) {
-        try {
-          const errorScreenshot = `send-button-not-found-${new Date().getTime()}.png`;
-          await this.page.screenshot({ path: errorScreenshot, fullPage: true });
-          console.log(`Error screenshot saved to ${errorScreenshot}`);
-        } catch (e) {
-          console.log('Could not save error screenshot:', e.message);
+      const { conversations, matches } = await this.page.evaluate((selectors, limit) => {
+        const matches = [];
+        
+        // First element inside a container matching one of the selectors of a registry entry
+        const find = (container, key) => {
+          for (const selector of selectors[key]) {
+            const element = container.querySelector(selector);
+            if (element) {
+              matches.push({ key, value: selector });
+              return element;
+            }
+          }
+          return null;
+        };
+        
+        const itemSelector = selectors['inbox.conversation'].find(value => document.querySelector(value));
+        if (!itemSelector) {
+          return { conversations: [], matches };
         }
+        matches.push({ key: 'inbox.conversation', value: itemSelector });
         
-        throw new Error('Could not find send button');
-      }
+        const conversations = Array.from(document.querySelectorAll(itemSelector)).slice(0, limit).map(item => {
+          const link = item.matches('a') ? item : find(item, 'inbox.conversationLink');
+          const name = find(item, 'inbox.conversationName');
+          const snippet = find(item, 'inbox.conversationSnippet');
+          return {
+            name: name ? name.innerText.trim() : '',
+            snippet: snippet ? snippet.innerText.trim() : '',
+            url: link ? link.href : ''
+          };
+        });
+        
+        return { conversations: conversations.filter(conversation => conversation.url), matches };
+      }, selectors, limit);
       
-      // Wait for the message to be sent
-      console.log('Waiting for message to be sent...');
-      await randomSleep(4000, 7000);
+      matches.forEach(match => recordSelectorMatch(match.key, match.value));
+      logger.debug(`Found ${conversations.length} conversations in the ${inbox} inbox`);
       
-      // Take a final screenshot
-      try {
-        const afterScreenshot = `after-sending-${new Date().getTime()}.png`;
-        await this.page.screenshot({ path: afterScreenshot, fullPage: true });
-        console.log(`After sending screenshot saved to ${afterScreenshot}`);
-      } catch (e) {
-        console.log('Could not save after screenshot:', e.message);
+      if (conversations.length === 0) {
+        await this.screenshot(`${inbox}-inbox-empty`, { failure: true });
       }
       
-      // Check for confirmation that message was sent
-      let messageSent = false;
+      return { success: true, conversations };
+    } catch (error) {
+      logger.debug(`Error reading the ${inbox} inbox`, { error });
+      await this.screenshot(`${inbox}-inbox-failed`, { failure: true });
+      return {
+        success: false,
+        conversations: [],
+        error: error.message,
+        sessionProblem: Boolean(error.sessionProblem)
+      };
+    }
+  }
+
+  /**
+   * Read the messages of the conversation open on the page, either a thread page or the composer overlay
+   * @returns {Promise<Object>} - { participantUrl, messages }, where messages are { incoming, text, time }
+   *   oldest first and time is the datetime attribute or the shown text
+   */
+  async readThreadMessages() {
+    const { participantUrl, messages, matches } = await this.page.evaluate((selectors) => {
+      const matches = [];
       
-      try {
-        // Look for elements that indicate a message was sent
-        messageSent = await this.page.evaluate(() => {
-          // Success messages or sent message timestamps
-          const successElements = document.querySelectorAll('.msg-s-event-listitem__body, .msg-s-event--timestamp');
-          return successElements.length > 0;
-        });
-        
-        if (messageSent) {
-          console.log('Found confirmation elements that message was sent');
-        } else {
-          console.log('No confirmation elements found, but no errors occurred');
+      const find = (container, key) => {
+        for (const selector of selectors[key]) {
+          const element = container.querySelector(selector);
+          if (element) {
+            matches.push({ key, value: selector });
+            return element;
+          }
         }
-      } catch (e) {
-        console.log('Error checking for message confirmation:', e.message);
+        return null;
+      };
+      
+      const participant = find(document, 'thread.participantLink');
+      const messageSelector = selectors['thread.message'].find(value => document.querySelector(value));
+      if (messageSelector) {
+        matches.push({ key: 'thread.message', value: messageSelector });
       }
       
-      console.log('Message appears to have been sent successfully');
+      const messages = Array.from(messageSelector ? document.querySelectorAll(messageSelector) : []).map(element => {
+        // The incoming marker can be on the message itself or on an element inside it
+        const incomingSelector = selectors['thread.incomingMessage'].find(value => element.matches(value) || element.querySelector(value));
+        if (incomingSelector) {
+          matches.push({ key: 'thread.incomingMessage', value: incomingSelector });
+        }
+        const body = find(element, 'thread.messageBody');
+        const time = find(element, 'thread.messageTime');
+        return {
+          incoming: Boolean(incomingSelector),
+          text: body ? body.innerText.trim() : '',
+          time: time ? (time.getAttribute('datetime') || time.innerText.trim()) : ''
+        };
+      });
       
-      return { 
-        success: true 
+      return {
+        participantUrl: participant ? participant.href : '',
+        messages: messages.filter(message => message.text),
+        matches
       };
+    }, this.selectorMap(['thread.participantLink', 'thread.message', 'thread.incomingMessage', 'thread.messageBody', 'thread.messageTime']));
+    
+    matches.forEach(match => recordSelectorMatch(match.key, match.value));
+    return { participantUrl, messages };
+  }
+
+  /**
+   * Open a conversation and read its messages
+   * @param {string} conversationUrl - URL from readInbox
+   * @returns {Promise<Object>} - { success, participantUrl, messages, error, sessionProblem }, where
+   *   messages are { incoming, text, time } oldest first and time is the datetime attribute or the shown text
+   */
+  async readConversation(conversationUrl) {
+    try {
+      logger.debug(`Opening conversation: ${conversationUrl}`);
+      await this.page.goto(rebaseLinkedInUrl(conversationUrl, config.linkedin.baseUrl), {
+        waitUntil: 'domcontentloaded',
+        timeout: 90000
+      });
+      await randomSleep(3000, 5000);
+      await this.ensureSessionHealthy();
+      
+      const { participantUrl, messages } = await this.readThreadMessages();
+      logger.debug(`Read ${messages.length} messages`, { participantUrl });
+      
+      return { success: true, participantUrl, messages };
     } catch (error) {
-      console.error('Error sending message:', error);
-      return { 
-        success: false, 
-        error: error.message 
+      logger.debug(`Error reading conversation: ${conversationUrl}`, { error });
+      await this.screenshot('conversation-failed', { failure: true });
+      return {
+        success: false,
+        error: error.message,
+        sessionProblem: Boolean(error.sessionProblem)
       };
     }
   }
 
+  /**
+   * Send a message into the conversation opened with readConversation, rather than a new one
+   * @param {string} message - The message to send
+   * @returns {Promise<Object>} - { success, inputSelector, sendMethod, error }
+   */
+  async sendInConversation(message) {
+    logger.debug('Sending message in the open conversation...');
+    
+    const input = await this.findFirst('composer.input');
+    if (!input) {
+      await this.screenshot('conversation-input-not-found', { failure: true, fullPage: true });
+      return { success: false, error: 'Could not find the message input of the conversation' };
+    }
+    
+    const result = await this.typeAndSend(message, input.selector);
+    return { ...result, inputSelector: input.selector };
+  }
+
   /**
    * Close the browser
    */
@@ -1122,7 +1848,7 @@ class LinkedInClient {
       this.browser = null;
       this.page = null;
       this.isLoggedIn = false;
-      console.log('Browser closed');
+      logger.debug('Browser closed');
     }
   }
 }
@@ -0,0 +1,161 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config/config');
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40
+};
+
+const state = {
+  runId: null,
+  accountId: null,
+  profileId: null,
+  filePath: null,
+  consoleLevel: LEVELS.info
+};
+
+// Format of the IDs made by createRunId
+const RUN_ID_PATTERN = /^\d{8}-\d{6}-[0-9a-f]{4}$/;
+
+/**
+ * Create an ID for a run, sortable by start time
+ * @param {Date} [now] - Start time
+ * @returns {string} - Run ID, e.g. 20261019-183000-3fa2
+ */
+const createRunId = (now = new Date()) => {
+  const stamp = now.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  return `${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+};
+
+/**
+ * Make extra fields safe for JSON, expanding errors into message and stack
+ * @param {Object} fields - Extra fields of a log entry
+ * @returns {Object} - Serializable fields
+ */
+const serializeFields = (fields) => {
+  const result = {};
+  Object.entries(fields).forEach(([key, value]) => {
+    result[key] = value instanceof Error ? { message: value.message, stack: value.stack } : value;
+  });
+  return result;
+};
+
+/**
+ * Write a log entry to the run log file and, if its level is high enough, the console
+ * @param {string} level - One of LEVELS
+ * @param {string} message - Human-readable message
+ * @param {Object} [fields] - Extra structured fields
+ */
+const write = (level, message, fields = {}) => {
+  if (state.filePath) {
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      runId: state.runId,
+      accountId: state.accountId,
+      profileId: state.profileId,
+      message,
+      ...serializeFields(fields)
+    };
+    try {
+      // Synchronous, so nothing is lost if the process crashes right after
+      fs.appendFileSync(state.filePath, `${JSON.stringify(entry)}\n`);
+    } catch (error) {
+      console.error(`Could not write to run log ${state.filePath}: ${error.message}`);
+      state.filePath = null;
+    }
+  }
+
+  if (LEVELS[level] < state.consoleLevel) {
+    return;
+  }
+
+  // Stack traces only clutter the concise output, the run log always has them
+  const args = fields.error instanceof Error && state.consoleLevel <= LEVELS.debug ? [message, fields.error] : [message];
+  if (level === 'error') {
+    console.error(...args);
+  } else if (level === 'warn') {
+    console.warn(...args);
+  } else {
+    console.log(...args);
+  }
+};
+
+/**
+ * Start logging a run to its own JSON-lines file
+ * @param {Object} [options]
+ * @param {boolean} [options.verbose] - Print debug entries to the console too
+ * @param {string} [options.command] - Command being run, recorded in the first entry
+ * @returns {{runId: string, filePath: string}} - Run ID and log file
+ */
+const startRun = ({ verbose = false, command = '' } = {}) => {
+  state.runId = createRunId();
+  state.profileId = null;
+  state.consoleLevel = verbose ? LEVELS.debug : LEVELS.info;
+
+  fs.ensureDirSync(config.files.runLogDir);
+  state.filePath = path.join(config.files.runLogDir, `${state.runId}.jsonl`);
+
+  write('debug', `Run ${state.runId} started`, { command, pid: process.pid });
+  return { runId: state.runId, filePath: state.filePath };
+};
+
+/**
+ * Set the console level without starting a run log, for commands that don't open the browser
+ * @param {boolean} verbose - Print debug entries
+ */
+const setVerbose = (verbose) => {
+  state.consoleLevel = verbose ? LEVELS.debug : LEVELS.info;
+};
+
+/**
+ * Attach a LinkedIn account ID to every following entry, until it is cleared with null
+ * @param {string|null} accountId - ID of the account the run works for
+ */
+const setAccount = (accountId) => {
+  state.accountId = accountId || null;
+};
+
+/**
+ * Attach a profile ID to every following entry, until it is cleared with null
+ * @param {string|null} profileId - Profile ID (the canonical profile URL)
+ */
+const setProfile = (profileId) => {
+  state.profileId = profileId || null;
+};
+
+/**
+ * Get the current profile ID
+ * @returns {string|null} - Profile ID, or null outside a profile
+ */
+const getProfile = () => state.profileId;
+
+/**
+ * Get the current run ID
+ * @returns {string|null} - Run ID, or null outside a run
+ */
+const getRunId = () => state.runId;
+
+const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields)
+};
+
+module.exports = {
+  LEVELS,
+  logger,
+  startRun,
+  setVerbose,
+  setAccount,
+  setProfile,
+  getProfile,
+  getRunId,
+  RUN_ID_PATTERN,
+  createRunId
+};
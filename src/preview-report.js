@@ -0,0 +1,102 @@
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config/config');
+
+/**
+ * Escape a value for use inside a Markdown table cell
+ * @param {string} value - Raw cell value
+ * @returns {string} - Escaped cell value
+ */
+const escapeCell = (value) => {
+  return String(value || '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+};
+
+/**
+ * Build the Markdown preview report for a dry run
+ * @param {Array} entries - Preview entries collected by the messaging loop
+ * @param {Date} [generatedAt] - Time the report was generated
+ * @returns {string} - Markdown document
+ */
+const buildPreviewReport = (entries, generatedAt = new Date()) => {
+  const withProblems = entries.filter(entry => entry.problems.length > 0);
+
+  const lines = [
+    '# Campaign Preview',
+    '',
+    `Generated: ${generatedAt.toISOString()}`,
+    `Profiles CSV: ${config.files.profilesCsv}`,
+    `Profiles previewed: ${entries.length}`,
+    `Ready to send: ${entries.length - withProblems.length}`,
+    `With problems: ${withProblems.length}`,
+    '',
+    '| # | Name | Profile URL | Variant | Composer opened by | Input | Send button | Problems |',
+    '|---|------|-------------|---------|--------------------|-------|-------------|----------|'
+  ];
+
+  entries.forEach((entry, index) => {
+    const { profile } = entry;
+    lines.push('| ' + [
+      index + 1,
+      `${profile.firstName || ''} ${profile.lastName || ''}`.trim(),
+      profile.url,
+      entry.variant || '-',
+      entry.openMethod || '-',
+      entry.input || '-',
+      entry.sendButton || '-',
+      entry.problems.join('; ') || 'none'
+    ].map(escapeCell).join(' | ') + ' |');
+  });
+
+  entries.forEach((entry, index) => {
+    const { profile } = entry;
+    lines.push(
+      '',
+      `## ${index + 1}. ${`${profile.firstName || ''} ${profile.lastName || ''}`.trim() || profile.url}`,
+      '',
+      `- URL: ${profile.url}`,
+      `- Variant: ${entry.variant || 'default'}`,
+      `- Composer opened by: ${entry.openMethod || 'not found'}`,
+      `- Message input: ${entry.input || 'not found'}`,
+      `- Send button: ${entry.sendButton || 'not found'}`
+    );
+
+    const profileFields = Object.entries(entry.profileInfo || {}).filter(([, value]) => value);
+    if (profileFields.length > 0) {
+      lines.push(`- Read from the profile: ${profileFields.map(([field, value]) => `${field} "${value}"`).join(', ')}`);
+    }
+
+    if (entry.existingConversation) {
+      lines.push(`- Existing conversation: yes, policy ${entry.existingConversation}`);
+    }
+
+    if (entry.problems.length > 0) {
+      lines.push('- Problems:');
+      entry.problems.forEach(problem => lines.push(`  - ${problem}`));
+    }
+
+    lines.push('', '```', entry.message || '(message not rendered)', '```');
+  });
+
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Write the preview report for a dry run to the preview directory
+ * @param {Array} entries - Preview entries collected by the messaging loop
+ * @returns {Promise<string>} - Path of the written report
+ */
+const writePreviewReport = async (entries) => {
+  const generatedAt = new Date();
+  const fileName = `preview-${generatedAt.toISOString().replace(/[:.]/g, '-')}.md`;
+  const reportPath = path.join(config.files.previewDir, fileName);
+
+  await fs.ensureDir(config.files.previewDir);
+  await fs.writeFile(reportPath, buildPreviewReport(entries, generatedAt));
+
+  return reportPath;
+};
+
+module.exports = {
+  buildPreviewReport,
+  writePreviewReport
+};
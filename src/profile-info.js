@@ -0,0 +1,165 @@
+// Template variables that can be read from the profile page. Values in the CSV always take priority.
+const PROFILE_INFO_FIELDS = [
+  'firstName',
+  'lastName',
+  'headline',
+  'title',
+  'position',
+  'company',
+  'location',
+  'tenure',
+  'school',
+  'industry',
+  'mutualConnections',
+  'recentPostTopic'
+];
+
+// Longest recent post topic, cut at a word boundary
+const MAX_TOPIC_LENGTH = 80;
+
+/**
+ * Collapse whitespace in text read from the page
+ * @param {string} text - Raw innerText
+ * @returns {string} - Trimmed text on a single line
+ */
+const cleanText = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Split a role line into title and company
+ * @param {string} text - e.g. "Head of Marketing at Acme Corp"
+ * @returns {{title: string, company: string}} - The whole text as the title when there is no " at "
+ */
+const splitRole = (text) => {
+  const role = cleanText(text);
+  const index = role.lastIndexOf(' at ');
+  if (index === -1) {
+    return { title: role, company: '' };
+  }
+  // Headlines often go on after the company, e.g. "CTO at Initech | Speaker"
+  return { title: role.slice(0, index).trim(), company: role.slice(index + 4).split(/\s[|•·]\s/)[0].trim() };
+};
+
+/**
+ * Read the time in the current role from a date range or duration
+ * @param {string} text - e.g. "Jan 2020 - Present · 4 yrs 2 mos" or "2 years 3 months in role"
+ * @returns {string} - e.g. "4 years 2 months", or '' when there is no duration
+ */
+const parseTenure = (text) => {
+  const parts = [];
+  const pattern = /(\d+)\s*(yrs?|years?|mos?|months?)\b/gi;
+  let match;
+  while ((match = pattern.exec(text || '')) !== null) {
+    const count = Number(match[1]);
+    const unit = match[2].toLowerCase().startsWith('y') ? 'year' : 'month';
+    parts.push(`${count} ${unit}${count === 1 ? '' : 's'}`);
+  }
+  if (parts.length > 0) {
+    return parts.join(' ');
+  }
+  return /less than a year/i.test(text || '') ? 'less than a year' : '';
+};
+
+/**
+ * Count the mutual connections shown on a profile
+ * @param {string} text - e.g. "Jane Doe, John Smith and 12 other mutual connections",
+ *   "Jane Doe is a mutual connection" or "14 shared connections"
+ * @returns {string} - Number of mutual connections, or '' when none are shown
+ */
+const parseMutualConnections = (text) => {
+  const value = cleanText(text);
+  const count = value.match(/(\d[\d,]*)\+?\s+(other\s+)?(mutual|shared)\s+connections?/i);
+
+  // Names come before "and 12 other", or before "is a" / "are" when every connection is named
+  const names = (count ? value.slice(0, count.index) : value.split(/\s+(is|are)\s+(a\s+)?(mutual|shared)/i)[0])
+    .replace(/\band\s*$/i, '')
+    .split(/,|\s+and\s+/)
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  if (count) {
+    const number = Number(count[1].replace(/,/g, ''));
+    return String(count[2] ? number + names.length : number);
+  }
+  return /(mutual|shared)\s+connection/i.test(value) ? String(names.length) : '';
+};
+
+/**
+ * Turn the text of a post into a short topic: its first sentence, without links or hashtags
+ * @param {string} text - Text of the most recent post
+ * @returns {string} - At most MAX_TOPIC_LENGTH characters, '' for an empty post
+ */
+const summarizePost = (text) => {
+  const firstLine = (text || '').split(/\n/).map(cleanText).find(Boolean) || '';
+  const sentence = firstLine
+    .replace(/https?:\/\/\S+/g, '')
+    .replace(/#(\w+)/g, '$1')
+    .split(/(?<=[.!?])\s/)[0]
+    .replace(/[.!?]+$/, '')
+    .trim();
+
+  if (sentence.length <= MAX_TOPIC_LENGTH) {
+    return sentence;
+  }
+  const cut = sentence.slice(0, MAX_TOPIC_LENGTH + 1);
+  return cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : MAX_TOPIC_LENGTH).trim();
+};
+
+/**
+ * Build the template variables from the text read on a profile page. Fields that were
+ * not found are left empty, so template fallbacks apply instead of made-up values.
+ * @param {Object} texts - Raw text by field: name, headline, title, company, role ("Title at Company"),
+ *   location, tenure, school, industry, mutualConnections, recentPost
+ * @returns {Object} - Template variables named in PROFILE_INFO_FIELDS
+ */
+const buildProfileInfo = (texts) => {
+  // Credentials come after a comma, e.g. "Jane Doe, MBA"
+  const [firstName = '', ...rest] = cleanText(texts.name).split(',')[0].split(' ');
+
+  // The current role line, then the headline, fill in a title or company missing from its own element
+  const role = splitRole(texts.role);
+  const headline = cleanText(texts.headline);
+  const fromHeadline = splitRole(headline);
+  const title = cleanText(texts.title) || role.title || (fromHeadline.company ? fromHeadline.title : '');
+  const company = cleanText(texts.company) || role.company || fromHeadline.company;
+
+  return {
+    firstName,
+    lastName: rest.join(' '),
+    headline,
+    title,
+    position: title,
+    company,
+    location: cleanText(texts.location),
+    tenure: parseTenure(texts.tenure),
+    school: cleanText(texts.school),
+    industry: cleanText(texts.industry),
+    mutualConnections: parseMutualConnections(texts.mutualConnections),
+    recentPostTopic: summarizePost(texts.recentPost)
+  };
+};
+
+/**
+ * Merge the data read from a profile page into a CSV row
+ * @param {Object} profile - Profile data from the CSV
+ * @param {Object} [profileInfo] - Data returned by the profile extraction
+ * @returns {Object} - New object with the CSV values, plus the profile values where the CSV is empty
+ */
+const mergeProfileInfo = (profile, profileInfo) => {
+  const merged = { ...profile };
+  Object.entries(profileInfo || {}).forEach(([field, value]) => {
+    const current = merged[field];
+    if (value && (current === undefined || current === null || String(current).trim() === '')) {
+      merged[field] = value;
+    }
+  });
+  return merged;
+};
+
+module.exports = {
+  PROFILE_INFO_FIELDS,
+  parseTenure,
+  parseMutualConnections,
+  summarizePost,
+  buildProfileInfo,
+  mergeProfileInfo
+};
@@ -0,0 +1,123 @@
+// Profile URL types, see classifyProfileUrl
+const URL_TYPES = {
+  SALES_NAV_LEAD: 'sales-nav-lead',
+  SALES_NAV_PROFILE: 'sales-nav-profile',
+  PUBLIC_PROFILE: 'public-profile',
+  INVALID: 'invalid'
+};
+
+/**
+ * Parse a URL, adding https:// when the scheme is missing
+ * @param {string} url - URL to parse
+ * @returns {URL|null} - Parsed URL, or null if it can't be parsed
+ */
+const parseUrl = (url) => {
+  const value = (url || '').trim();
+  if (!value) {
+    return null;
+  }
+
+  try {
+    return new URL(/^https?:\/\//i.test(value) ? value : `https://${value}`);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Check whether a parsed URL points at LinkedIn
+ * @param {URL} parsed - Parsed URL
+ * @returns {boolean} - True for linkedin.com and its subdomains
+ */
+const isLinkedInHost = (parsed) => {
+  return /(^|\.)linkedin\.com$/i.test(parsed.hostname);
+};
+
+/**
+ * Normalize a LinkedIn profile URL so the same profile always compares equal.
+ * Tracking query strings, fragments and trailing slashes are removed, the host becomes
+ * www.linkedin.com and public /in/ slugs are lowercased.
+ * @param {string} url - LinkedIn profile URL
+ * @returns {string} - Canonical URL
+ */
+const normalizeProfileUrl = (url) => {
+  const parsed = parseUrl(url);
+  if (!parsed) {
+    return (url || '').trim();
+  }
+
+  let pathname = parsed.pathname.replace(/\/+$/, '');
+
+  if (!isLinkedInHost(parsed)) {
+    return `${parsed.origin}${pathname}`;
+  }
+
+  // /in/<slug>/details/... and similar sub-pages all belong to the same profile
+  const publicMatch = pathname.match(/^\/in\/([^/]+)/i);
+  if (publicMatch) {
+    pathname = `/in/${publicMatch[1].toLowerCase()}`;
+  }
+
+  return `https://www.linkedin.com${pathname}`;
+};
+
+/**
+ * Classify a profile URL
+ * @param {string} url - Profile URL
+ * @returns {string} - One of URL_TYPES
+ */
+const classifyProfileUrl = (url) => {
+  const parsed = parseUrl(url);
+  if (!parsed || !isLinkedInHost(parsed)) {
+    return URL_TYPES.INVALID;
+  }
+
+  const pathname = parsed.pathname;
+  if (/^\/sales\/lead\/[^/]+/i.test(pathname)) {
+    return URL_TYPES.SALES_NAV_LEAD;
+  }
+  if (/^\/sales\/(people|profile)\/[^/]+/i.test(pathname)) {
+    return URL_TYPES.SALES_NAV_PROFILE;
+  }
+  if (/^\/in\/[^/]+/i.test(pathname)) {
+    return URL_TYPES.PUBLIC_PROFILE;
+  }
+  return URL_TYPES.INVALID;
+};
+
+/**
+ * Move a LinkedIn URL onto another base URL, keeping its path and query.
+ * Used to point real profile URLs at the fixture server.
+ * @param {string} url - LinkedIn URL
+ * @param {string} baseUrl - Base URL, e.g. http://127.0.0.1:3000
+ * @returns {string} - URL on the base URL, or the URL unchanged if it isn't a LinkedIn URL
+ */
+const rebaseLinkedInUrl = (url, baseUrl) => {
+  const parsed = parseUrl(url);
+  if (!parsed || !isLinkedInHost(parsed)) {
+    return url;
+  }
+  return new URL(`${parsed.pathname}${parsed.search}${parsed.hash}`, baseUrl).toString();
+};
+
+/**
+ * Tell whether a page is part of Sales Navigator or regular LinkedIn, from its path.
+ * Works on any host, so pages of the fixture server are recognized too.
+ * @param {string} url - Page URL
+ * @returns {string} - 'sales-nav', 'regular' or an empty string if the URL is missing
+ */
+const getPageType = (url) => {
+  const parsed = parseUrl(url);
+  if (!parsed) {
+    return '';
+  }
+  return /^\/sales\//i.test(parsed.pathname) ? 'sales-nav' : 'regular';
+};
+
+module.exports = {
+  URL_TYPES,
+  getPageType,
+  normalizeProfileUrl,
+  classifyProfileUrl,
+  rebaseLinkedInUrl
+};
@@ -0,0 +1,148 @@
+const config = require('../config/config');
+const { renderMessage } = require('./utils');
+const { getVariants, assignVariant } = require('./variants');
+const { getSequenceSteps } = require('./sequence');
+const { URL_TYPES, normalizeProfileUrl, classifyProfileUrl } = require('./profile-url');
+const { PROFILE_INFO_FIELDS } = require('./profile-info');
+const { assignAccount } = require('./accounts');
+
+/**
+ * Validate and normalize profiles loaded from the CSV, before the browser is launched
+ * @param {Array} profiles - Profiles loaded from the CSV
+ * @param {Object} [options]
+ * @param {string} [options.action] - 'message' checks the message templates, 'connect' the invitation note
+ * @returns {{templateErrors: Array<string>, rows: Array, errorCount: number, warningCount: number}}
+ *   - Template-level errors and one result per profile, in CSV order
+ */
+const validateProfiles = (profiles, { action = 'message' } = {}) => {
+  const templateErrors = [];
+  const connect = action === 'connect';
+
+  // Invitations are checked against the note template, as a single variant
+  const noteVariant = { id: 'note', template: config.connect.noteTemplate || '' };
+  const variants = connect ? [noteVariant] : getVariants();
+
+  // A template with a syntax error fails for every profile, so check each one up front
+  const brokenVariants = new Set();
+  variants.forEach(variant => {
+    try {
+      renderMessage({ url: '' }, variant.template);
+    } catch (error) {
+      brokenVariants.add(variant.id);
+      templateErrors.push(`${connect ? 'Invitation note' : `Template variant "${variant.id}"`}: ${error.message}`);
+    }
+  });
+  (connect ? [] : getSequenceSteps()).forEach(step => {
+    try {
+      renderMessage({ url: '' }, step.template);
+    } catch (error) {
+      templateErrors.push(`Follow-up step "${step.id}": ${error.message}`);
+    }
+  });
+  if (!connect && config.existingConversation.policy === 'followup') {
+    try {
+      renderMessage({ url: '' }, config.existingConversation.template);
+    } catch (error) {
+      templateErrors.push(`Existing conversation template: ${error.message}`);
+    }
+  }
+
+  const firstRowByUrl = new Map();
+
+  const rows = profiles.map((profile, index) => {
+    const result = {
+      row: index + 1,
+      url: profile.url || '',
+      canonicalUrl: normalizeProfileUrl(profile.url),
+      type: classifyProfileUrl(profile.url),
+      errors: [],
+      warnings: []
+    };
+
+    if (!profile.url) {
+      result.errors.push('missing url');
+      return result;
+    }
+
+    if (result.type === URL_TYPES.INVALID) {
+      result.errors.push('not a LinkedIn profile or Sales Navigator lead URL');
+      return result;
+    }
+
+    if (firstRowByUrl.has(result.canonicalUrl)) {
+      result.errors.push(`duplicate of row ${firstRowByUrl.get(result.canonicalUrl)}`);
+      return result;
+    }
+    firstRowByUrl.set(result.canonicalUrl, result.row);
+
+    if (result.canonicalUrl !== profile.url.trim()) {
+      result.warnings.push(`url will be normalized to ${result.canonicalUrl}`);
+    }
+
+    // Only the owner sharding strategy can leave a profile without an account
+    const account = assignAccount(profile, index);
+    if (!account) {
+      const owner = (profile[config.sharding.ownerColumn] || '').trim();
+      result.errors.push(owner ?
+        `owner "${owner}" is not a configured account` :
+        `no owner in the "${config.sharding.ownerColumn}" column`);
+      return result;
+    }
+
+    // Rendered with the sender name of the account the profile is sharded to
+    const data = { senderName: account.senderName, ...profile, url: result.canonicalUrl };
+    const variant = connect ? noteVariant : assignVariant(data);
+    if (!brokenVariants.has(variant.id)) {
+      const { text, unresolved } = renderMessage(data, variant.template);
+      if (connect && text.length > config.connect.maxNoteLength) {
+        result.errors.push(`note is ${text.length} characters, the limit is ${config.connect.maxNoteLength}`);
+      }
+      // Variables the profile page can fill in are only known once it has been visited
+      const missing = unresolved.filter(name => !PROFILE_INFO_FIELDS.includes(name));
+      const fromProfile = unresolved.filter(name => PROFILE_INFO_FIELDS.includes(name));
+      if (missing.length > 0) {
+        const problem = `missing template variables: ${missing.join(', ')}`;
+        if (config.messaging.strictTemplates) {
+          result.errors.push(problem);
+        } else {
+          result.warnings.push(problem);
+        }
+      }
+      if (fromProfile.length > 0) {
+        result.warnings.push(`template variables to be read from the profile page: ${fromProfile.join(', ')}`);
+      }
+    }
+
+    return result;
+  });
+
+  return {
+    templateErrors,
+    rows,
+    errorCount: templateErrors.length + rows.filter(row => row.errors.length > 0).length,
+    warningCount: rows.filter(row => row.warnings.length > 0).length
+  };
+};
+
+/**
+ * Print the row-by-row validation report
+ * @param {Object} result - Result of validateProfiles
+ */
+const printValidationReport = (result) => {
+  console.log('\n--- Profile validation ---');
+
+  result.templateErrors.forEach(error => console.error(`ERROR   ${error}`));
+
+  result.rows.forEach(row => {
+    const status = row.errors.length > 0 ? 'ERROR  ' : row.warnings.length > 0 ? 'WARNING' : 'OK     ';
+    const issues = [...row.errors, ...row.warnings].join('; ');
+    console.log(`${status} row ${row.row} [${row.type}] ${row.url || '(no url)'}${issues ? ` - ${issues}` : ''}`);
+  });
+
+  console.log(`${result.rows.length} rows checked: ${result.errorCount} with errors, ${result.warningCount} with warnings`);
+};
+
+module.exports = {
+  validateProfiles,
+  printValidationReport
+};
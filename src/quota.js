@@ -0,0 +1,106 @@
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config/config');
+const { logger } = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+/**
+ * Load the persisted send history used for quotas
+ * @returns {Promise<{sends: Array<{action: string, at: string}>}>} - Quota state
+ */
+const loadQuotaState = async () => {
+  try {
+    if (await fs.pathExists(config.files.quotaStateJson)) {
+      const state = await fs.readJson(config.files.quotaStateJson);
+      return { sends: Array.isArray(state.sends) ? state.sends : [] };
+    }
+  } catch (error) {
+    logger.warn(`Error reading quota state, starting from an empty history: ${error.message}`);
+  }
+  return { sends: [] };
+};
+
+/**
+ * Save the send history, dropping entries older than the weekly window
+ * @param {Object} state - Quota state
+ * @param {Date} [now] - Current time
+ */
+const saveQuotaState = async (state, now = new Date()) => {
+  state.sends = state.sends.filter(send => now - new Date(send.at) < WEEK_MS);
+  await fs.ensureDir(path.dirname(config.files.quotaStateJson));
+  await fs.writeJson(config.files.quotaStateJson, state, { spaces: 2 });
+};
+
+/**
+ * Count sends within a rolling window
+ * @param {Object} state - Quota state
+ * @param {number} windowMs - Window length in milliseconds
+ * @param {string} [action] - Only count this action type
+ * @param {Date} [now] - Current time
+ * @returns {number} - Number of sends
+ */
+const countSends = (state, windowMs, action, now = new Date()) => {
+  return state.sends.filter(send =>
+    now - new Date(send.at) < windowMs && (!action || send.action === action)
+  ).length;
+};
+
+/**
+ * Check whether another send of the given action type fits within the quotas
+ * @param {Object} state - Quota state
+ * @param {string} action - Action type (message/inmail/connection)
+ * @param {Date} [now] - Current time
+ * @returns {{allowed: boolean, reason: string}} - Whether the send is allowed, and why not
+ */
+const checkQuota = (state, action, now = new Date()) => {
+  const quotas = config.quotas;
+  const limits = [
+    { label: 'daily', limit: quotas.daily, windowMs: DAY_MS },
+    { label: 'weekly', limit: quotas.weekly, windowMs: WEEK_MS },
+    { label: `daily ${action}`, limit: (quotas[action] || {}).daily, windowMs: DAY_MS, action },
+    { label: `weekly ${action}`, limit: (quotas[action] || {}).weekly, windowMs: WEEK_MS, action }
+  ];
+
+  for (const { label, limit, windowMs, action: countedAction } of limits) {
+    if (limit === null || limit === undefined) {
+      continue;
+    }
+    const used = countSends(state, windowMs, countedAction, now);
+    if (used >= limit) {
+      return { allowed: false, reason: `${label} quota reached (${used}/${limit})` };
+    }
+  }
+
+  return { allowed: true, reason: '' };
+};
+
+/**
+ * Record a send and persist the quota state
+ * @param {Object} state - Quota state
+ * @param {string} action - Action type (message/inmail/connection)
+ * @param {Date} [now] - Current time
+ */
+const recordSend = async (state, action, now = new Date()) => {
+  state.sends.push({ action, at: now.toISOString() });
+  await saveQuotaState(state, now);
+};
+
+/**
+ * Work out which quota a message to a profile counts against
+ * @param {string} profileUrl - LinkedIn profile URL
+ * @returns {string} - "inmail" for Sales Navigator profiles, otherwise "message"
+ */
+const getMessageAction = (profileUrl) => {
+  return (profileUrl || '').includes('/sales/') ? 'inmail' : 'message';
+};
+
+module.exports = {
+  loadQuotaState,
+  saveQuotaState,
+  countSends,
+  checkQuota,
+  recordSend,
+  getMessageAction
+};
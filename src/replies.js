@@ -0,0 +1,44 @@
+const config = require('../config/config');
+const { readCsv, writeCsv } = require('./csv-store');
+const { normalizeProfileUrl } = require('./profile-url');
+
+// Columns of the replies file
+const REPLY_COLUMNS = [
+  { id: 'url', title: 'Profile URL' },
+  { id: 'repliedAt', title: 'Replied At' },
+  { id: 'snippet', title: 'Snippet' },
+  { id: 'name', title: 'Name' },
+  { id: 'inbox', title: 'Inbox' }
+];
+
+/**
+ * Load recorded replies
+ * @returns {Promise<Map<string, Object>>} - Reply rows keyed by normalized profile URL
+ */
+const loadReplies = async () => {
+  const rows = await readCsv(config.files.repliesCsv, REPLY_COLUMNS);
+  const replies = new Map();
+
+  rows.forEach(row => {
+    if (row.url) {
+      replies.set(normalizeProfileUrl(row.url), row);
+    }
+  });
+
+  return replies;
+};
+
+/**
+ * Write the replies file
+ * @param {Iterable<Object>} replies - Reply rows keyed by the ids in REPLY_COLUMNS
+ */
+const saveReplies = async (replies) => {
+  const rows = Array.from(replies).sort((a, b) => (a.repliedAt || '').localeCompare(b.repliedAt || ''));
+  await writeCsv(config.files.repliesCsv, REPLY_COLUMNS, rows);
+};
+
+module.exports = {
+  REPLY_COLUMNS,
+  loadReplies,
+  saveReplies
+};
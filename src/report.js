@@ -0,0 +1,95 @@
+const config = require('../config/config');
+const { MESSAGED_STATUSES, readSentLog, getLatestStatuses } = require('./sent-log');
+const { loadReplies } = require('./replies');
+
+/**
+ * Format a ratio as a percentage
+ * @param {number} count - Numerator
+ * @param {number} total - Denominator
+ * @returns {string} - Percentage, or "-" when the total is zero
+ */
+const percent = (count, total) => {
+  return total > 0 ? `${(count / total * 100).toFixed(1)}%` : '-';
+};
+
+/**
+ * Build per-variant statistics from the sent-messages log and the replies file.
+ * Each profile is counted once, using its latest log row. Profiles skipped because of an
+ * existing conversation or left for review after an uncertain search match were never
+ * messaged, so they are counted apart from the attempts. Unverified messages most likely
+ * went out, so their replies count, and the reply rate is over sent and unverified messages.
+ * @returns {Promise<Array>} - One entry per variant
+ */
+const buildVariantReport = async () => {
+  const latest = getLatestStatuses(await readSentLog());
+  const replies = await loadReplies();
+  const stats = new Map();
+
+  latest.forEach((row, url) => {
+    const variant = row.variant || 'default';
+    if (!stats.has(variant)) {
+      stats.set(variant, { variant, attempted: 0, sent: 0, unverified: 0, failed: 0, skipped: 0, review: 0, replied: 0 });
+    }
+
+    const entry = stats.get(variant);
+    if (row.status === 'skipped') {
+      entry.skipped++;
+      return;
+    }
+    if (row.status === 'review') {
+      entry.review++;
+      return;
+    }
+    entry.attempted++;
+    if (MESSAGED_STATUSES.includes(row.status) && replies.has(url)) {
+      entry.replied++;
+    }
+
+    if (row.status === 'success') {
+      entry.sent++;
+    } else if (row.status === 'unverified') {
+      entry.unverified++;
+    } else {
+      entry.failed++;
+    }
+  });
+
+  return Array.from(stats.values())
+    .sort((a, b) => a.variant.localeCompare(b.variant))
+    .map(entry => ({
+      ...entry,
+      sendRate: percent(entry.sent, entry.attempted),
+      replyRate: percent(entry.replied, entry.sent + entry.unverified)
+    }));
+};
+
+/**
+ * Print the per-variant report to the console
+ */
+const printVariantReport = async () => {
+  const report = await buildVariantReport();
+
+  if (report.length === 0) {
+    console.log(`No messages logged yet in ${config.files.logsCsv}`);
+    return;
+  }
+
+  console.log(`Variant report for ${config.files.logsCsv}`);
+  console.table(report.map(entry => ({
+    'Variant': entry.variant,
+    'Attempted': entry.attempted,
+    'Sent': entry.sent,
+    'Unverified': entry.unverified,
+    'Failed': entry.failed,
+    'Skipped': entry.skipped,
+    'In review': entry.review,
+    'Send rate': entry.sendRate,
+    'Replies': entry.replied,
+    'Reply rate': entry.replyRate
+  })));
+};
+
+module.exports = {
+  buildVariantReport,
+  printVariantReport
+};
@@ -0,0 +1,65 @@
+const config = require('../config/config');
+const { readCsv, writeCsv } = require('./csv-store');
+const { normalizeProfileUrl } = require('./profile-url');
+
+// Columns of the review queue
+const REVIEW_COLUMNS = [
+  { id: 'url', title: 'Profile URL' },
+  { id: 'name', title: 'Name' },
+  { id: 'queuedAt', title: 'Queued At' },
+  { id: 'reason', title: 'Reason' },
+  { id: 'bestMatch', title: 'Best Match' },
+  { id: 'bestMatchUrl', title: 'Best Match URL' },
+  { id: 'confidence', title: 'Confidence' },
+  { id: 'candidates', title: 'Candidates' }
+];
+
+/**
+ * Load the profiles waiting for review
+ * @returns {Promise<Map<string, Object>>} - Review rows keyed by normalized profile URL
+ */
+const loadReviewQueue = async () => {
+  const rows = await readCsv(config.files.reviewCsv, REVIEW_COLUMNS);
+  const queue = new Map();
+
+  rows.forEach(row => {
+    if (row.url) {
+      queue.set(normalizeProfileUrl(row.url), row);
+    }
+  });
+
+  return queue;
+};
+
+/**
+ * Add a profile to the review queue, replacing an earlier entry for the same profile
+ * @param {Object} profile - Profile data from the CSV
+ * @param {string} reason - Why the profile could not be matched
+ * @param {Array<Object>} candidates - Ranked candidates from chooseCandidate, best first
+ */
+const addToReviewQueue = async (profile, reason, candidates = []) => {
+  const queue = await loadReviewQueue();
+  const [best] = candidates;
+
+  queue.set(normalizeProfileUrl(profile.url), {
+    url: profile.url,
+    name: [profile.firstName, profile.lastName].filter(Boolean).join(' '),
+    queuedAt: new Date().toISOString(),
+    reason,
+    bestMatch: best ? best.name : '',
+    bestMatchUrl: best ? best.url : '',
+    confidence: best ? best.confidence : '',
+    candidates: candidates
+      .map(candidate => `${candidate.name} (${candidate.confidence}) ${[candidate.title, candidate.company, candidate.location].filter(Boolean).join(', ')} ${candidate.url}`)
+      .join('\n')
+  });
+
+  const rows = Array.from(queue.values()).sort((a, b) => (a.queuedAt || '').localeCompare(b.queuedAt || ''));
+  await writeCsv(config.files.reviewCsv, REVIEW_COLUMNS, rows);
+};
+
+module.exports = {
+  REVIEW_COLUMNS,
+  loadReviewQueue,
+  addToReviewQueue
+};
@@ -0,0 +1,239 @@
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config/config');
+const { logger } = require('./logger');
+
+// Registry shipped with the script. Users change it through files.selectorOverrides instead of editing it.
+const REGISTRY_PATH = path.join(__dirname, '../config/selectors.json');
+
+// Number of runs kept in the selector stats file
+const MAX_RUNS = 30;
+
+const ENTRY_TYPES = ['css', 'text', 'url'];
+
+let registry = null;
+let runMatches = new Map();
+let runStartedAt = new Date().toISOString();
+
+/**
+ * Apply one override to a registry entry
+ * @param {string} key - Registry key
+ * @param {Array<string>} values - Values from the registry
+ * @param {Array<string>|Object} override - A list that replaces the values, or { add, remove }
+ * @returns {Array<string>} - New values
+ * @throws {Error} - If the override has the wrong shape
+ */
+const applyOverride = (key, values, override) => {
+  if (Array.isArray(override)) {
+    return override.slice();
+  }
+
+  if (!override || typeof override !== 'object') {
+    throw new Error(`Selector override for ${key} must be a list or an object with add/remove`);
+  }
+
+  const add = override.add || [];
+  const remove = override.remove || [];
+  if (!Array.isArray(add) || !Array.isArray(remove)) {
+    throw new Error(`Selector override for ${key}: add and remove must be lists`);
+  }
+
+  // Added values are tried first, since they are usually fixes for markup changes
+  return [...add, ...values.filter(value => !remove.includes(value) && !add.includes(value))];
+};
+
+/**
+ * Load the selector registry and merge the user override file on top.
+ * The result is cached for the rest of the process.
+ * @returns {{version: number, overrideFile: string|null, entries: Object}} - Merged registry
+ * @throws {Error} - If the registry or the override file is invalid
+ */
+const loadSelectorRegistry = () => {
+  if (registry) {
+    return registry;
+  }
+
+  const base = fs.readJsonSync(REGISTRY_PATH);
+  const entries = {};
+
+  Object.entries(base.entries).forEach(([key, entry]) => {
+    if (!ENTRY_TYPES.includes(entry.type) || !Array.isArray(entry.values)) {
+      throw new Error(`Invalid selector registry entry ${key} in ${REGISTRY_PATH}`);
+    }
+    entries[key] = { ...entry, values: entry.values.slice() };
+  });
+
+  const overrideFile = config.files.selectorOverrides;
+  let overridden = false;
+
+  if (overrideFile && fs.pathExistsSync(overrideFile)) {
+    let overrides;
+    try {
+      overrides = fs.readJsonSync(overrideFile);
+    } catch (error) {
+      throw new Error(`Could not read selector overrides ${overrideFile}: ${error.message}`);
+    }
+
+    if (overrides.registryVersion !== undefined && overrides.registryVersion !== base.version) {
+      logger.warn(`Warning: ${overrideFile} was written for selector registry version ${overrides.registryVersion}, the current version is ${base.version}`);
+    }
+
+    Object.entries(overrides.entries || {}).forEach(([key, override]) => {
+      if (!entries[key]) {
+        throw new Error(`Unknown selector key in ${overrideFile}: ${key}`);
+      }
+      entries[key].values = applyOverride(key, entries[key].values, override);
+      entries[key].overridden = true;
+    });
+    overridden = true;
+  }
+
+  registry = {
+    version: base.version,
+    overrideFile: overridden ? overrideFile : null,
+    entries
+  };
+  return registry;
+};
+
+/**
+ * Get the values of a registry entry, in the order they should be tried
+ * @param {string} key - Registry key, e.g. 'composer.input'
+ * @returns {Array<string>} - Selectors or text matches
+ * @throws {Error} - If the key is not in the registry
+ */
+const getSelectors = (key) => {
+  const entry = loadSelectorRegistry().entries[key];
+  if (!entry) {
+    throw new Error(`Unknown selector key: ${key}`);
+  }
+  return entry.values.slice();
+};
+
+/**
+ * Record that a registry value matched on the current page
+ * @param {string} key - Registry key
+ * @param {string} value - The selector or text that matched
+ */
+const recordSelectorMatch = (key, value) => {
+  if (!runMatches.has(key)) {
+    runMatches.set(key, new Map());
+  }
+  const values = runMatches.get(key);
+  values.set(value, (values.get(value) || 0) + 1);
+};
+
+/**
+ * Load the selector stats file
+ * @returns {Promise<{runs: Array, entries: Object}>} - Stats, empty if there is no file yet
+ */
+const loadSelectorStats = async () => {
+  try {
+    if (await fs.pathExists(config.files.selectorStatsJson)) {
+      const stats = await fs.readJson(config.files.selectorStatsJson);
+      return {
+        runs: Array.isArray(stats.runs) ? stats.runs : [],
+        entries: stats.entries || {}
+      };
+    }
+  } catch (error) {
+    logger.warn(`Error reading selector stats, starting fresh: ${error.message}`);
+  }
+  return { runs: [], entries: {} };
+};
+
+/**
+ * Add the matches of the current run to the selector stats file and start a new run
+ * @param {Date} [now] - Current time
+ */
+const saveSelectorStats = async (now = new Date()) => {
+  const stats = await loadSelectorStats();
+  const finishedAt = now.toISOString();
+  const matched = {};
+
+  runMatches.forEach((values, key) => {
+    matched[key] = Object.fromEntries(values);
+    stats.entries[key] = stats.entries[key] || {};
+
+    values.forEach((count, value) => {
+      const entry = stats.entries[key][value] || { hits: 0 };
+      entry.hits += count;
+      entry.lastMatched = finishedAt;
+      stats.entries[key][value] = entry;
+    });
+  });
+
+  stats.runs.push({
+    startedAt: runStartedAt,
+    finishedAt,
+    registryVersion: loadSelectorRegistry().version,
+    matched
+  });
+  stats.runs = stats.runs.slice(-MAX_RUNS);
+
+  await fs.ensureDir(path.dirname(config.files.selectorStatsJson));
+  await fs.writeJson(config.files.selectorStatsJson, stats, { spaces: 2 });
+
+  runMatches = new Map();
+  runStartedAt = finishedAt;
+};
+
+/**
+ * Build a row per registry value with how often and how recently it matched
+ * @returns {Promise<Array>} - Report rows, in registry order
+ */
+const buildSelectorReport = async () => {
+  const { entries } = loadSelectorRegistry();
+  const stats = await loadSelectorStats();
+  const rows = [];
+
+  Object.entries(entries).forEach(([key, entry]) => {
+    entry.values.forEach(value => {
+      const hit = (stats.entries[key] || {})[value];
+      const runsMatched = stats.runs.filter(run => run.matched[key] && run.matched[key][value]).length;
+      rows.push({
+        key,
+        value,
+        hits: hit ? hit.hits : 0,
+        lastMatched: hit ? hit.lastMatched : null,
+        runsMatched
+      });
+    });
+  });
+
+  return rows;
+};
+
+/**
+ * Print the selector report to the console
+ */
+const printSelectorReport = async () => {
+  const { version, overrideFile } = loadSelectorRegistry();
+  const stats = await loadSelectorStats();
+  const rows = await buildSelectorReport();
+
+  console.log(`Selector registry version ${version}${overrideFile ? ` with overrides from ${overrideFile}` : ''}`);
+  console.log(`Match history: ${stats.runs.length} runs in ${config.files.selectorStatsJson}`);
+  console.table(rows.map(row => ({
+    'Key': row.key,
+    'Selector / text': row.value,
+    'Hits': row.hits,
+    'Runs matched': `${row.runsMatched}/${stats.runs.length}`,
+    'Last matched': row.lastMatched || 'never'
+  })));
+
+  const unused = rows.filter(row => row.hits === 0).length;
+  if (stats.runs.length > 0 && unused > 0) {
+    console.log(`${unused} entries have never matched and may be outdated`);
+  }
+};
+
+module.exports = {
+  loadSelectorRegistry,
+  getSelectors,
+  recordSelectorMatch,
+  loadSelectorStats,
+  saveSelectorStats,
+  buildSelectorReport,
+  printSelectorReport
+};
@@ -0,0 +1,174 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config/config');
+const { readCsv, readCsvHeader, writeCsv } = require('./csv-store');
+const { normalizeProfileUrl } = require('./profile-url');
+const { logger } = require('./logger');
+
+// Columns of the sent-messages log, in the order they are written
+const LOG_COLUMNS = [
+  { id: 'url', title: 'Profile URL' },
+  { id: 'name', title: 'Name' },
+  { id: 'timestamp', title: 'Timestamp' },
+  { id: 'status', title: 'Status' },
+  { id: 'error', title: 'Error' },
+  { id: 'variant', title: 'Variant' },
+  { id: 'messageHash', title: 'Message Hash' },
+  { id: 'message', title: 'Message' },
+  { id: 'pageType', title: 'Page Type' },
+  { id: 'openMethod', title: 'Open Method' },
+  { id: 'sendMethod', title: 'Send Method' },
+  { id: 'durationMs', title: 'Duration (ms)' },
+  { id: 'finalUrl', title: 'Final URL' },
+  { id: 'step', title: 'Step' },
+  { id: 'existingConversation', title: 'Existing Conversation' },
+  { id: 'account', title: 'Account' }
+];
+
+// Columns of the invitations log, in the order they are written
+const INVITATION_COLUMNS = [
+  { id: 'url', title: 'Profile URL' },
+  { id: 'name', title: 'Name' },
+  { id: 'timestamp', title: 'Timestamp' },
+  { id: 'status', title: 'Status' },
+  { id: 'error', title: 'Error' },
+  { id: 'noteHash', title: 'Note Hash' },
+  { id: 'note', title: 'Note' },
+  { id: 'noteLength', title: 'Note Length' },
+  { id: 'pageType', title: 'Page Type' },
+  { id: 'connectMethod', title: 'Connect Method' },
+  { id: 'sendMethod', title: 'Send Method' },
+  { id: 'durationMs', title: 'Duration (ms)' },
+  { id: 'finalUrl', title: 'Final URL' },
+  { id: 'account', title: 'Account' }
+];
+
+// Step of the first message of a sequence. Follow-up rows carry the id of their step.
+const INITIAL_STEP = 'initial';
+
+// Statuses of profiles that were messaged. An unverified message most likely went out, so it can be replied to.
+const MESSAGED_STATUSES = ['success', 'unverified'];
+
+/**
+ * Hash a rendered message, so identical messages can be matched without storing the text
+ * @param {string} message - Rendered message
+ * @returns {string} - First 16 hex characters of the SHA-256 hash, or an empty string for no message
+ */
+const hashMessage = (message) => {
+  return message ? crypto.createHash('sha256').update(message).digest('hex').slice(0, 16) : '';
+};
+
+/**
+ * Read every row of the sent-messages log
+ * @param {string} [filePath] - Path of the log CSV
+ * @returns {Promise<Array>} - Log rows keyed by the ids in LOG_COLUMNS
+ */
+const readSentLog = async (filePath = config.files.logsCsv) => {
+  return readCsv(filePath, LOG_COLUMNS);
+};
+
+/**
+ * Read every row of the invitations log
+ * @param {string} [filePath] - Path of the invitations CSV
+ * @returns {Promise<Array>} - Log rows keyed by the ids in INVITATION_COLUMNS
+ */
+const readInvitationLog = async (filePath = config.files.invitationsCsv) => {
+  return readCsv(filePath, INVITATION_COLUMNS);
+};
+
+/**
+ * Rewrite a log file written with an older set of columns so new rows line up with the header.
+ * The original file is kept next to it with a .bak extension.
+ * @param {string} [filePath] - Path of the log CSV
+ * @param {Array<{id: string, title: string}>} [columns] - Current columns of the log
+ */
+const ensureLogSchema = async (filePath = config.files.logsCsv, columns = LOG_COLUMNS) => {
+  const header = await readCsvHeader(filePath);
+  const expected = columns.map(column => column.title);
+
+  if (!header || header.join(',') === expected.join(',')) {
+    return;
+  }
+
+  logger.info(`Migrating ${filePath} to the current log format...`);
+  const rows = await readCsv(filePath, columns);
+
+  await fs.copy(filePath, `${filePath}.bak`);
+  await writeCsv(filePath, columns, rows);
+  logger.info(`Migrated ${rows.length} log rows (backup saved to ${filePath}.bak)`);
+};
+
+/**
+ * Append a row to the sent-messages log, migrating the file first if needed.
+ * The row is also appended to files.logsJsonl when that is set.
+ * @param {Object} row - Row keyed by the ids in LOG_COLUMNS
+ * @param {string} [filePath] - Path of the log CSV
+ */
+const appendSentLogRow = async (row, filePath = config.files.logsCsv) => {
+  await ensureLogSchema(filePath);
+  await writeCsv(filePath, LOG_COLUMNS, [row], { append: true });
+
+  if (config.files.logsJsonl) {
+    // Same fields as the CSV, in column order, without CSV quoting of multi-line messages
+    const entry = Object.fromEntries(LOG_COLUMNS.map(column => [column.id, row[column.id] === undefined ? '' : row[column.id]]));
+    await fs.ensureDir(path.dirname(config.files.logsJsonl));
+    await fs.appendFile(config.files.logsJsonl, `${JSON.stringify(entry)}\n`);
+  }
+};
+
+/**
+ * Append a row to the invitations log, migrating the file first if needed
+ * @param {Object} row - Row keyed by the ids in INVITATION_COLUMNS
+ * @param {string} [filePath] - Path of the invitations CSV
+ */
+const appendInvitationRow = async (row, filePath = config.files.invitationsCsv) => {
+  await ensureLogSchema(filePath, INVITATION_COLUMNS);
+  await writeCsv(filePath, INVITATION_COLUMNS, [row], { append: true });
+};
+
+/**
+ * Check whether a log row is for the first message of a sequence rather than a follow-up
+ * @param {Object} row - Log row
+ * @returns {boolean} - True for initial messages, including rows written before sequences existed
+ */
+const isInitialStep = (row) => !row.step || row.step === INITIAL_STEP;
+
+/**
+ * Find the most recent log row of the initial message for each profile URL.
+ * Follow-up rows are left out, so a failed follow-up never makes a profile look unsent.
+ * @param {Array} rows - Rows returned by readSentLog
+ * @returns {Map<string, Object>} - Latest row keyed by normalized profile URL
+ */
+const getLatestStatuses = (rows) => {
+  const latest = new Map();
+
+  rows.forEach(row => {
+    if (!row.url || !isInitialStep(row)) {
+      return;
+    }
+
+    const key = normalizeProfileUrl(row.url);
+    const previous = latest.get(key);
+    if (!previous || (row.timestamp || '') >= (previous.timestamp || '')) {
+      latest.set(key, row);
+    }
+  });
+
+  return latest;
+};
+
+module.exports = {
+  LOG_COLUMNS,
+  INVITATION_COLUMNS,
+  INITIAL_STEP,
+  MESSAGED_STATUSES,
+  isInitialStep,
+  hashMessage,
+  readSentLog,
+  readInvitationLog,
+  ensureLogSchema,
+  appendSentLogRow,
+  appendInvitationRow,
+  getLatestStatuses
+};
@@ -0,0 +1,152 @@
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config/config');
+const { getPageType } = require('./profile-url');
+const { INITIAL_STEP, MESSAGED_STATUSES } = require('./sent-log');
+const { logger } = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sequence status of a lead
+const SEQUENCE_STATUS = {
+  ACTIVE: 'active',
+  REPLIED: 'replied',
+  COMPLETED: 'completed'
+};
+
+/**
+ * Get the configured follow-up steps, in the order they are sent
+ * @returns {Array<{id: string, delayDays: number, template: string}>} - Steps after the initial message
+ */
+const getSequenceSteps = () => {
+  return (config.sequence.steps || []).map(step => ({
+    id: step.id,
+    delayDays: step.delayDays,
+    template: step.template
+  }));
+};
+
+/**
+ * Load the persisted sequence state
+ * @returns {Promise<{leads: Object}>} - Sequence state, with one entry per lead keyed by normalized profile URL
+ */
+const loadSequenceState = async () => {
+  try {
+    if (await fs.pathExists(config.files.sequenceStateJson)) {
+      const state = await fs.readJson(config.files.sequenceStateJson);
+      return { leads: state.leads || {} };
+    }
+  } catch (error) {
+    logger.warn(`Error reading sequence state, starting fresh: ${error.message}`);
+  }
+  return { leads: {} };
+};
+
+/**
+ * Save the sequence state
+ * @param {Object} state - Sequence state
+ */
+const saveSequenceState = async (state) => {
+  await fs.ensureDir(path.dirname(config.files.sequenceStateJson));
+  await fs.writeJson(config.files.sequenceStateJson, state, { spaces: 2 });
+};
+
+/**
+ * Start a sequence for every profile whose initial message was sent but that has no sequence entry yet.
+ * This also picks up profiles messaged before sequences were configured. Unverified messages start one
+ * too, like check-replies looks for their replies, since they most likely went out.
+ * @param {Object} state - Sequence state
+ * @param {Map<string, Object>} latestStatuses - Latest initial log row by normalized URL, from getLatestStatuses
+ * @returns {number} - Number of leads added
+ */
+const syncSequenceLeads = (state, latestStatuses) => {
+  let added = 0;
+
+  latestStatuses.forEach((row, key) => {
+    if (!MESSAGED_STATUSES.includes(row.status) || state.leads[key]) {
+      return;
+    }
+
+    state.leads[key] = {
+      url: row.url,
+      name: (row.name || '').trim(),
+      variant: row.variant || '',
+      pageType: row.pageType || getPageType(row.finalUrl || row.url),
+      startedAt: row.timestamp,
+      lastSentAt: row.timestamp,
+      step: 0,
+      status: SEQUENCE_STATUS.ACTIVE,
+      conversationUrl: '',
+      history: [{ step: INITIAL_STEP, at: row.timestamp }]
+    };
+    added++;
+  });
+
+  return added;
+};
+
+/**
+ * Find the follow-up step a lead is due for.
+ * A step is due delayDays after the initial message, and never sooner after the previous
+ * step than the gap between the two steps, so leads that join late don't get every step at once.
+ * @param {Object} lead - Sequence entry of the lead
+ * @param {Array<Object>} steps - Steps from getSequenceSteps
+ * @param {Date} [now] - Current time
+ * @returns {{index: number, step: Object, dueAt: Date}|null} - The due step, or null if none is due
+ */
+const getDueStep = (lead, steps, now = new Date()) => {
+  if (lead.status !== SEQUENCE_STATUS.ACTIVE || lead.step >= steps.length) {
+    return null;
+  }
+
+  const index = lead.step;
+  const step = steps[index];
+  const previousDelay = index > 0 ? steps[index - 1].delayDays : 0;
+  const dueAt = new Date(Math.max(
+    new Date(lead.startedAt).getTime() + step.delayDays * DAY_MS,
+    new Date(lead.lastSentAt).getTime() + (step.delayDays - previousDelay) * DAY_MS
+  ));
+
+  return now >= dueAt ? { index, step, dueAt } : null;
+};
+
+/**
+ * Record that a follow-up step was sent, completing the sequence after the last step
+ * @param {Object} lead - Sequence entry of the lead
+ * @param {Object} step - The step that was sent
+ * @param {number} stepCount - Number of configured steps
+ * @param {Date} [now] - Current time
+ */
+const recordStepSent = (lead, step, stepCount, now = new Date()) => {
+  const at = now.toISOString();
+  lead.step++;
+  lead.lastSentAt = at;
+  lead.history.push({ step: step.id, at });
+
+  if (lead.step >= stepCount) {
+    lead.status = SEQUENCE_STATUS.COMPLETED;
+    lead.stoppedAt = at;
+  }
+};
+
+/**
+ * Stop a lead's sequence, e.g. because they replied
+ * @param {Object} lead - Sequence entry of the lead
+ * @param {string} status - One of SEQUENCE_STATUS
+ * @param {Date} [now] - Current time
+ */
+const stopSequence = (lead, status, now = new Date()) => {
+  lead.status = status;
+  lead.stoppedAt = now.toISOString();
+};
+
+module.exports = {
+  SEQUENCE_STATUS,
+  getSequenceSteps,
+  loadSequenceState,
+  saveSequenceState,
+  syncSequenceLeads,
+  getDueStep,
+  recordStepSent,
+  stopSequence
+};
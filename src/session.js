@@ -0,0 +1,251 @@
+const fs = require('fs-extra');
+const config = require('../config/config');
+const { accountCookieVar } = require('./config-loader');
+const { getActiveAccount } = require('./accounts');
+const { logger } = require('./logger');
+
+// Cookie that carries the LinkedIn session
+const SESSION_COOKIE = 'li_at';
+
+// sameSite values of browser extension exports, as Chrome names them
+const SAME_SITE = {
+  no_restriction: 'None',
+  none: 'None',
+  lax: 'Lax',
+  strict: 'Strict'
+};
+
+/**
+ * Check whether a cookie domain belongs to LinkedIn
+ * @param {string} domain - Cookie domain, e.g. .linkedin.com or www.linkedin.com
+ * @returns {boolean} - True for linkedin.com and its subdomains
+ */
+const isLinkedInDomain = (domain) => /(^|\.)linkedin\.com$/i.test(String(domain || '').replace(/^\./, ''));
+
+/**
+ * Convert one cookie of a JSON export. Accepts the format of browser extensions such as
+ * Cookie-Editor and EditThisCookie (expirationDate, hostOnly) and of Puppeteer and Playwright (expires).
+ * @param {Object} cookie - Exported cookie
+ * @returns {Object|null} - Cookie for page.setCookie, or null when it has no name
+ */
+const fromJsonCookie = (cookie) => {
+  if (!cookie || typeof cookie !== 'object' || !cookie.name) {
+    return null;
+  }
+  const expires = Number(cookie.expirationDate !== undefined ? cookie.expirationDate : cookie.expires);
+  const sameSite = SAME_SITE[String(cookie.sameSite || '').toLowerCase()];
+
+  return {
+    name: String(cookie.name),
+    value: String(cookie.value === undefined ? '' : cookie.value),
+    domain: String(cookie.domain || ''),
+    path: cookie.path || '/',
+    hostOnly: Boolean(cookie.hostOnly),
+    httpOnly: Boolean(cookie.httpOnly),
+    secure: Boolean(cookie.secure),
+    // Session cookies have no expiry, Puppeteer and Playwright write -1
+    ...(cookie.session || !Number.isFinite(expires) || expires <= 0 ? {} : { expires }),
+    ...(sameSite ? { sameSite } : {})
+  };
+};
+
+/**
+ * Convert one line of a Netscape cookies.txt file
+ * @param {string} line - Tab-separated line: domain, include subdomains, path, secure, expiry, name, value
+ * @returns {Object|null} - Cookie for page.setCookie, or null for comments and blank or malformed lines
+ */
+const fromNetscapeLine = (line) => {
+  // curl and most exporters mark HttpOnly cookies with a prefix on an otherwise commented-out line
+  const httpOnly = line.startsWith('#HttpOnly_');
+  const text = httpOnly ? line.slice('#HttpOnly_'.length) : line;
+  if (!text.trim() || text.startsWith('#')) {
+    return null;
+  }
+
+  const fields = text.replace(/\r$/, '').split('\t');
+  if (fields.length < 7) {
+    return null;
+  }
+  const [domain, includeSubdomains, cookiePath, secure, expiry, name, ...value] = fields;
+  const expires = Number(expiry);
+
+  return {
+    name,
+    value: value.join('\t'),
+    domain,
+    path: cookiePath || '/',
+    hostOnly: includeSubdomains.toUpperCase() !== 'TRUE' && !domain.startsWith('.'),
+    httpOnly,
+    secure: secure.toUpperCase() === 'TRUE',
+    ...(Number.isFinite(expires) && expires > 0 ? { expires } : {})
+  };
+};
+
+/**
+ * Parse a cookie export of a logged-in browser
+ * @param {string} text - JSON (an array of cookies, or an object with a cookies array) or a Netscape cookies.txt file
+ * @returns {Array<Object>} - Cookies with name, value, domain, path, hostOnly, httpOnly, secure and, when set, expires and sameSite
+ * @throws {Error} - When the text is neither format
+ */
+const parseCookieExport = (text) => {
+  const content = String(text || '').replace(/^\uFEFF/, '').trim();
+
+  if (content.startsWith('[') || content.startsWith('{')) {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+    const cookies = Array.isArray(data) ? data : data.cookies;
+    if (!Array.isArray(cookies)) {
+      throw new Error('Expected a JSON array of cookies, or an object with a "cookies" array');
+    }
+    return cookies.map(fromJsonCookie).filter(Boolean);
+  }
+
+  const cookies = content.split('\n').map(fromNetscapeLine).filter(Boolean);
+  if (cookies.length === 0 && content) {
+    throw new Error('Not a JSON cookie export or a Netscape cookies.txt file');
+  }
+  return cookies;
+};
+
+/**
+ * Read the LinkedIn cookies of a cookie export. Other sites' cookies and expired cookies are left out.
+ * @param {string} filePath - Exported JSON or cookies.txt file
+ * @param {Date} [now] - Current time
+ * @returns {Promise<{cookies: Array<Object>, expiredSession: Date|null}>} - LinkedIn cookies, and the expiry
+ *   date of the li_at cookie when it has already expired
+ * @throws {Error} - When the file is missing or can't be parsed
+ */
+const readCookieExport = async (filePath, now = new Date()) => {
+  if (!await fs.pathExists(filePath)) {
+    throw new Error(`Cookie file not found: ${filePath}`);
+  }
+
+  let cookies;
+  try {
+    cookies = parseCookieExport(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read cookies from ${filePath}: ${error.message}`);
+  }
+
+  const nowSeconds = now.getTime() / 1000;
+  let expiredSession = null;
+  const valid = cookies.filter(cookie => {
+    if (!isLinkedInDomain(cookie.domain)) {
+      return false;
+    }
+    if (cookie.expires !== undefined && cookie.expires < nowSeconds) {
+      if (cookie.name === SESSION_COOKIE) {
+        expiredSession = new Date(cookie.expires * 1000);
+      }
+      return false;
+    }
+    return true;
+  });
+
+  return { cookies: valid, expiredSession };
+};
+
+/**
+ * Place cookies on the configured base URL. LinkedIn cookies keep their domains; on the
+ * fixture server or another test host they are set for its origin instead.
+ * @param {Array<Object>} cookies - Cookies from readCookieExport
+ * @param {string} baseUrl - linkedin.baseUrl
+ * @returns {Array<Object>} - Cookies for page.setCookie
+ */
+const cookiesForSite = (cookies, baseUrl) => {
+  const { hostname, origin } = new URL(baseUrl);
+  const onLinkedIn = isLinkedInDomain(hostname);
+
+  return cookies.map(({ hostOnly, domain, sameSite, ...cookie }) => {
+    if (!onLinkedIn) {
+      // Chrome drops SameSite=None cookies that aren't secure, and the test host is plain http
+      return { ...cookie, url: origin, secure: false };
+    }
+    const withSameSite = sameSite ? { ...cookie, sameSite } : cookie;
+    // A domain makes Chrome set a cookie for every subdomain, so host-only cookies are set by URL
+    return hostOnly
+      ? { ...withSameSite, url: `https://${domain.replace(/^\./, '')}${cookie.path || '/'}` }
+      : { ...withSameSite, domain };
+  });
+};
+
+/**
+ * Describe the account the run uses, for messages to the operator
+ * @returns {{label: string, accountFlag: string, cookieVar: string}} - e.g. "account sales-1",
+ *   " --account sales-1" and LI_AT_SALES_1
+ */
+const describeAccount = () => {
+  const account = getActiveAccount();
+  if (!account || config.accounts.length === 0) {
+    return { label: 'your account', accountFlag: '', cookieVar: 'LI_AT' };
+  }
+  const name = account.senderName ? ` (${account.senderName})` : '';
+  return { label: `account ${account.id}${name}`, accountFlag: ` --account ${account.id}`, cookieVar: accountCookieVar(account.id) };
+};
+
+/**
+ * Build the steps that refresh a LinkedIn session
+ * @param {string} reason - 'expired' when the session is missing, expired or signed out,
+ *   'checkpoint' when LinkedIn shows a security check
+ * @returns {{summary: string, steps: Array<string>}} - What is wrong, and what to do about it
+ */
+const sessionRefreshSteps = (reason) => {
+  const { label, accountFlag, cookieVar } = describeAccount();
+  const profileDir = config.browser.userDataDir;
+  const manualLogin = `node src/index.js session --no-headless${accountFlag}`;
+
+  if (reason === 'checkpoint') {
+    return {
+      summary: `LinkedIn is asking ${label} to pass a security check (checkpoint or CAPTCHA)`,
+      steps: profileDir
+        ? [
+          `Run: ${manualLogin}`,
+          `Complete the check in the browser window that opens and wait for the feed to load. ` +
+            `The session is then saved in ${profileDir} for the next runs`,
+          'Start the campaign again'
+        ]
+        : [
+          `Log in to LinkedIn in your usual browser with ${label} and complete the check there`,
+          `Copy the new li_at cookie into ${cookieVar}= in .env, or export the cookies and pass the file with --cookies`,
+          'Start the campaign again'
+        ]
+    };
+  }
+
+  return {
+    summary: `The LinkedIn session of ${label} is missing, expired or was signed out`,
+    steps: [
+      `Log in to LinkedIn in your usual browser with ${label}`,
+      `Export its cookies as JSON (e.g. with the Cookie-Editor extension) or as cookies.txt, then run: ` +
+        `node src/index.js session --cookies <file>${accountFlag}`,
+      `Or copy the value of the li_at cookie into ${cookieVar}= in .env ` +
+        '(see "How to Get Your LinkedIn Session Cookie" in the README)',
+      ...(profileDir ? [`Or log in by hand in the script's browser: ${manualLogin}`] : []),
+      'Start the campaign again'
+    ]
+  };
+};
+
+/**
+ * Log what is wrong with the session and how to refresh it
+ * @param {string} reason - See sessionRefreshSteps
+ */
+const logSessionRefreshSteps = (reason) => {
+  const { summary, steps } = sessionRefreshSteps(reason);
+  logger.error(summary, { sessionProblem: reason });
+  logger.info('To refresh the session:');
+  steps.forEach((step, index) => logger.info(`  ${index + 1}. ${step}`));
+};
+
+module.exports = {
+  SESSION_COOKIE,
+  parseCookieExport,
+  readCookieExport,
+  cookiesForSite,
+  sessionRefreshSteps,
+  logSessionRefreshSteps
+};
@@ -0,0 +1,281 @@
+/**
+ * Message template engine
+ *
+ * Supported syntax:
+ *   {{firstName}}                    - variable
+ *   {{firstName|there}}              - variable with a fallback when empty
+ *   {{company|lowercase}}            - filters: capitalize, lowercase, uppercase, firstword
+ *   {{#if company}}...{{else}}...{{/if}} - conditional block
+ *   {Hi|Hello|Hey}                   - spintax, one option is picked per message
+ */
+
+// Filters that can be chained after a variable name
+const FILTERS = {
+  capitalize: value => value.charAt(0).toUpperCase() + value.slice(1),
+  lowercase: value => value.toLowerCase(),
+  uppercase: value => value.toUpperCase(),
+  firstword: value => value.trim().split(/\s+/)[0] || ''
+};
+
+const TAG_PATTERN = /\{\{\s*([\s\S]*?)\s*\}\}/g;
+
+/**
+ * Create a seeded random number generator so the same seed always picks the same spintax options
+ * @param {string} [seed] - Seed string, Math.random is used when omitted
+ * @returns {Function} - Function returning a number in [0, 1)
+ */
+const createRandom = (seed) => {
+  if (seed === undefined || seed === null) {
+    return Math.random;
+  }
+
+  // FNV-1a hash of the seed, then mulberry32
+  let state = 2166136261;
+  for (const char of String(seed)) {
+    state = Math.imul(state ^ char.charCodeAt(0), 16777619);
+  }
+
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Find the index of the brace closing the spintax group opened at `start`
+ * @param {string} text - Template text
+ * @param {number} start - Index of the opening brace
+ * @returns {number} - Index of the closing brace, or -1
+ */
+const findSpintaxEnd = (text, start) => {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    if (text.startsWith('{{', i)) {
+      const tagEnd = text.indexOf('}}', i + 2);
+      if (tagEnd === -1) {
+        return -1;
+      }
+      i = tagEnd + 1;
+    } else if (text[i] === '{') {
+      depth++;
+    } else if (text[i] === '}') {
+      depth--;
+      if (depth === 0) {
+        return i;
+      }
+    }
+  }
+  return -1;
+};
+
+/**
+ * Split the body of a spintax group on its top-level pipes
+ * @param {string} body - Text between the braces
+ * @returns {Array<string>} - Options
+ */
+const splitSpintaxOptions = (body) => {
+  const options = [];
+  let depth = 0;
+  let current = '';
+
+  for (let i = 0; i < body.length; i++) {
+    if (body.startsWith('{{', i)) {
+      const tagEnd = body.indexOf('}}', i + 2);
+      const end = tagEnd === -1 ? body.length : tagEnd + 2;
+      current += body.slice(i, end);
+      i = end - 1;
+      continue;
+    }
+
+    const char = body[i];
+    if (char === '{') depth++;
+    if (char === '}') depth--;
+
+    if (char === '|' && depth === 0) {
+      options.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  options.push(current);
+  return options;
+};
+
+/**
+ * Resolve spintax groups, leaving {{tags}} untouched
+ * @param {string} text - Template text
+ * @param {Function} random - Random number generator
+ * @returns {string} - Text with one option picked for every group
+ */
+const expandSpintax = (text, random) => {
+  let result = '';
+  let i = 0;
+
+  while (i < text.length) {
+    if (text.startsWith('{{', i)) {
+      const tagEnd = text.indexOf('}}', i + 2);
+      const end = tagEnd === -1 ? text.length : tagEnd + 2;
+      result += text.slice(i, end);
+      i = end;
+    } else if (text[i] === '{') {
+      const end = findSpintaxEnd(text, i);
+      const options = end === -1 ? [] : splitSpintaxOptions(text.slice(i + 1, end));
+
+      // A single brace without a pipe is just a literal brace
+      if (options.length < 2) {
+        result += text[i];
+        i++;
+        continue;
+      }
+
+      const choice = options[Math.floor(random() * options.length)];
+      result += expandSpintax(choice, random);
+      i = end + 1;
+    } else {
+      result += text[i];
+      i++;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Parse a template into a tree of text, variable and conditional nodes
+ * @param {string} template - Template text with spintax already expanded
+ * @returns {Array} - Parsed nodes
+ */
+const parseTemplate = (template) => {
+  const root = { children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+  let match;
+
+  const current = () => {
+    const node = stack[stack.length - 1];
+    return node.inElse ? node.otherwise : node.children;
+  };
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(template)) !== null) {
+    if (match.index > lastIndex) {
+      current().push({ type: 'text', value: template.slice(lastIndex, match.index) });
+    }
+    lastIndex = TAG_PATTERN.lastIndex;
+
+    const tag = match[1];
+    const ifMatch = tag.match(/^#if\s+(\S+)$/);
+
+    if (ifMatch) {
+      const node = { type: 'if', name: ifMatch[1], children: [], otherwise: [], inElse: false };
+      current().push(node);
+      stack.push(node);
+    } else if (tag === 'else') {
+      if (stack.length === 1) {
+        throw new Error('Template has {{else}} outside of an {{#if}} block');
+      }
+      stack[stack.length - 1].inElse = true;
+    } else if (tag === '/if') {
+      if (stack.length === 1) {
+        throw new Error('Template has {{/if}} without a matching {{#if}}');
+      }
+      stack.pop();
+    } else {
+      const [name, ...modifiers] = tag.split('|');
+      const filters = [];
+      let fallback;
+
+      modifiers.forEach(modifier => {
+        const filterName = modifier.trim().toLowerCase();
+        if (FILTERS[filterName]) {
+          filters.push(FILTERS[filterName]);
+        } else {
+          fallback = modifier.trim();
+        }
+      });
+
+      current().push({ type: 'variable', name: name.trim(), filters, fallback });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Template has an unclosed {{#if ${stack[stack.length - 1].name}}} block`);
+  }
+
+  if (lastIndex < template.length) {
+    current().push({ type: 'text', value: template.slice(lastIndex) });
+  }
+
+  return root.children;
+};
+
+/**
+ * Get a trimmed string value for a template variable
+ * @param {Object} data - Template data
+ * @param {string} name - Variable name
+ * @returns {string} - Value, or an empty string if missing
+ */
+const lookup = (data, name) => {
+  const value = data[name];
+  return value === undefined || value === null ? '' : String(value).trim();
+};
+
+/**
+ * Evaluate parsed template nodes
+ * @param {Array} nodes - Parsed nodes
+ * @param {Object} data - Template data
+ * @param {Set<string>} unresolved - Collects variables that had no value and no fallback
+ * @returns {string} - Rendered text
+ */
+const evaluate = (nodes, data, unresolved) => {
+  return nodes.map(node => {
+    if (node.type === 'text') {
+      return node.value;
+    }
+
+    if (node.type === 'if') {
+      return evaluate(lookup(data, node.name) ? node.children : node.otherwise, data, unresolved);
+    }
+
+    const value = node.filters.reduce((result, filter) => filter(result), lookup(data, node.name));
+    if (value) {
+      return value;
+    }
+
+    if (node.fallback !== undefined) {
+      return node.fallback;
+    }
+
+    unresolved.add(node.name);
+    return '';
+  }).join('');
+};
+
+/**
+ * Render a message template
+ * @param {string} template - Template text
+ * @param {Object} data - Values for the template variables
+ * @param {Object} [options]
+ * @param {string} [options.seed] - Seed for spintax, so the same seed always renders the same text
+ * @returns {{text: string, unresolved: Array<string>}} - Rendered text and any unresolved variables
+ */
+const renderTemplate = (template, data, options = {}) => {
+  const expanded = expandSpintax(template || '', createRandom(options.seed));
+  const unresolved = new Set();
+  const text = evaluate(parseTemplate(expanded), data || {}, unresolved);
+
+  return {
+    text,
+    unresolved: Array.from(unresolved)
+  };
+};
+
+module.exports = {
+  renderTemplate,
+  createRandom,
+  FILTERS
+};
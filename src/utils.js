@@ -1,7 +1,11 @@
 const fs = require('fs-extra');
 const csv = require('csv-parser');
-const createCsvWriter = require('csv-writer').createObjectCsvWriter;
 const config = require('../config/config');
+const { renderTemplate } = require('./template');
+const { appendSentLogRow, appendInvitationRow, hashMessage, INITIAL_STEP } = require('./sent-log');
+const { getPageType } = require('./profile-url');
+const { getActiveAccount } = require('./accounts');
+const { logger } = require('./logger');
 
 /**
  * Sleep for a random duration between min and max milliseconds
@@ -23,7 +27,7 @@ const loadProfiles = async () => {
     await fs.ensureDir('./data');
     // Check if file exists
     if (!await fs.pathExists(config.files.profilesCsv)) {
-      console.log(`Profiles CSV file not found: ${config.files.profilesCsv}`);
+      logger.warn(`Profiles CSV file not found: ${config.files.profilesCsv}`);
       return [];
     }
 
@@ -33,13 +37,13 @@ const loadProfiles = async () => {
         .pipe(csv())
         .on('data', (data) => results.push(data))
         .on('end', () => {
-          console.log(`Loaded ${results.length} profiles from CSV`);
+          logger.debug(`Loaded ${results.length} profiles from CSV`);
           resolve(results);
         })
         .on('error', (error) => reject(error));
     });
   } catch (error) {
-    console.error('Error loading profiles:', error);
+    logger.error(`Error loading profiles: ${error.message}`, { error });
     return [];
   }
 };
@@ -47,53 +51,92 @@ const loadProfiles = async () => {
 /**
  * Log a sent message to CSV
  * @param {Object} profile - The profile data
- * @param {string} status - Status of the message (success/failed)
+ * @param {string} status - Status of the message (success/unverified/skipped/review/failed)
  * @param {string} [error] - Optional error message
+ * @param {Object} [details] - Optional extra columns
+ * @param {string} [details.variant] - ID of the template variant that was used
+ * @param {string} [details.message] - Rendered message, stored in full or only as a hash (sentLog.messageText)
+ * @param {string} [details.openMethod] - Strategy that opened the composer
+ * @param {string} [details.sendMethod] - How the send button was found
+ * @param {number} [details.durationMs] - How long the attempt took
+ * @param {string} [details.finalUrl] - URL of the page when the attempt ended
+ * @param {string} [details.step] - Sequence step, defaults to the initial message
+ * @param {string} [details.existingConversation] - Policy applied to an earlier conversation with the profile
  */
-const logMessage = async (profile, status, error = '') => {
+const logMessage = async (profile, status, error = '', details = {}) => {
   try {
-    await fs.ensureDir('./logs');
-    
-    const csvWriter = createCsvWriter({
-      path: config.files.logsCsv,
-      header: [
-        { id: 'url', title: 'Profile URL' },
-        { id: 'name', title: 'Name' },
-        { id: 'timestamp', title: 'Timestamp' },
-        { id: 'status', title: 'Status' },
-        { id: 'error', title: 'Error' }
-      ],
-      append: await fs.pathExists(config.files.logsCsv)
+    await appendSentLogRow({
+      url: profile.url,
+      name: profile.firstName + ' ' + (profile.lastName || ''),
+      timestamp: new Date().toISOString(),
+      status,
+      error,
+      variant: details.variant || '',
+      messageHash: hashMessage(details.message),
+      message: config.sentLog.messageText === 'full' ? details.message || '' : '',
+      pageType: getPageType(details.finalUrl),
+      openMethod: details.openMethod || '',
+      sendMethod: details.sendMethod || '',
+      durationMs: details.durationMs === undefined ? '' : details.durationMs,
+      finalUrl: details.finalUrl || '',
+      step: details.step || INITIAL_STEP,
+      existingConversation: details.existingConversation || '',
+      account: getActiveAccount() ? getActiveAccount().id : ''
     });
     
-    await csvWriter.writeRecords([{
+    logger.debug(`Logged message to ${profile.firstName} with status: ${status}`, { status, error });
+  } catch (error) {
+    logger.error(`Error logging message: ${error.message}`, { error });
+  }
+};
+
+/**
+ * Log a connection invitation to the invitations CSV
+ * @param {Object} profile - The profile data
+ * @param {string} status - success (sent), pending (already waiting), review (no confident Sales Navigator match) or failed
+ * @param {string} [error] - Optional error message
+ * @param {Object} [details] - Optional extra columns
+ * @param {string} [details.note] - Rendered note, stored in full or only as a hash (sentLog.messageText)
+ * @param {string} [details.connectMethod] - How the Connect button was found
+ * @param {string} [details.sendMethod] - How the send button was found
+ * @param {number} [details.durationMs] - How long the attempt took
+ * @param {string} [details.finalUrl] - URL of the page when the attempt ended
+ */
+const logInvitation = async (profile, status, error = '', details = {}) => {
+  try {
+    await appendInvitationRow({
       url: profile.url,
       name: profile.firstName + ' ' + (profile.lastName || ''),
       timestamp: new Date().toISOString(),
       status,
-      error
-    }]);
+      error,
+      noteHash: hashMessage(details.note),
+      note: config.sentLog.messageText === 'full' ? details.note || '' : '',
+      noteLength: details.note ? details.note.length : 0,
+      pageType: getPageType(details.finalUrl),
+      connectMethod: details.connectMethod || '',
+      sendMethod: details.sendMethod || '',
+      durationMs: details.durationMs === undefined ? '' : details.durationMs,
+      finalUrl: details.finalUrl || '',
+      account: getActiveAccount() ? getActiveAccount().id : ''
+    });
     
-    console.log(`Logged message to ${profile.firstName} with status: ${status}`);
+    logger.debug(`Logged invitation to ${profile.firstName} with status: ${status}`, { status, error });
   } catch (error) {
-    console.error('Error logging message:', error);
+    logger.error(`Error logging invitation: ${error.message}`, { error });
   }
 };
 
 /**
- * Format the message template with profile data
- * @param {Object} profile - The profile data  
- * @returns {string} - Formatted message
+ * Render a message template with profile data. {{senderName}} is the name of the sending account,
+ * unless the CSV has a senderName column.
+ * @param {Object} profile - The profile data
+ * @param {string} [template] - Template to render, defaults to the configured message template
+ * @returns {{text: string, unresolved: Array<string>}} - Rendered message and unresolved placeholders
  */
-const formatMessage = (profile) => {
-  let message = config.messaging.messageTemplate;
-  
-  // Replace all template variables with profile data
-  Object.keys(profile).forEach(key => {
-    message = message.replace(new RegExp(`{{${key}}}`, 'g'), profile[key] || '');
-  });
-  
-  return message;
+const renderMessage = (profile, template = config.messaging.messageTemplate) => {
+  // Seed spintax with the profile URL so previews and re-runs pick the same wording
+  return renderTemplate(template, { senderName: config.messaging.senderName || '', ...profile }, { seed: profile.url });
 };
 
 /**
@@ -127,6 +170,7 @@ module.exports = {
   randomSleep,
   loadProfiles,
   logMessage,
-  formatMessage,
+  logInvitation,
+  renderMessage,
   extractSearchableNameFromUrl
 };
\ No newline at end of file
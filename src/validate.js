@@ -0,0 +1,39 @@
+const fs = require('fs-extra');
+const config = require('../config/config');
+const { loadProfiles } = require('./utils');
+const { validateConfig } = require('./config-schema');
+const { validateProfiles, printValidationReport } = require('./profile-validator');
+
+/**
+ * Check the configuration, profiles CSV and templates without launching the browser
+ * @returns {Promise<number>} - Process exit code, 1 if there are errors
+ */
+const runValidate = async () => {
+  const configErrors = validateConfig(config);
+  configErrors.forEach(error => console.error(`Config error: ${error}`));
+
+  // validate never logs in, so a missing session only matters for the commands run after it
+  validateConfig(config, { requireSession: true })
+    .filter(error => !configErrors.includes(error))
+    .forEach(warning => console.warn(`Config warning: ${warning}`));
+
+  if (!await fs.pathExists(config.files.profilesCsv)) {
+    console.error(`Profiles CSV not found: ${config.files.profilesCsv}`);
+    return 1;
+  }
+
+  const profiles = await loadProfiles();
+  if (profiles.length === 0) {
+    console.error(`No profiles found in ${config.files.profilesCsv}`);
+    return 1;
+  }
+
+  const result = validateProfiles(profiles);
+  printValidationReport(result);
+
+  return configErrors.length > 0 || result.errorCount > 0 ? 1 : 0;
+};
+
+module.exports = {
+  runValidate
+};
@@ -0,0 +1,49 @@
+const config = require('../config/config');
+const { createRandom } = require('./template');
+const { normalizeProfileUrl } = require('./profile-url');
+
+/**
+ * Get the configured template variants
+ * @returns {Array<{id: string, weight: number, template: string}>} - Variants, or a single
+ *   "default" variant built from messageTemplate when none are configured
+ */
+const getVariants = () => {
+  const variants = config.messaging.variants || [];
+
+  if (variants.length === 0) {
+    return [{ id: 'default', weight: 1, template: config.messaging.messageTemplate }];
+  }
+
+  return variants.map(variant => ({
+    id: variant.id,
+    weight: variant.weight === undefined ? 1 : variant.weight,
+    template: variant.template
+  }));
+};
+
+/**
+ * Assign a variant to a profile. The choice is derived from the profile URL,
+ * so the same profile gets the same variant on every run as long as the
+ * variant list does not change.
+ * @param {Object} profile - The profile data
+ * @returns {{id: string, weight: number, template: string}} - Assigned variant
+ */
+const assignVariant = (profile) => {
+  const variants = getVariants().filter(variant => variant.weight > 0);
+  const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+
+  let point = createRandom(`variant:${normalizeProfileUrl(profile.url)}`)() * totalWeight;
+  for (const variant of variants) {
+    if (point < variant.weight) {
+      return variant;
+    }
+    point -= variant.weight;
+  }
+
+  return variants[variants.length - 1];
+};
+
+module.exports = {
+  getVariants,
+  assignVariant
+};
@@ -0,0 +1,67 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const config = require('../config/config');
+const { cleanupArtifacts } = require('../src/artifacts');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const OLD = new Date('2026-09-01T12:00:00Z');
+
+describe('cleanupArtifacts', () => {
+  let dir;
+
+  /**
+   * Create a file or folder with an old modification time
+   * @param {string} relativePath - Path inside the test folder
+   * @param {boolean} [isDir] - Create a folder instead of a file
+   * @returns {Promise<string>} - Full path
+   */
+  const createOld = async (relativePath, isDir = false) => {
+    const fullPath = path.join(dir, relativePath);
+    if (isDir) {
+      await fs.ensureDir(fullPath);
+    } else {
+      await fs.outputFile(fullPath, '{}\n');
+    }
+    await fs.utimes(fullPath, OLD, OLD);
+    return fullPath;
+  };
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'linkedin-artifacts-test-'));
+    // Artifacts and run logs share a folder that also holds the user's own files
+    config.artifacts.dir = dir;
+    config.files.runLogDir = dir;
+    config.artifacts.retentionDays = 14;
+  });
+
+  after(async () => {
+    await fs.remove(dir);
+  });
+
+  it('deletes only old run folders and run logs', async () => {
+    const oldRun = await createOld('20260901-120000-3fa2', true);
+    const oldLog = await createOld('20260901-120000-3fa2.jsonl');
+    const newRun = path.join(dir, '20261019-110000-beef');
+    await fs.ensureDir(newRun);
+    const userFolder = await createOld('campaign-notes', true);
+    const userLog = await createOld('exports.jsonl');
+    const lookalike = await createOld('20260901-120000-3fa2-backup', true);
+
+    assert.strictEqual(await cleanupArtifacts(NOW), 2);
+    assert.strictEqual(await fs.pathExists(oldRun), false);
+    assert.strictEqual(await fs.pathExists(oldLog), false);
+    for (const kept of [newRun, userFolder, userLog, lookalike]) {
+      assert.strictEqual(await fs.pathExists(kept), true, kept);
+    }
+  });
+
+  it('keeps everything without a retention period', async () => {
+    const oldRun = await createOld('20260902-120000-0a0b', true);
+    config.artifacts.retentionDays = null;
+    assert.strictEqual(await cleanupArtifacts(NOW), 0);
+    assert.strictEqual(await fs.pathExists(oldRun), true);
+  });
+});
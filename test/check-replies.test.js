@@ -0,0 +1,38 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { buildLeadIndex, mayBeLead, matchLead, findReply } = require('../src/check-replies');
+
+const LEADS = [
+  { url: 'https://www.linkedin.com/in/jane-doe', name: 'Jane', timestamp: '2026-10-01T10:00:00.000Z' },
+  { url: 'https://www.linkedin.com/in/robert-smith', name: 'Robert Smith', timestamp: '2026-10-01T10:00:00.000Z' },
+  { url: 'https://www.linkedin.com/in/zoe-nunez', name: 'Zoë Núñez', finalUrl: 'https://www.linkedin.com/sales/lead/ACwAAA333,NAME_SEARCH' }
+];
+
+describe('matching conversations to messaged leads', () => {
+  const index = buildLeadIndex(LEADS);
+
+  it('opens conversations whose name shares a word with a lead', () => {
+    assert.strictEqual(mayBeLead(index, 'Jane Doe'), true);
+    assert.strictEqual(mayBeLead(index, 'Bob Smith, MBA'), true);
+    assert.strictEqual(mayBeLead(index, 'Zoe Nunez'), true);
+    assert.strictEqual(mayBeLead(index, 'J. R. Tolkien'), false);
+    assert.strictEqual(mayBeLead(index, 'Ann Lee'), false);
+  });
+
+  it('matches an opened conversation by the profile link, then by the exact name', () => {
+    assert.strictEqual(matchLead(index, { name: 'Jane Doe', participantUrl: 'https://www.linkedin.com/in/Jane-Doe/' }), LEADS[0]);
+    assert.strictEqual(matchLead(index, { name: 'Zoe Nunez', participantUrl: 'http://127.0.0.1:3000/sales/lead/ACwAAA333' }), LEADS[2]);
+    assert.strictEqual(matchLead(index, { name: 'Robert Smith', participantUrl: '' }), LEADS[1]);
+    assert.strictEqual(matchLead(index, { name: 'Jane Roe', participantUrl: 'https://www.linkedin.com/in/jane-roe' }), null);
+  });
+
+  it('finds the first reply after our message', () => {
+    const messages = [
+      { incoming: true, text: 'Old hello', time: '2026-09-01T10:00:00.000Z' },
+      { incoming: false, text: 'Hi Jane', time: '2026-10-01T10:00:00.000Z' },
+      { incoming: true, text: 'Sounds good', time: '2026-10-02T09:00:00.000Z' }
+    ];
+    assert.strictEqual(findReply(messages, '2026-10-01T10:00:00.000Z').text, 'Sounds good');
+    assert.strictEqual(findReply(messages.slice(0, 2), '2026-10-01T10:00:00.000Z'), null);
+  });
+});
@@ -0,0 +1,52 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const config = require('../config/config');
+const { getResumeIndex } = require('../src/checkpoint');
+
+const PROFILES = [
+  { url: 'https://www.linkedin.com/in/a' },
+  { url: 'https://www.linkedin.com/in/b' },
+  { url: 'https://www.linkedin.com/in/c' }
+];
+
+/**
+ * Build a checkpoint of a send run over the configured profiles CSV
+ * @param {Object} [fields] - Fields to change
+ * @returns {Object} - Checkpoint
+ */
+const checkpointAt = (fields = {}) => ({
+  profilesCsv: config.files.profilesCsv,
+  mode: 'send',
+  lastIndex: 1,
+  url: 'https://www.linkedin.com/in/b',
+  ...fields
+});
+
+describe('getResumeIndex', () => {
+  it('starts from the beginning without a checkpoint', () => {
+    assert.strictEqual(getResumeIndex(null, PROFILES, 'send'), 0);
+  });
+
+  it('continues after the last profile of the checkpoint', () => {
+    assert.strictEqual(getResumeIndex(checkpointAt(), PROFILES, 'send'), 2);
+  });
+
+  it('ignores a checkpoint of another mode or profiles CSV', () => {
+    assert.strictEqual(getResumeIndex(checkpointAt({ mode: 'retry-failed' }), PROFILES, 'send'), 0);
+    assert.strictEqual(getResumeIndex(checkpointAt({ profilesCsv: './other.csv' }), PROFILES, 'send'), 0);
+  });
+
+  it('finds the profile by URL when rows were added or removed', () => {
+    const edited = [{ url: 'https://www.linkedin.com/in/new' }, ...PROFILES];
+    assert.strictEqual(getResumeIndex(checkpointAt(), edited, 'send'), 3);
+    assert.strictEqual(getResumeIndex(checkpointAt(), PROFILES.slice(1), 'send'), 1);
+  });
+
+  it('starts from the beginning when the profile was removed', () => {
+    assert.strictEqual(getResumeIndex(checkpointAt({ url: 'https://www.linkedin.com/in/gone' }), PROFILES, 'send'), 0);
+  });
+
+  it('returns the end of the list when the last profile was done', () => {
+    assert.strictEqual(getResumeIndex(checkpointAt({ lastIndex: 2, url: 'https://www.linkedin.com/in/c' }), PROFILES, 'send'), 3);
+  });
+});
@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../src/config-loader');
+const { validateConfig } = require('../src/config-schema');
+
+/**
+ * Load the default configuration, without .env or environment variables
+ * @param {Function} [edit] - Changes the loaded configuration
+ * @returns {Object} - Configuration
+ */
+const configWith = (edit = () => {}) => {
+  const config = loadConfig({ envFile: path.join(os.tmpdir(), 'no-such.env'), env: {} });
+  // No browser profile kept from an earlier run
+  config.files.browserProfilesDir = path.join(os.tmpdir(), 'no-such-browser-profiles');
+  edit(config);
+  return config;
+};
+
+describe('validateConfig', () => {
+  it('accepts the defaults', () => {
+    assert.deepStrictEqual(validateConfig(configWith()), []);
+  });
+
+  it('checks types, ranges and allowed values', () => {
+    const errors = validateConfig(configWith(config => {
+      config.messaging.maxMessages = 0;
+      config.messaging.delayMin = 2.5;
+      config.salesNavMatching.minConfidence = 1.5;
+      config.artifacts.screenshots = 'sometimes';
+      config.files.logsCsv = '';
+      config.messaging.useSalesNav = 'yes';
+    }));
+    assert.deepStrictEqual(errors, [
+      'messaging.maxMessages must be at least 1 (got 0)',
+      'messaging.delayMin must be an integer (got 2.5)',
+      'messaging.useSalesNav must be a boolean (got "yes")',
+      'salesNavMatching.minConfidence must be between 0 and 1 (got 1.5)',
+      'files.logsCsv is required',
+      'artifacts.screenshots must be one of off, on-failure, always (got "sometimes")'
+    ]);
+  });
+
+  it('checks values that depend on each other', () => {
+    const errors = validateConfig(configWith(config => {
+      config.messaging.delayMin = 60;
+      config.messaging.delayMax = 30;
+      config.existingConversation.policy = 'followup';
+      config.existingConversation.template = ' ';
+      config.connect.maxNoteLength = 500;
+    }));
+    assert.deepStrictEqual(errors, [
+      'messaging.delayMin (60) must not be greater than messaging.delayMax (30)',
+      'connect.maxNoteLength must not be over LinkedIn\'s limit of 300 (got 500)',
+      'existingConversation.template is empty - it is required by the followup policy'
+    ]);
+  });
+
+  it('checks variants, sequence steps and accounts', () => {
+    const errors = validateConfig(configWith(config => {
+      config.messaging.variants = [{ id: 'a', template: 'Hi' }, { id: 'a', template: '' }];
+      config.sequence.steps = [{ id: 'initial', delayDays: 3, template: 'Hi' }, { id: 'b', delayDays: 2, template: 'Hi' }];
+      config.accounts = [{ id: 'sales 1' }];
+    }));
+    assert.deepStrictEqual(errors, [
+      'messaging.variants[1].id "a" is used by more than one variant',
+      'messaging.variants[1].template is empty',
+      'sequence.steps[0].id "initial" is reserved for the first message',
+      'sequence.steps[1].delayDays must be a whole number of days greater than 3',
+      'accounts[0].id "sales 1" may only contain letters, digits, - and _'
+    ]);
+  });
+
+  it('requires a session only for commands that log in', () => {
+    const config = configWith();
+    assert.deepStrictEqual(validateConfig(config), []);
+    assert.match(validateConfig(config, { requireSession: true })[0], /^linkedinCookies\.li_at is not set/);
+
+    config.linkedinCookies.li_at = 'AQEDAtoken';
+    assert.deepStrictEqual(validateConfig(config, { requireSession: true }), []);
+  });
+
+  it('requires a session for the account the run uses', () => {
+    const config = configWith(config => {
+      config.accounts = [{ id: 'sales-1', li_at: 'AQEDAtoken' }, { id: 'sales-2' }];
+    });
+    assert.deepStrictEqual(validateConfig(config, { requireSession: true, accountId: 'sales-1' }), []);
+    assert.match(validateConfig(config, { requireSession: true })[0], /^accounts\[1\] has no session - add LI_AT_SALES_2=/);
+  });
+});
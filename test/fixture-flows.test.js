@@ -0,0 +1,137 @@
+// End-to-end flows against the fixture server: login, finding a regular profile through
+// Sales Navigator and sending a message, plus the CAPTCHA, checkpoint and logged-out session states.
+// Needs Chrome or Chromium (see the Browser section of the README); skipped when none is found.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const config = require('../config/config');
+const utils = require('../src/utils');
+const { startFixtureServer } = require('../fixtures/server');
+const { findBrowserExecutable } = require('../src/browser');
+
+// The fixture pages load instantly, so the human-like pauses are cut down. This has to happen
+// before the client is loaded, since it keeps its own reference to randomSleep.
+const randomSleep = utils.randomSleep;
+utils.randomSleep = (min, max) => randomSleep(Math.min(min, 200), Math.min(max, 300));
+const LinkedInClient = require('../src/linkedin-client');
+
+// Longest a single flow may take
+const FLOW_TIMEOUT_MS = 120000;
+
+/**
+ * Work out why the flows can't run here
+ * @returns {string|false} - Reason to skip, or false when a browser was found
+ */
+const skipReason = () => {
+  try {
+    findBrowserExecutable();
+    return false;
+  } catch (error) {
+    return error.message.split('\n')[0].replace(/\s*Looked in:$/, '');
+  }
+};
+
+describe('fixture server flows', { skip: skipReason(), timeout: FLOW_TIMEOUT_MS * 6 }, () => {
+  let fixture;
+  let tempDir;
+  const clients = [];
+
+  /**
+   * Start a browser and log in
+   * @returns {Promise<{client: LinkedInClient, loggedIn: boolean}>} - Client, and the result of login()
+   */
+  const startClient = async () => {
+    const client = new LinkedInClient();
+    clients.push(client);
+    assert.ok(await client.initialize(), 'the browser starts');
+    return { client, loggedIn: await client.login({ explain: false }) };
+  };
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'linkedin-fixture-test-'));
+    fixture = await startFixtureServer({ port: 0 });
+
+    config.linkedin.baseUrl = fixture.url;
+    config.linkedinCookies.li_at = 'fixture';
+    config.linkedinCookies.file = null;
+    config.accounts = [];
+    config.browser.headless = true;
+    config.browser.userDataDir = null;
+    config.artifacts.screenshots = 'off';
+    config.artifacts.dir = path.join(tempDir, 'runs');
+    config.files.runLogDir = path.join(tempDir, 'runs');
+    config.files.selectorStatsJson = path.join(tempDir, 'selector-stats.json');
+  });
+
+  after(async () => {
+    for (const client of clients) {
+      await client.close();
+    }
+    if (fixture) {
+      await fixture.close();
+    }
+    if (tempDir) {
+      await fs.remove(tempDir);
+    }
+  });
+
+  it('logs in, finds a profile through Sales Navigator and sends a message', { timeout: FLOW_TIMEOUT_MS }, async () => {
+    fixture.setMode('normal');
+    const { client, loggedIn } = await startClient();
+    assert.strictEqual(loggedIn, true);
+    assert.strictEqual(client.sessionProblem, null);
+
+    const navigation = await client.navigateToProfileViaSalesNav('https://www.linkedin.com/in/jane-smith', {
+      firstName: 'Jane',
+      lastName: 'Smith',
+      company: 'Acme Corp'
+    });
+    assert.strictEqual(navigation.success, true, navigation.error);
+    assert.strictEqual(navigation.match.url, `${fixture.url}/sales/lead/ACwAAA111111`);
+    assert.strictEqual(navigation.profileInfo.company, 'Acme Corp');
+    assert.strictEqual(navigation.profileInfo.location, 'Austin, Texas');
+
+    const result = await client.sendMessage('Hi Jane, quick question about Acme Corp.');
+    assert.strictEqual(result.success, true, result.error);
+    assert.deepStrictEqual(fixture.messages.map(message => message.text), ['Hi Jane, quick question about Acme Corp.']);
+    await client.close();
+  });
+
+  it('stops at a CAPTCHA with a session problem', { timeout: FLOW_TIMEOUT_MS }, async () => {
+    fixture.setMode('normal');
+    const { client, loggedIn } = await startClient();
+    assert.strictEqual(loggedIn, true);
+
+    fixture.setMode('captcha');
+    const navigation = await client.navigateToProfileViaSalesNav('https://www.linkedin.com/in/john-doe', {
+      firstName: 'John',
+      lastName: 'Doe'
+    });
+    assert.strictEqual(navigation.success, false);
+    assert.strictEqual(navigation.sessionProblem, true);
+    assert.strictEqual(client.sessionProblem, 'checkpoint');
+    await client.close();
+  });
+
+  it('reports a security checkpoint at login', { timeout: FLOW_TIMEOUT_MS }, async () => {
+    fixture.setMode('checkpoint');
+    const { client, loggedIn } = await startClient();
+    assert.strictEqual(loggedIn, false);
+    assert.strictEqual(client.sessionProblem, 'checkpoint');
+    await client.close();
+  });
+
+  it('reports an expired session when logged out', { timeout: FLOW_TIMEOUT_MS }, async () => {
+    fixture.setMode('logged-out');
+    const { client, loggedIn } = await startClient();
+    assert.strictEqual(loggedIn, false);
+    assert.strictEqual(client.sessionProblem, 'expired');
+
+    const navigation = await client.navigateToProfile('https://www.linkedin.com/in/jane-smith', { firstName: 'Jane' });
+    assert.strictEqual(navigation.success, false);
+    assert.strictEqual(navigation.sessionProblem, true);
+    await client.close();
+  });
+});
@@ -0,0 +1,70 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const config = require('../config/config');
+const { normalizeText, scoreName, chooseCandidate } = require('../src/lead-matching');
+
+const JANE = { firstName: 'Jane', lastName: 'Smith', company: 'Acme Corp', title: 'Head of Marketing', location: 'Austin, Texas' };
+
+describe('lead matching', () => {
+  beforeEach(() => {
+    config.salesNavMatching = { minConfidence: 0.8, ambiguityMargin: 0.1 };
+  });
+
+  it('compares names without accents, punctuation or credentials', () => {
+    assert.strictEqual(normalizeText('  Zoë  O\'Brien-Núñez '), 'zoe o brien nunez');
+    assert.strictEqual(scoreName('Jane Smith', 'Jane Smith, MBA'), 1);
+    assert.strictEqual(scoreName('Jane Smith', 'Smith Jane'), 1);
+  });
+
+  it('picks the only good result', () => {
+    const { match, ranked, reason } = chooseCandidate(JANE, 'Jane Smith', [
+      { name: 'Jane Smith', title: 'Head of Marketing at Acme Corp', company: 'Acme Corp', location: 'Austin, Texas', url: '/sales/lead/1' },
+      { name: 'John Smithers', title: 'Engineer', company: 'Initech', location: 'Ohio', url: '/sales/lead/2' }
+    ]);
+    assert.strictEqual(match.url, '/sales/lead/1');
+    assert.strictEqual(match.confidence, 1);
+    assert.strictEqual(ranked.length, 2);
+    assert.ok(ranked[1].confidence < ranked[0].confidence);
+    assert.strictEqual(reason, '');
+  });
+
+  it('reports a search without results', () => {
+    const { match, reason } = chooseCandidate(JANE, 'Jane Smith', []);
+    assert.strictEqual(match, null);
+    assert.strictEqual(reason, 'No results in Sales Navigator search');
+  });
+
+  it('sends results below minConfidence to review', () => {
+    const { match, reason } = chooseCandidate(JANE, 'Jane Smith', [
+      { name: 'Jane Smith', title: 'Nurse', company: 'County Hospital', location: 'Leeds, UK', url: '/sales/lead/3' }
+    ]);
+    assert.strictEqual(match, null);
+    assert.match(reason, /^Best match "Jane Smith" has confidence 0\.\d+, below 0\.8$/);
+
+    config.salesNavMatching.minConfidence = 0.5;
+    assert.strictEqual(chooseCandidate(JANE, 'Jane Smith', [
+      { name: 'Jane Smith', title: 'Nurse', company: 'County Hospital', location: 'Leeds, UK', url: '/sales/lead/3' }
+    ]).match.url, '/sales/lead/3');
+  });
+
+  it('sends two results within ambiguityMargin to review', () => {
+    const namesakes = [
+      { name: 'Jane Smith', title: 'Head of Marketing', company: 'Acme Corp', location: 'Austin, Texas', url: '/sales/lead/4' },
+      { name: 'Jane Smith', title: 'Head of Sales', company: 'Acme Corp', location: 'Austin, Texas', url: '/sales/lead/5' }
+    ];
+    const { match, ranked, reason } = chooseCandidate(JANE, 'Jane Smith', namesakes);
+    assert.strictEqual(match, null);
+    assert.ok(ranked[0].confidence - ranked[1].confidence < 0.1);
+    assert.match(reason, /^Ambiguous match: "Jane Smith" \(1\) and "Jane Smith" \(0\.\d+\)$/);
+
+    config.salesNavMatching.ambiguityMargin = 0;
+    assert.strictEqual(chooseCandidate(JANE, 'Jane Smith', namesakes).match.url, '/sales/lead/4');
+  });
+
+  it('scores a row with only a name on the name alone', () => {
+    const { match } = chooseCandidate({ firstName: 'Jane' }, 'Jane Smith', [
+      { name: 'Jane Smith', title: 'Nurse', company: 'County Hospital', url: '/sales/lead/6' }
+    ]);
+    assert.strictEqual(match.confidence, 1);
+  });
+});
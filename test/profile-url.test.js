@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { URL_TYPES, normalizeProfileUrl, classifyProfileUrl, rebaseLinkedInUrl, getPageType } = require('../src/profile-url');
+
+describe('profile URLs', () => {
+  it('gives every form of the same public profile one URL', () => {
+    [
+      'https://www.linkedin.com/in/jane-doe',
+      'https://www.linkedin.com/in/Jane-Doe/',
+      'http://linkedin.com/in/jane-doe?trk=public_profile&originalSubdomain=uk',
+      'uk.linkedin.com/in/jane-doe#experience',
+      '  www.linkedin.com/in/jane-doe/details/experience/  '
+    ].forEach(url => assert.strictEqual(normalizeProfileUrl(url), 'https://www.linkedin.com/in/jane-doe', url));
+  });
+
+  it('keeps the case of Sales Navigator lead IDs', () => {
+    assert.strictEqual(
+      normalizeProfileUrl('https://www.linkedin.com/sales/lead/ACwAAA111111,NAME_SEARCH,abcd/?_ntb=x'),
+      'https://www.linkedin.com/sales/lead/ACwAAA111111,NAME_SEARCH,abcd'
+    );
+  });
+
+  it('leaves other hosts and unparseable values mostly as they are', () => {
+    assert.strictEqual(normalizeProfileUrl('http://127.0.0.1:3000/in/Jane-Doe/?x=1'), 'http://127.0.0.1:3000/in/Jane-Doe');
+    assert.strictEqual(normalizeProfileUrl('  '), '');
+    assert.strictEqual(normalizeProfileUrl(undefined), '');
+  });
+
+  it('classifies profile and lead URLs', () => {
+    assert.strictEqual(classifyProfileUrl('linkedin.com/in/jane-doe'), URL_TYPES.PUBLIC_PROFILE);
+    assert.strictEqual(classifyProfileUrl('https://www.linkedin.com/sales/lead/ACwAAA111111,NAME_SEARCH'), URL_TYPES.SALES_NAV_LEAD);
+    assert.strictEqual(classifyProfileUrl('https://www.linkedin.com/sales/people/ACwAAA111111'), URL_TYPES.SALES_NAV_PROFILE);
+    assert.strictEqual(classifyProfileUrl('https://www.linkedin.com/company/acme'), URL_TYPES.INVALID);
+    assert.strictEqual(classifyProfileUrl('https://notlinkedin.com/in/jane-doe'), URL_TYPES.INVALID);
+    assert.strictEqual(classifyProfileUrl(''), URL_TYPES.INVALID);
+  });
+
+  it('moves LinkedIn URLs onto another base URL', () => {
+    assert.strictEqual(rebaseLinkedInUrl('https://www.linkedin.com/in/jane-doe?x=1', 'http://127.0.0.1:3000'), 'http://127.0.0.1:3000/in/jane-doe?x=1');
+    assert.strictEqual(rebaseLinkedInUrl('https://example.com/in/jane-doe', 'http://127.0.0.1:3000'), 'https://example.com/in/jane-doe');
+  });
+
+  it('tells Sales Navigator pages from regular ones on any host', () => {
+    assert.strictEqual(getPageType('http://127.0.0.1:3000/sales/lead/ACwAAA111111'), 'sales-nav');
+    assert.strictEqual(getPageType('https://www.linkedin.com/in/jane-doe'), 'regular');
+    assert.strictEqual(getPageType(''), '');
+  });
+});
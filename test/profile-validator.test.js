@@ -0,0 +1,84 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const config = require('../config/config');
+const { validateProfiles } = require('../src/profile-validator');
+
+describe('validateProfiles', () => {
+  beforeEach(() => {
+    config.accounts = [];
+    config.sharding.strategy = 'round-robin';
+    config.messaging.senderName = 'Jordan';
+    config.messaging.messageTemplate = 'Hi {{firstName}}, saw your work at {{company}} - {{senderName}}';
+    config.messaging.variants = [];
+    config.messaging.strictTemplates = false;
+    config.sequence.steps = [];
+    config.existingConversation.policy = 'skip';
+    config.connect.noteTemplate = 'Hi {{firstName}}, {{note}}';
+    config.connect.maxNoteLength = 40;
+  });
+
+  it('checks each row and normalizes its URL', () => {
+    const result = validateProfiles([
+      { url: 'linkedin.com/in/Jane-Doe/?trk=1', firstName: 'Jane', company: 'Acme' },
+      { url: 'https://www.linkedin.com/in/jane-doe', firstName: 'Jane', company: 'Acme' },
+      { url: 'https://example.com/in/jane-doe' },
+      { url: '' },
+      { url: 'https://www.linkedin.com/in/john-roe', firstName: 'John', company: 'Initech' }
+    ]);
+
+    assert.deepStrictEqual(result.rows.map(row => [row.row, row.type, row.errors, row.warnings]), [
+      [1, 'public-profile', [], ['url will be normalized to https://www.linkedin.com/in/jane-doe']],
+      [2, 'public-profile', ['duplicate of row 1'], []],
+      [3, 'invalid', ['not a LinkedIn profile or Sales Navigator lead URL'], []],
+      [4, 'invalid', ['missing url'], []],
+      [5, 'public-profile', [], []]
+    ]);
+    assert.strictEqual(result.errorCount, 3);
+    assert.strictEqual(result.warningCount, 1);
+  });
+
+  it('tells variables read from the profile page apart from missing ones', () => {
+    config.messaging.messageTemplate = 'Hi {{firstName}} at {{company}}, {{referrer}} sent me';
+    const [row] = validateProfiles([{ url: 'https://www.linkedin.com/in/jane-doe', firstName: 'Jane' }]).rows;
+    assert.deepStrictEqual(row.errors, []);
+    assert.deepStrictEqual(row.warnings, [
+      'missing template variables: referrer',
+      'template variables to be read from the profile page: company'
+    ]);
+
+    config.messaging.strictTemplates = true;
+    assert.deepStrictEqual(validateProfiles([{ url: 'https://www.linkedin.com/in/jane-doe', firstName: 'Jane' }]).rows[0].errors,
+      ['missing template variables: referrer']);
+  });
+
+  it('reports a broken template once, before the rows', () => {
+    config.messaging.messageTemplate = 'Hi {{#if firstName}}{{firstName}}';
+    const result = validateProfiles([{ url: 'https://www.linkedin.com/in/jane-doe', firstName: 'Jane' }]);
+    assert.deepStrictEqual(result.templateErrors, ['Template variant "default": Template has an unclosed {{#if firstName}} block']);
+    assert.deepStrictEqual(result.rows[0].errors, []);
+    assert.strictEqual(result.errorCount, 1);
+  });
+
+  it('checks the length of invitation notes', () => {
+    const result = validateProfiles([
+      { url: 'https://www.linkedin.com/in/jane-doe', firstName: 'Jane', note: 'short' },
+      { url: 'https://www.linkedin.com/in/john-roe', firstName: 'John', note: 'a note that is far too long for the limit' }
+    ], { action: 'connect' });
+    assert.deepStrictEqual(result.rows.map(row => row.errors), [[], ['note is 50 characters, the limit is 40']]);
+  });
+
+  it('reports profiles without an owner account', () => {
+    config.accounts = [{ id: 'sales-1', li_at: 'x' }];
+    config.sharding.strategy = 'owner';
+    const result = validateProfiles([
+      { url: 'https://www.linkedin.com/in/jane-doe', firstName: 'Jane', company: 'Acme', owner: 'sales-1' },
+      { url: 'https://www.linkedin.com/in/john-roe', firstName: 'John', company: 'Initech', owner: 'sales-9' },
+      { url: 'https://www.linkedin.com/in/ann-lee', firstName: 'Ann', company: 'Globex' }
+    ]);
+    assert.deepStrictEqual(result.rows.map(row => row.errors), [
+      [],
+      ['owner "sales-9" is not a configured account'],
+      ['no owner in the "owner" column']
+    ]);
+  });
+});
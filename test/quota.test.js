@@ -0,0 +1,67 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const config = require('../config/config');
+const { countSends, checkQuota, getMessageAction } = require('../src/quota');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Build a quota state with sends at the given ages
+ * @param {Array<[string, number]>} sends - Action and age in hours of each send
+ * @returns {Object} - Quota state
+ */
+const stateWith = (sends) => ({
+  sends: sends.map(([action, hoursAgo]) => ({ action, at: new Date(NOW.getTime() - hoursAgo * HOUR_MS).toISOString() }))
+});
+
+describe('quotas', () => {
+  beforeEach(() => {
+    config.quotas = {
+      daily: 5,
+      weekly: 10,
+      message: { daily: 3, weekly: 8 },
+      inmail: { daily: 1, weekly: null },
+      connection: { daily: null, weekly: null }
+    };
+  });
+
+  it('counts sends within a rolling window, optionally by action', () => {
+    const state = stateWith([['message', 1], ['inmail', 23], ['message', 25], ['message', 24 * 8]]);
+    assert.strictEqual(countSends(state, 24 * HOUR_MS, undefined, NOW), 2);
+    assert.strictEqual(countSends(state, 7 * 24 * HOUR_MS, 'message', NOW), 2);
+    assert.strictEqual(countSends(state, 24 * HOUR_MS, 'inmail', NOW), 1);
+  });
+
+  it('allows sends under every limit', () => {
+    assert.deepStrictEqual(checkQuota(stateWith([['message', 1]]), 'message', NOW), { allowed: true, reason: '' });
+  });
+
+  it('stops an action at its own daily limit but not the others', () => {
+    const state = stateWith([['inmail', 2]]);
+    assert.deepStrictEqual(checkQuota(state, 'inmail', NOW), { allowed: false, reason: 'daily inmail quota reached (1/1)' });
+    assert.strictEqual(checkQuota(state, 'message', NOW).allowed, true);
+  });
+
+  it('stops every action at the overall daily limit', () => {
+    const state = stateWith([['message', 1], ['message', 2], ['connection', 3], ['connection', 4], ['connection', 5]]);
+    assert.deepStrictEqual(checkQuota(state, 'connection', NOW), { allowed: false, reason: 'daily quota reached (5/5)' });
+  });
+
+  it('stops at the weekly limit once the daily window has passed', () => {
+    const state = stateWith([30, 40, 50, 60, 70, 80, 90, 100].map(hours => ['message', hours]));
+    assert.deepStrictEqual(checkQuota(state, 'message', NOW), { allowed: false, reason: 'weekly message quota reached (8/8)' });
+  });
+
+  it('ignores limits set to null', () => {
+    config.quotas = { daily: null, weekly: null, message: { daily: null, weekly: null } };
+    const state = stateWith(Array.from({ length: 50 }, () => ['message', 1]));
+    assert.strictEqual(checkQuota(state, 'message', NOW).allowed, true);
+  });
+
+  it('counts messages to Sales Navigator profiles as InMail', () => {
+    assert.strictEqual(getMessageAction('https://www.linkedin.com/sales/lead/ACwAAA111,NAME_SEARCH'), 'inmail');
+    assert.strictEqual(getMessageAction('https://www.linkedin.com/in/jane-doe'), 'message');
+    assert.strictEqual(getMessageAction(''), 'message');
+  });
+});
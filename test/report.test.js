@@ -0,0 +1,60 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const config = require('../config/config');
+const { LOG_COLUMNS } = require('../src/sent-log');
+const { REPLY_COLUMNS } = require('../src/replies');
+const { writeCsv } = require('../src/csv-store');
+const { buildVariantReport } = require('../src/report');
+
+const at = (day) => `2026-10-${String(day).padStart(2, '0')}T10:00:00.000Z`;
+
+describe('buildVariantReport', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'linkedin-report-test-'));
+    config.files.logsCsv = path.join(dir, 'sent_messages.csv');
+    config.files.repliesCsv = path.join(dir, 'replies.csv');
+
+    await writeCsv(config.files.logsCsv, LOG_COLUMNS, [
+      { url: 'https://www.linkedin.com/in/a', timestamp: at(1), status: 'failed', variant: 'a' },
+      { url: 'https://www.linkedin.com/in/a', timestamp: at(2), status: 'success', variant: 'a' },
+      { url: 'https://www.linkedin.com/in/b', timestamp: at(2), status: 'unverified', variant: 'a' },
+      { url: 'https://www.linkedin.com/in/c', timestamp: at(2), status: 'failed', variant: 'a' },
+      { url: 'https://www.linkedin.com/in/d', timestamp: at(2), status: 'skipped', variant: 'a' },
+      { url: 'https://www.linkedin.com/in/e', timestamp: at(2), status: 'review', variant: 'a' },
+      { url: 'https://www.linkedin.com/in/f', timestamp: at(2), status: 'success' },
+      { url: 'https://www.linkedin.com/in/f', timestamp: at(9), status: 'failed', step: 'follow-up-a' }
+    ]);
+    await writeCsv(config.files.repliesCsv, REPLY_COLUMNS, [
+      { url: 'https://www.linkedin.com/in/b', repliedAt: at(3), snippet: 'Sure' },
+      { url: 'https://www.linkedin.com/in/d', repliedAt: at(3), snippet: 'Hi again' },
+      { url: 'https://www.linkedin.com/in/f/', repliedAt: at(4), snippet: 'Thanks' }
+    ]);
+  });
+
+  after(async () => {
+    await fs.remove(dir);
+  });
+
+  it('counts each profile once by its latest initial-message row', async () => {
+    const [a, defaultVariant] = await buildVariantReport();
+    assert.deepStrictEqual(a, {
+      variant: 'a',
+      attempted: 3,
+      sent: 1,
+      unverified: 1,
+      failed: 1,
+      skipped: 1,
+      review: 1,
+      replied: 1,
+      sendRate: '33.3%',
+      replyRate: '50.0%'
+    });
+    assert.strictEqual(defaultVariant.variant, 'default');
+    assert.strictEqual(defaultVariant.replyRate, '100.0%');
+  });
+});
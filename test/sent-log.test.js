@@ -0,0 +1,77 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const config = require('../config/config');
+const { LOG_COLUMNS, ensureLogSchema, readSentLog, appendSentLogRow, getLatestStatuses } = require('../src/sent-log');
+
+describe('sent-messages log', () => {
+  let dir;
+  let logFile;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'linkedin-sent-log-test-'));
+    logFile = path.join(dir, 'sent_messages.csv');
+    config.files.logsJsonl = null;
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  it('migrates a log written with older columns and keeps a backup', async () => {
+    const original = [
+      'Profile URL,Name,Timestamp,Status,Error',
+      'https://www.linkedin.com/in/jane-doe,Jane Doe,2026-10-01T10:00:00.000Z,success,',
+      'https://www.linkedin.com/in/john-roe,John Roe,2026-10-01T10:05:00.000Z,failed,"Send button not found, gave up"'
+    ].join('\n') + '\n';
+    await fs.writeFile(logFile, original);
+
+    await ensureLogSchema(logFile);
+
+    const [header] = (await fs.readFile(logFile, 'utf8')).split('\n');
+    assert.strictEqual(header, LOG_COLUMNS.map(column => column.title).join(','));
+    assert.strictEqual(await fs.readFile(`${logFile}.bak`, 'utf8'), original);
+
+    const rows = await readSentLog(logFile);
+    assert.strictEqual(rows.length, 2);
+    assert.strictEqual(rows[1].url, 'https://www.linkedin.com/in/john-roe');
+    assert.strictEqual(rows[1].error, 'Send button not found, gave up');
+    assert.strictEqual(rows[1].variant, '');
+    assert.strictEqual(rows[1].account, '');
+  });
+
+  it('leaves a current log and a missing log alone', async () => {
+    await ensureLogSchema(logFile);
+    assert.strictEqual(await fs.pathExists(logFile), false);
+
+    await appendSentLogRow({ url: 'https://www.linkedin.com/in/jane-doe', status: 'success' }, logFile);
+    const before = await fs.readFile(logFile, 'utf8');
+    await ensureLogSchema(logFile);
+    assert.strictEqual(await fs.readFile(logFile, 'utf8'), before);
+    assert.strictEqual(await fs.pathExists(`${logFile}.bak`), false);
+  });
+
+  it('appends new rows under the migrated header', async () => {
+    await fs.writeFile(logFile, 'Profile URL,Name,Timestamp,Status,Error\nhttps://www.linkedin.com/in/jane-doe,Jane Doe,2026-10-01T10:00:00.000Z,success,\n');
+    await appendSentLogRow({ url: 'https://www.linkedin.com/in/john-roe', status: 'failed', variant: 'b', account: 'sales-1' }, logFile);
+
+    const rows = await readSentLog(logFile);
+    assert.deepStrictEqual(rows.map(row => [row.url, row.status, row.variant, row.account]), [
+      ['https://www.linkedin.com/in/jane-doe', 'success', '', ''],
+      ['https://www.linkedin.com/in/john-roe', 'failed', 'b', 'sales-1']
+    ]);
+  });
+
+  it('keeps the latest initial-message row per profile', () => {
+    const latest = getLatestStatuses([
+      { url: 'https://www.linkedin.com/in/Jane-Doe/', timestamp: '2026-10-01T10:00:00Z', status: 'failed' },
+      { url: 'https://linkedin.com/in/jane-doe?trk=x', timestamp: '2026-10-02T10:00:00Z', status: 'success' },
+      { url: 'https://www.linkedin.com/in/jane-doe', timestamp: '2026-10-05T10:00:00Z', status: 'failed', step: 'follow-up-a' },
+      { url: '', timestamp: '2026-10-05T10:00:00Z', status: 'success' }
+    ]);
+    assert.deepStrictEqual([...latest.keys()], ['https://www.linkedin.com/in/jane-doe']);
+    assert.strictEqual(latest.get('https://www.linkedin.com/in/jane-doe').status, 'success');
+  });
+});
@@ -0,0 +1,85 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { SEQUENCE_STATUS, syncSequenceLeads, getDueStep, recordStepSent, stopSequence } = require('../src/sequence');
+
+const STEPS = [
+  { id: 'follow-up-a', delayDays: 3, template: 'Bumping this up' },
+  { id: 'follow-up-b', delayDays: 10, template: 'One last note' }
+];
+
+/**
+ * Build the sequence entry of a lead messaged on 1 October
+ * @param {Object} [fields] - Fields to change
+ * @returns {Object} - Sequence entry
+ */
+const leadWith = (fields = {}) => ({
+  url: 'https://www.linkedin.com/in/jane-doe',
+  startedAt: '2026-10-01T10:00:00.000Z',
+  lastSentAt: '2026-10-01T10:00:00.000Z',
+  step: 0,
+  status: SEQUENCE_STATUS.ACTIVE,
+  history: [{ step: 'initial', at: '2026-10-01T10:00:00.000Z' }],
+  ...fields
+});
+
+describe('getDueStep', () => {
+  it('is due delayDays after the initial message', () => {
+    assert.strictEqual(getDueStep(leadWith(), STEPS, new Date('2026-10-04T09:59:59Z')), null);
+    assert.deepStrictEqual(getDueStep(leadWith(), STEPS, new Date('2026-10-04T10:00:00Z')), {
+      index: 0,
+      step: STEPS[0],
+      dueAt: new Date('2026-10-04T10:00:00Z')
+    });
+  });
+
+  it('moves on to the next step once a step was sent', () => {
+    const lead = leadWith();
+    recordStepSent(lead, STEPS[0], STEPS.length, new Date('2026-10-04T10:00:00Z'));
+    assert.strictEqual(lead.step, 1);
+    assert.strictEqual(getDueStep(lead, STEPS, new Date('2026-10-10T10:00:00Z')), null);
+    assert.strictEqual(getDueStep(lead, STEPS, new Date('2026-10-11T10:00:00Z')).step.id, 'follow-up-b');
+  });
+
+  it('keeps the gap between steps for a lead whose step went out late', () => {
+    // follow-up-a went out on day 9 instead of day 3, so follow-up-b waits the 7 days between the steps
+    const lead = leadWith({ step: 1, lastSentAt: '2026-10-10T10:00:00.000Z' });
+    assert.strictEqual(getDueStep(lead, STEPS, new Date('2026-10-11T10:00:00Z')), null);
+    assert.deepStrictEqual(getDueStep(lead, STEPS, new Date('2026-10-17T10:00:00Z')).dueAt, new Date('2026-10-17T10:00:00Z'));
+  });
+
+  it('has nothing due after the last step or once the sequence stopped', () => {
+    const later = new Date('2026-12-01T00:00:00Z');
+
+    const completed = leadWith({ step: 1 });
+    recordStepSent(completed, STEPS[1], STEPS.length, later);
+    assert.strictEqual(completed.status, SEQUENCE_STATUS.COMPLETED);
+    assert.strictEqual(getDueStep(completed, STEPS, later), null);
+
+    const replied = leadWith();
+    stopSequence(replied, SEQUENCE_STATUS.REPLIED, later);
+    assert.strictEqual(getDueStep(replied, STEPS, later), null);
+  });
+});
+
+describe('syncSequenceLeads', () => {
+  it('starts a sequence for sent and unverified initial messages', () => {
+    const state = { leads: { 'https://www.linkedin.com/in/known': leadWith({ step: 1 }) } };
+    const latest = new Map([
+      ['https://www.linkedin.com/in/sent', { url: 'https://www.linkedin.com/in/sent', name: ' Ann Lee ', status: 'success', timestamp: '2026-10-01T10:00:00.000Z' }],
+      ['https://www.linkedin.com/in/unverified', { url: 'https://www.linkedin.com/in/unverified', status: 'unverified', timestamp: '2026-10-01T10:00:00.000Z' }],
+      ['https://www.linkedin.com/in/failed', { url: 'https://www.linkedin.com/in/failed', status: 'failed', timestamp: '2026-10-01T10:00:00.000Z' }],
+      ['https://www.linkedin.com/in/review', { url: 'https://www.linkedin.com/in/review', status: 'review', timestamp: '2026-10-01T10:00:00.000Z' }],
+      ['https://www.linkedin.com/in/known', { url: 'https://www.linkedin.com/in/known', status: 'success', timestamp: '2026-10-05T10:00:00.000Z' }]
+    ]);
+
+    assert.strictEqual(syncSequenceLeads(state, latest), 2);
+    assert.deepStrictEqual(Object.keys(state.leads).sort(), [
+      'https://www.linkedin.com/in/known',
+      'https://www.linkedin.com/in/sent',
+      'https://www.linkedin.com/in/unverified'
+    ]);
+    assert.strictEqual(state.leads['https://www.linkedin.com/in/sent'].name, 'Ann Lee');
+    assert.strictEqual(state.leads['https://www.linkedin.com/in/unverified'].status, SEQUENCE_STATUS.ACTIVE);
+    assert.strictEqual(state.leads['https://www.linkedin.com/in/known'].step, 1);
+  });
+});
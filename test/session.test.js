@@ -0,0 +1,99 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { parseCookieExport, readCookieExport, cookiesForSite } = require('../src/session');
+
+// Export of the Cookie-Editor browser extension
+const EXTENSION_EXPORT = JSON.stringify([
+  {
+    domain: '.www.linkedin.com',
+    expirationDate: 1893456000.5,
+    hostOnly: false,
+    httpOnly: true,
+    name: 'li_at',
+    path: '/',
+    sameSite: 'no_restriction',
+    secure: true,
+    session: false,
+    value: 'AQEDAtoken'
+  },
+  { domain: 'www.linkedin.com', hostOnly: true, name: 'lang', path: '/', sameSite: 'lax', secure: false, session: true, value: 'v=2&lang=en-us' }
+]);
+
+// Netscape cookies.txt as written by curl and most exporters
+const NETSCAPE_EXPORT = [
+  '# Netscape HTTP Cookie File',
+  '',
+  '#HttpOnly_.www.linkedin.com\tTRUE\t/\tTRUE\t1893456000\tli_at\tAQEDAtoken',
+  'www.linkedin.com\tFALSE\t/\tFALSE\t0\tlang\tv=2&lang=en-us\r',
+  '.example.com\tTRUE\t/\tFALSE\t0\tother\tx',
+  'not a cookie line'
+].join('\n');
+
+describe('cookie exports', () => {
+  it('parses a JSON export of a browser extension', () => {
+    assert.deepStrictEqual(parseCookieExport(EXTENSION_EXPORT), [
+      { name: 'li_at', value: 'AQEDAtoken', domain: '.www.linkedin.com', path: '/', hostOnly: false, httpOnly: true, secure: true, expires: 1893456000.5, sameSite: 'None' },
+      { name: 'lang', value: 'v=2&lang=en-us', domain: 'www.linkedin.com', path: '/', hostOnly: true, httpOnly: false, secure: false, sameSite: 'Lax' }
+    ]);
+  });
+
+  it('parses a Puppeteer export wrapped in an object', () => {
+    const cookies = parseCookieExport(JSON.stringify({ cookies: [{ name: 'li_at', value: 'x', domain: '.linkedin.com', expires: -1 }, { value: 'no name' }] }));
+    assert.deepStrictEqual(cookies, [{ name: 'li_at', value: 'x', domain: '.linkedin.com', path: '/', hostOnly: false, httpOnly: false, secure: false }]);
+  });
+
+  it('parses a Netscape cookies.txt file', () => {
+    assert.deepStrictEqual(parseCookieExport(`\uFEFF${NETSCAPE_EXPORT}`), [
+      { name: 'li_at', value: 'AQEDAtoken', domain: '.www.linkedin.com', path: '/', hostOnly: false, httpOnly: true, secure: true, expires: 1893456000 },
+      { name: 'lang', value: 'v=2&lang=en-us', domain: 'www.linkedin.com', path: '/', hostOnly: true, httpOnly: false, secure: false },
+      { name: 'other', value: 'x', domain: '.example.com', path: '/', hostOnly: false, httpOnly: false, secure: false }
+    ]);
+  });
+
+  it('rejects text in neither format', () => {
+    assert.throws(() => parseCookieExport('[{"name": '), /^Error: Invalid JSON/);
+    assert.throws(() => parseCookieExport('{"name": "li_at"}'), /Expected a JSON array of cookies/);
+    assert.throws(() => parseCookieExport('li_at=AQEDAtoken'), /Not a JSON cookie export or a Netscape cookies.txt file/);
+    assert.deepStrictEqual(parseCookieExport(''), []);
+  });
+
+  it('keeps only LinkedIn cookies that have not expired', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'linkedin-session-test-'));
+    try {
+      const file = path.join(dir, 'cookies.txt');
+      await fs.writeFile(file, NETSCAPE_EXPORT);
+
+      const valid = await readCookieExport(file, new Date('2026-10-19T12:00:00Z'));
+      assert.deepStrictEqual(valid.cookies.map(cookie => cookie.name), ['li_at', 'lang']);
+      assert.strictEqual(valid.expiredSession, null);
+
+      const expired = await readCookieExport(file, new Date('2031-01-01T00:00:00Z'));
+      assert.deepStrictEqual(expired.cookies.map(cookie => cookie.name), ['lang']);
+      assert.deepStrictEqual(expired.expiredSession, new Date(1893456000 * 1000));
+
+      await assert.rejects(readCookieExport(path.join(dir, 'missing.json')), /Cookie file not found/);
+    } finally {
+      await fs.remove(dir);
+    }
+  });
+
+  it('places cookies on LinkedIn or on a test host', () => {
+    const cookies = parseCookieExport(EXTENSION_EXPORT);
+
+    const [session, lang] = cookiesForSite(cookies, 'https://www.linkedin.com');
+    assert.strictEqual(session.domain, '.www.linkedin.com');
+    assert.strictEqual(session.sameSite, 'None');
+    assert.strictEqual(lang.url, 'https://www.linkedin.com/');
+    assert.strictEqual(lang.domain, undefined);
+
+    cookiesForSite(cookies, 'http://127.0.0.1:3000').forEach(cookie => {
+      assert.strictEqual(cookie.url, 'http://127.0.0.1:3000');
+      assert.strictEqual(cookie.secure, false);
+      assert.strictEqual(cookie.domain, undefined);
+      assert.strictEqual(cookie.sameSite, undefined);
+    });
+  });
+});
@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { renderTemplate } = require('../src/template');
+
+describe('renderTemplate', () => {
+  it('fills in variables and applies fallbacks and filters', () => {
+    const { text, unresolved } = renderTemplate('Hi {{firstName|there}}, how is {{company|lowercase}}? - {{sender|firstword|uppercase}}', {
+      firstName: '',
+      company: 'ACME Corp',
+      sender: ' jordan lee'
+    });
+    assert.strictEqual(text, 'Hi there, how is acme corp? - JORDAN');
+    assert.deepStrictEqual(unresolved, []);
+  });
+
+  it('reports variables without a value or fallback', () => {
+    const { text, unresolved } = renderTemplate('Hi {{firstName}} at {{company}}', { company: 'Initech' });
+    assert.strictEqual(text, 'Hi  at Initech');
+    assert.deepStrictEqual(unresolved, ['firstName']);
+  });
+
+  it('renders the branch of a conditional block that matches the data', () => {
+    const template = '{{#if title}}As {{title}}{{else}}In your role{{/if}}, ...';
+    assert.strictEqual(renderTemplate(template, { title: 'CTO' }).text, 'As CTO, ...');
+    assert.strictEqual(renderTemplate(template, { title: '  ' }).text, 'In your role, ...');
+  });
+
+  it('picks the same spintax option for the same seed', () => {
+    const template = '{Hi|Hello|Hey} {{firstName}}';
+    const first = renderTemplate(template, { firstName: 'Jane' }, { seed: 'https://www.linkedin.com/in/jane-doe' }).text;
+    for (let i = 0; i < 5; i++) {
+      assert.strictEqual(renderTemplate(template, { firstName: 'Jane' }, { seed: 'https://www.linkedin.com/in/jane-doe' }).text, first);
+    }
+    assert.match(first, /^(Hi|Hello|Hey) Jane$/);
+  });
+
+  it('expands nested spintax and keeps single braces as text', () => {
+    const { text } = renderTemplate('{a|a} {b|{b|b}} {literal}', {}, { seed: 'x' });
+    assert.strictEqual(text, 'a b {literal}');
+  });
+
+  it('rejects unbalanced conditional blocks', () => {
+    assert.throws(() => renderTemplate('{{#if company}}at {{company}}', {}), /unclosed \{\{#if company\}\} block/);
+    assert.throws(() => renderTemplate('Hi{{/if}}', {}), /without a matching/);
+    assert.throws(() => renderTemplate('Hi{{else}}', {}), /outside of an/);
+  });
+});
@@ -0,0 +1,37 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const config = require('../config/config');
+const { runValidate } = require('../src/validate');
+
+describe('runValidate', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'linkedin-validate-test-'));
+    config.files.profilesCsv = path.join(dir, 'profiles.csv');
+    await fs.writeFile(config.files.profilesCsv, 'url,firstName,company\nhttps://www.linkedin.com/in/jane-doe,Jane,Acme\n');
+    // No session anywhere
+    config.accounts = [];
+    config.linkedinCookies.li_at = '';
+    config.linkedinCookies.file = null;
+    config.browser.userDataDir = null;
+    config.files.browserProfilesDir = path.join(dir, 'browser-profiles');
+  });
+
+  after(async () => {
+    await fs.remove(dir);
+  });
+
+  it('only warns about a missing session, since it never logs in', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const error = t.mock.method(console, 'error', () => {});
+    t.mock.method(console, 'log', () => {});
+
+    assert.strictEqual(await runValidate(), 0);
+    assert.strictEqual(error.mock.callCount(), 0);
+    assert.match(warn.mock.calls[0].arguments[0], /^Config warning: linkedinCookies\.li_at is not set/);
+  });
+});